@@ -18,6 +18,14 @@ export default [
         URLSearchParams: 'readonly',
         AbortController: 'readonly',
         AbortSignal: 'readonly',
+        ReadableStream: 'readonly',
+        WritableStream: 'readonly',
+        Blob: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        TransformStream: 'readonly',
+        CompressionStream: 'readonly',
+        DecompressionStream: 'readonly',
         FormData: 'readonly',
         Headers: 'readonly',
         Request: 'readonly',
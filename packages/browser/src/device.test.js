@@ -0,0 +1,47 @@
+/**
+ * Browser device tests
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { ErrorCodes } from 'open-neon-js-api-core'
+import { createDevice } from './device.js'
+
+const deviceInfo = { id: 'TEST-001', name: 'Test Neon', ipAddress: '127.0.0.1', port: 8080 }
+
+// Response whose body delivers one chunk, then fails
+const failingResponse = () => {
+  let sent = false
+  const body = new ReadableStream({
+    pull(controller) {
+      if (sent) {
+        controller.error(new Error('connection reset'))
+        return
+      }
+      sent = true
+      controller.enqueue(new Uint8Array([1, 2, 3]))
+    }
+  })
+  return new Response(body, { status: 200, headers: { 'Content-Length': '100' } })
+}
+
+describe('downloadRecording', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('should release and abort the destination when the transfer fails', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => failingResponse()))
+    const written = []
+    const abort = vi.fn()
+    const destination = new WritableStream({ write: chunk => written.push(chunk), abort })
+    const device = createDevice(deviceInfo)
+
+    await expect(device.downloadRecording('rec', destination)).rejects.toMatchObject({
+      name: 'RecordingError',
+      code: ErrorCodes.RECORDING_DOWNLOAD_FAILED
+    })
+
+    expect(destination.locked).toBe(false)
+    expect(written).toEqual([new Uint8Array([1, 2, 3])])
+    expect(abort).toHaveBeenCalledWith(expect.objectContaining({ message: 'connection reset' }))
+  })
+})
@@ -4,9 +4,12 @@
 import { createDevice } from './device.js'
 import {
   DEFAULTS,
+  BUFFER_SIZES,
+  OVERFLOW_POLICIES,
   DeviceError,
   ErrorCodes,
-  parseAddress
+  parseAddress,
+  createBoundedQueue
 } from 'open-neon-js-api-core'
 
 /**
@@ -38,7 +41,8 @@ export const connectToDevice = async (address, options = {}) => {
  * @returns {Object} Simple device interface
  */
 const createSimpleDevice = (device) => {
-  const gazeBuffer = []
+  // Unread samples; the oldest are dropped (and counted) if receiveGazeDatum() falls behind
+  const gazeBuffer = createBoundedQueue(BUFFER_SIZES.GAZE, OVERFLOW_POLICIES.DROP_OLDEST)
   let gazeSubscription = null
   let isStreaming = false
   
@@ -52,10 +56,6 @@ const createSimpleDevice = (device) => {
     gazeSubscription = gazeStream.subscribe({
       next: (gaze) => {
         gazeBuffer.push(gaze)
-        // Keep buffer size manageable
-        if (gazeBuffer.length > 1000) {
-          gazeBuffer.shift()
-        }
       },
       error: (error) => {
         console.error('Gaze stream error:', error)
@@ -98,7 +98,7 @@ const createSimpleDevice = (device) => {
       gazeSubscription = null
     }
     isStreaming = false
-    gazeBuffer.length = 0
+    gazeBuffer.clear()
     
     await device.disconnect()
   }
@@ -112,14 +112,38 @@ const createSimpleDevice = (device) => {
       return await device.startRecording(recordingId)
     },
     
-    async stopRecording() {
-      return await device.stopRecording()
+    async stopRecording(options) {
+      return await device.stopRecording(options)
+    },
+    
+    async cancelRecording() {
+      return await device.cancelRecording()
     },
     
     async getRecordingStatus() {
       return await device.getRecordingStatus()
     },
     
+    async listRecordings() {
+      return await device.listRecordings()
+    },
+    
+    async getRecording(id) {
+      return await device.getRecording(id)
+    },
+    
+    async downloadRecording(id, destination, options) {
+      return await device.downloadRecording(id, destination, options)
+    },
+    
+    async deleteRecording(id) {
+      return await device.deleteRecording(id)
+    },
+    
+    async sendEvent(name, options) {
+      return await device.sendEvent(name, options)
+    },
+    
     async startCalibration() {
       return await device.startCalibration()
     },
@@ -145,6 +169,11 @@ const createSimpleDevice = (device) => {
       return device.connected
     },
     
+    // Gaze samples discarded because receiveGazeDatum() was not called often enough
+    get droppedGazeSamples() {
+      return gazeBuffer.dropped
+    },
+    
     // Cleanup
     close,
     
@@ -0,0 +1,133 @@
+/**
+ * Backpressure for high-rate streams
+ * Per-subscription bounded buffering between a data source and a subscriber
+ * that may be slower than the source, with counters so dropped samples are
+ * always visible.
+ */
+import { Observable } from './observable.js'
+import { DEFAULTS } from './constants.js'
+import { StreamError, ErrorCodes } from './errors.js'
+import { createBoundedQueue } from './utils.js'
+
+/**
+ * Create sample counters for a stream
+ * @returns {{received: number, delivered: number, dropped: number}}
+ */
+export const createStreamStats = () => ({
+  received: 0,
+  delivered: 0,
+  dropped: 0
+})
+
+/**
+ * Wrap a subscriber in a sink that applies an overflow policy
+ *
+ * Without an overflow policy values are delivered synchronously, as before.
+ * With one, values are queued and delivered on a later tick, so values that
+ * arrive while the subscriber is busy are subject to the policy. If the
+ * subscriber's next() returns a promise, delivery waits for it to settle. The
+ * error policy fails the subscriber with STREAM_BUFFER_OVERFLOW once the
+ * values queued before the overflow have been delivered; completion and
+ * errors from the source are likewise delivered after queued values.
+ *
+ * @param {Object} subscriber - Observer to deliver to (must expose `closed`)
+ * @param {Object} [options] - Buffering options
+ * @param {number} [options.bufferSize] - Maximum number of queued values
+ * @param {string} [options.overflow] - One of OVERFLOW_POLICIES, or none for synchronous delivery
+ * @param {Object} [stats] - Counters to update, see createStreamStats
+ * @returns {{next: Function, error: Function, complete: Function}} Sink
+ */
+export const createStreamSink = (subscriber, { bufferSize = DEFAULTS.BUFFER_SIZE, overflow } = {}, stats = createStreamStats()) => {
+  if (!overflow) {
+    return {
+      next: (value) => {
+        stats.received++
+        stats.delivered++
+        subscriber.next(value)
+      },
+      error: (error) => subscriber.error(error),
+      complete: () => subscriber.complete()
+    }
+  }
+
+  const queue = createBoundedQueue(bufferSize, overflow)
+  let scheduled = false
+  let busy = false
+  let ending = null // { error } or { complete: true }
+
+  const drain = () => {
+    scheduled = false
+    while (queue.length > 0 && !busy && !subscriber.closed) {
+      const result = subscriber.next(queue.shift())
+      stats.delivered++
+      if (result && typeof result.then === 'function') {
+        busy = true
+        result.then(() => {
+          busy = false
+          drain()
+        }, (error) => subscriber.error(error))
+      }
+    }
+
+    if (ending && queue.length === 0 && !busy) {
+      ending.error ? subscriber.error(ending.error) : subscriber.complete()
+    }
+  }
+
+  const schedule = () => {
+    if (!scheduled && !busy) {
+      scheduled = true
+      setTimeout(drain, 0)
+    }
+  }
+
+  return {
+    next: (value) => {
+      if (ending) {
+        return
+      }
+      stats.received++
+
+      const droppedBefore = queue.dropped
+      if (!queue.push(value)) {
+        stats.dropped++
+        ending = {
+          error: StreamError(`Stream buffer overflow (${bufferSize} samples)`, ErrorCodes.STREAM_BUFFER_OVERFLOW, {
+            bufferSize
+          })
+        }
+      }
+      stats.dropped += queue.dropped - droppedBefore
+      schedule()
+    },
+
+    error: (error) => {
+      if (ending) {
+        return
+      }
+      ending = { error }
+      schedule()
+    },
+
+    complete: () => {
+      if (ending) {
+        return
+      }
+      ending = { complete: true }
+      schedule()
+    }
+  }
+}
+
+/**
+ * Operator applying a bounded buffer and overflow policy to each subscription
+ * @param {Object} options - Buffering options, see createStreamSink
+ * @param {Object} [stats] - Counters to update, see createStreamStats
+ * @returns {Function} Operator
+ */
+export const backpressure = (options, stats) => (source) => new Observable(observer => {
+  const sink = createStreamSink(observer, options, stats)
+  const subscription = source.subscribe(sink)
+
+  return () => subscription.unsubscribe()
+})
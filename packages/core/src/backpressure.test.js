@@ -0,0 +1,133 @@
+/**
+ * Backpressure and overflow policy tests
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { Subject } from './observable.js'
+import { ErrorCodes } from './errors.js'
+import { createStreamStats, createStreamSink, backpressure } from './backpressure.js'
+
+const createSubscriber = (next = () => {}) => {
+  const subscriber = {
+    values: [],
+    error: vi.fn(),
+    complete: vi.fn(),
+    closed: false,
+    next: (value) => {
+      subscriber.values.push(value)
+      return next(value)
+    }
+  }
+  return subscriber
+}
+
+describe('createStreamSink', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should deliver synchronously without an overflow policy', () => {
+    const stats = createStreamStats()
+    const subscriber = createSubscriber()
+    const sink = createStreamSink(subscriber, {}, stats)
+
+    sink.next(1)
+    sink.next(2)
+
+    expect(subscriber.values).toEqual([1, 2])
+    expect(stats).toEqual({ received: 2, delivered: 2, dropped: 0 })
+  })
+
+  it('should queue values and deliver them on a later tick', () => {
+    const subscriber = createSubscriber()
+    const sink = createStreamSink(subscriber, { overflow: 'dropOldest' })
+
+    sink.next(1)
+    expect(subscriber.values).toEqual([])
+
+    vi.runAllTimers()
+    expect(subscriber.values).toEqual([1])
+  })
+
+  it.each([
+    ['dropOldest', [3, 4], 2],
+    ['dropNewest', [1, 2], 2],
+    ['latestOnly', [4], 3]
+  ])('should apply %s while the subscriber is behind', (overflow, delivered, dropped) => {
+    const stats = createStreamStats()
+    const subscriber = createSubscriber()
+    const sink = createStreamSink(subscriber, { bufferSize: 2, overflow }, stats)
+
+    ;[1, 2, 3, 4].forEach(value => sink.next(value))
+    vi.runAllTimers()
+
+    expect(subscriber.values).toEqual(delivered)
+    expect(stats).toEqual({ received: 4, delivered: delivered.length, dropped })
+  })
+
+  it('should error after queued values with the error policy', () => {
+    const stats = createStreamStats()
+    const subscriber = createSubscriber()
+    const sink = createStreamSink(subscriber, { bufferSize: 2, overflow: 'error' }, stats)
+
+    ;[1, 2, 3, 4].forEach(value => sink.next(value))
+    vi.runAllTimers()
+
+    expect(subscriber.values).toEqual([1, 2])
+    expect(subscriber.error).toHaveBeenCalledWith(expect.objectContaining({ code: ErrorCodes.STREAM_BUFFER_OVERFLOW }))
+    expect(stats.dropped).toBe(1)
+  })
+
+  it('should wait for async subscribers before delivering more', async () => {
+    let release
+    const subscriber = createSubscriber(() => new Promise(resolve => { release = resolve }))
+    const sink = createStreamSink(subscriber, { bufferSize: 2, overflow: 'dropOldest' })
+
+    sink.next(1)
+    vi.runAllTimers()
+    ;[2, 3, 4].forEach(value => sink.next(value))
+    vi.runAllTimers()
+    expect(subscriber.values).toEqual([1])
+
+    release()
+    await vi.runAllTimersAsync()
+    expect(subscriber.values).toEqual([1, 3])
+  })
+
+  it('should complete after delivering queued values', () => {
+    const subscriber = createSubscriber()
+    const sink = createStreamSink(subscriber, { overflow: 'dropOldest' })
+
+    sink.next(1)
+    sink.complete()
+    expect(subscriber.complete).not.toHaveBeenCalled()
+
+    vi.runAllTimers()
+    expect(subscriber.values).toEqual([1])
+    expect(subscriber.complete).toHaveBeenCalled()
+  })
+})
+
+describe('backpressure operator', () => {
+  it('should buffer each subscription independently', async () => {
+    const source = new Subject()
+    const stats = createStreamStats()
+    const buffered = source.pipe(backpressure({ overflow: 'latestOnly' }, stats))
+
+    const a = []
+    const b = []
+    buffered.subscribe(value => a.push(value))
+    buffered.subscribe(value => b.push(value))
+
+    source.next(1)
+    source.next(2)
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(a).toEqual([2])
+    expect(b).toEqual([2])
+    expect(stats).toEqual({ received: 4, delivered: 2, dropped: 2 })
+  })
+})
@@ -0,0 +1,266 @@
+/**
+ * BIDS eye-tracking export
+ * Turns gaze samples, eye states and events into the files of the BIDS
+ * eye-tracking extension: a headerless `_eyetrack.tsv.gz` described by its
+ * `_eyetrack.json` sidecar, and an `_events.tsv` with onsets relative to the
+ * first sample.
+ */
+import { DEVICE_CAPABILITIES, EVENT_TYPES } from './constants.js'
+import { ExportError, ErrorCodes } from './errors.js'
+import { isStreamGap } from './resume.js'
+
+// BIDS labels are alphanumeric
+const BIDS_LABEL = /^[a-zA-Z0-9]+$/
+const MISSING = 'n/a'
+
+// Filename entities in the order BIDS requires
+const ENTITIES = [
+  ['subject', 'sub'],
+  ['session', 'ses'],
+  ['task', 'task'],
+  ['acquisition', 'acq'],
+  ['run', 'run']
+]
+
+// Eye events that end a movement, with its trial type and start time
+const EYE_EVENTS = {
+  [EVENT_TYPES.FIXATION_END]: { trialType: 'fixation', start: (data) => data.timestamp - data.duration },
+  [EVENT_TYPES.SACCADE]: { trialType: 'saccade', start: (data) => data.timestamp },
+  [EVENT_TYPES.BLINK_END]: { trialType: 'blink', start: (data) => data.timestamp - data.duration }
+}
+
+/**
+ * Default BIDS export options
+ */
+export const DEFAULT_BIDS_OPTIONS = {
+  subject: null, // required
+  task: null, // required
+  session: null,
+  acquisition: null,
+  run: null,
+  datatype: 'beh', // directory the files are placed in, e.g. 'func' next to fMRI runs
+  frameSize: null // scene camera pixels for the coordinates (default: from the device model)
+}
+
+const formatNumber = (value, digits) => Number.isFinite(value) ? String(Number(value.toFixed(digits))) : MISSING
+
+const tsvField = (value) => value === null || value === undefined ? MISSING : String(value).replace(/[\t\r\n]+/g, ' ')
+
+const tsvLine = (values) => `${values.map(tsvField).join('\t')}\n`
+
+const gzip = async (text) => {
+  const compressed = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'))
+  return new Uint8Array(await new Response(compressed).arrayBuffer())
+}
+
+/**
+ * Build the BIDS file name prefix, e.g. sub-01_ses-1_task-reading
+ * @param {Object} options - BIDS export options
+ * @returns {{directory: string, prefix: string}}
+ */
+const resolveNames = (options) => {
+  const parts = []
+  for (const [option, entity] of ENTITIES) {
+    const value = options[option]
+    if (value === null || value === undefined) {
+      if (option === 'subject' || option === 'task') {
+        throw ExportError(`BIDS export requires a ${option} label`, ErrorCodes.INVALID_PARAMETER, { [option]: value })
+      }
+      continue
+    }
+    if (!BIDS_LABEL.test(String(value))) {
+      throw ExportError(`BIDS ${option} label must be alphanumeric: ${value}`, ErrorCodes.INVALID_PARAMETER, { [option]: value })
+    }
+    parts.push(`${entity}-${value}`)
+  }
+
+  const directory = [
+    `sub-${options.subject}`,
+    ...(options.session !== null && options.session !== undefined ? [`ses-${options.session}`] : []),
+    options.datatype
+  ].join('/')
+  return { directory, prefix: parts.join('_') }
+}
+
+/**
+ * Estimate the sampling frequency from the median sample interval
+ * @param {Object[]} samples - Samples with timestamps in seconds
+ * @param {number} fallback - Frequency to use with fewer than two samples
+ * @returns {number} Hz
+ */
+const estimateSamplingFrequency = (samples, fallback) => {
+  const intervals = []
+  for (let i = 1; i < samples.length; i++) {
+    const interval = samples[i].timestamp - samples[i - 1].timestamp
+    if (interval > 0) {
+      intervals.push(interval)
+    }
+  }
+  if (intervals.length === 0) {
+    return fallback
+  }
+
+  intervals.sort((a, b) => a - b)
+  return Math.round(1 / intervals[Math.floor(intervals.length / 2)])
+}
+
+/**
+ * Create a lookup of the eye state closest to a timestamp
+ * Queries must come in increasing timestamp order.
+ * @param {Object[]} states - EyeState records of one eye, in time order
+ * @param {number} maxDistance - Largest accepted time difference in seconds
+ * @returns {Function} (timestamp) => EyeState or null
+ */
+const createNearestLookup = (states, maxDistance) => {
+  let index = 0
+  return (timestamp) => {
+    while (index + 1 < states.length &&
+      Math.abs(states[index + 1].timestamp - timestamp) <= Math.abs(states[index].timestamp - timestamp)) {
+      index++
+    }
+    const state = states[index]
+    return state && Math.abs(state.timestamp - timestamp) <= maxDistance ? state : null
+  }
+}
+
+/**
+ * Calibration fields of the sidecar
+ * Calibration-free devices (Neon) are exported with a CalibrationCount of 0.
+ * @param {import('./types.js').CalibrationResult|null} calibration - Calibration of the session
+ * @returns {Object}
+ */
+const calibrationMetadata = (calibration) => {
+  if (!calibration) {
+    return { CalibrationCount: 0 }
+  }
+
+  return {
+    CalibrationCount: 1,
+    CalibrationType: `${calibration.points?.length ?? 0}-point`,
+    CalibrationUnit: 'deg',
+    AverageCalibrationError: calibration.accuracy,
+    CalibrationPrecision: calibration.precision,
+    CalibrationSuccess: calibration.success,
+    ...(calibration.message && { CalibrationMessage: calibration.message })
+  }
+}
+
+/**
+ * Convert events to BIDS event rows, sorted by onset
+ * EyeEvents contribute their fixations, saccades and blinks; annotations
+ * ({ name, timestamp }, such as local recorder marks) become zero-duration
+ * events named after them, on the device clock when `deviceTimestamp` is set.
+ * @param {Object[]} events - EyeEvents and annotations
+ * @param {number} startTime - Timestamp of the first sample in seconds
+ * @returns {Object[]} { onset, duration, trialType, value }
+ */
+const toEventRows = (events, startTime) => {
+  const rows = []
+  for (const event of events) {
+    const eyeEvent = EYE_EVENTS[event?.type]
+    if (eyeEvent) {
+      const { data } = event
+      rows.push({
+        onset: eyeEvent.start(data) - startTime,
+        duration: data.duration,
+        trialType: eyeEvent.trialType,
+        value: null
+      })
+    } else if (typeof event?.name === 'string' && typeof event.timestamp === 'number') {
+      rows.push({
+        onset: (event.deviceTimestamp ?? event.timestamp) - startTime,
+        duration: 0,
+        trialType: event.name,
+        value: event.data === undefined ? null : JSON.stringify(event.data)
+      })
+    }
+  }
+  return rows.sort((a, b) => a.onset - b.onset)
+}
+
+/**
+ * Export a session as BIDS eye-tracking files
+ *
+ * The `_eyetrack.tsv.gz` has no header, as BIDS requires for continuous
+ * recordings; its `Columns` are listed in the sidecar: `timestamp` (device
+ * clock, Unix seconds), `x_coordinate` and `y_coordinate` (scene camera
+ * pixels), `worn`, and with eye states `pupil_size_left` and
+ * `pupil_size_right` (mm, from the eye state closest to each sample).
+ * Missing values are written as `n/a`. Event onsets are seconds from the
+ * first sample.
+ *
+ * @param {Object} data - Session data
+ * @param {import('./types.js').GazeData[]} data.gaze - Gaze samples in time order
+ * @param {import('./types.js').EyeState[]} [data.eyeStates] - Eye states in time order
+ * @param {Object[]} [data.events] - EyeEvents and annotations ({ name, timestamp, data? })
+ * @param {import('./types.js').DeviceInfo} [data.device] - Device the session was recorded with
+ * @param {import('./types.js').CalibrationResult} [data.calibration] - Calibration of the session
+ * @param {Object} options - BIDS export options, see DEFAULT_BIDS_OPTIONS
+ * @returns {Promise<Object<string, Uint8Array|string>>} File contents by path relative to the dataset root
+ */
+export const toBIDS = async ({ gaze, eyeStates = [], events = [], device = null, calibration = null }, options = {}) => {
+  const config = { ...DEFAULT_BIDS_OPTIONS, ...options }
+  const { directory, prefix } = resolveNames(config)
+
+  const samples = (gaze ?? []).filter(sample => !isStreamGap(sample))
+  if (samples.length === 0) {
+    throw ExportError('BIDS export requires gaze samples', ErrorCodes.INVALID_PARAMETER)
+  }
+
+  const capabilities = DEVICE_CAPABILITIES[device?.model] ?? DEVICE_CAPABILITIES.Neon
+  const frameSize = config.frameSize ?? capabilities.sceneCameraResolution
+  const samplingFrequency = estimateSamplingFrequency(samples, capabilities.maxGazeRate)
+  const startTime = samples[0].timestamp
+
+  const states = eyeStates.filter(state => !isStreamGap(state))
+  const hasPupils = states.length > 0
+  const pupil = Object.fromEntries(['left', 'right'].map(eye => [
+    eye,
+    createNearestLookup(states.filter(state => state.eye === eye), 1 / samplingFrequency)
+  ]))
+
+  const columns = ['timestamp', 'x_coordinate', 'y_coordinate', 'worn',
+    ...(hasPupils ? ['pupil_size_left', 'pupil_size_right'] : [])]
+  const lines = samples.map(sample => tsvLine([
+    formatNumber(sample.timestamp, 6),
+    formatNumber(sample.x * frameSize.width, 3),
+    formatNumber(sample.y * frameSize.height, 3),
+    sample.worn === false ? 0 : 1,
+    ...(hasPupils
+      ? ['left', 'right'].map(eye => formatNumber(pupil[eye](sample.timestamp)?.pupilDiameter, 3))
+      : [])
+  ]))
+
+  const sidecar = {
+    SamplingFrequency: samplingFrequency,
+    StartTime: 0,
+    Columns: columns,
+    Manufacturer: 'Pupil Labs',
+    ManufacturersModelName: device?.model,
+    DeviceSerialNumber: device?.serialNumber,
+    SoftwareVersions: device?.firmwareVersion,
+    RecordedEye: 'both',
+    SampleCoordinateUnit: 'pixel',
+    SampleCoordinateSystem: 'gaze-in-world',
+    EnvironmentCoordinates: 'top-left',
+    ...calibrationMetadata(calibration),
+    timestamp: { Description: 'Device clock time of the sample', Units: 's' },
+    x_coordinate: { Description: `Horizontal gaze position in the ${frameSize.width}x${frameSize.height} scene camera image`, Units: 'pixel' },
+    y_coordinate: { Description: `Vertical gaze position in the ${frameSize.width}x${frameSize.height} scene camera image`, Units: 'pixel' },
+    worn: { Description: 'Whether the glasses were worn', Levels: { 0: 'not worn', 1: 'worn' } },
+    ...(hasPupils && {
+      pupil_size_left: { Description: 'Left pupil diameter', Units: 'mm' },
+      pupil_size_right: { Description: 'Right pupil diameter', Units: 'mm' }
+    })
+  }
+
+  const eventLines = toEventRows(events, startTime).map(({ onset, duration, trialType, value }) =>
+    tsvLine([formatNumber(onset, 6), formatNumber(duration, 6), trialType, value]))
+
+  const path = (suffix) => `${directory}/${prefix}_${suffix}`
+  return {
+    [path('eyetrack.tsv.gz')]: await gzip(lines.join('')),
+    [path('eyetrack.json')]: `${JSON.stringify(sidecar, null, 2)}\n`,
+    [path('events.tsv')]: tsvLine(['onset', 'duration', 'trial_type', 'value']) + eventLines.join('')
+  }
+}
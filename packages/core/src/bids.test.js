@@ -0,0 +1,137 @@
+/**
+ * BIDS export tests
+ */
+import { describe, it, expect } from 'vitest'
+import { EVENT_TYPES } from './constants.js'
+import { ErrorCodes } from './errors.js'
+import { createStreamGap } from './resume.js'
+import { toBIDS } from './bids.js'
+
+const START = 1700000000
+
+// 200Hz gaze, looking at the center, taken off after the third sample
+const gaze = [0, 1, 2, 3].map(i => ({
+  x: 0.5,
+  y: 0.25,
+  confidence: 0.9,
+  timestamp: START + i * 0.005,
+  worn: i < 3
+}))
+
+const device = {
+  id: 'TEST-001',
+  name: 'Test Neon',
+  model: 'Neon',
+  serialNumber: 'SN123',
+  firmwareVersion: '2.1.0'
+}
+
+const gunzip = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))
+  return new Response(stream).text()
+}
+
+const parseTSV = (text) => text.trim().split('\n').map(line => line.split('\t'))
+
+const base = 'sub-01/beh/sub-01_task-reading'
+
+describe('toBIDS', () => {
+  it('should name files after the BIDS entities', async () => {
+    const files = await toBIDS({ gaze }, { subject: '01', session: '2', task: 'reading', run: 1, datatype: 'func' })
+
+    expect(Object.keys(files)).toEqual([
+      'sub-01/ses-2/func/sub-01_ses-2_task-reading_run-1_eyetrack.tsv.gz',
+      'sub-01/ses-2/func/sub-01_ses-2_task-reading_run-1_eyetrack.json',
+      'sub-01/ses-2/func/sub-01_ses-2_task-reading_run-1_events.tsv'
+    ])
+  })
+
+  it('should write headerless compressed samples described by the sidecar', async () => {
+    const files = await toBIDS({ gaze: [...gaze.slice(0, 2), createStreamGap('gaze', START, START + 0.01), ...gaze.slice(2)], device },
+      { subject: '01', task: 'reading' })
+
+    const rows = parseTSV(await gunzip(files[`${base}_eyetrack.tsv.gz`]))
+    const sidecar = JSON.parse(files[`${base}_eyetrack.json`])
+
+    expect(rows).toHaveLength(4)
+    expect(rows[0]).toEqual(['1700000000', '800', '300', '1'])
+    expect(rows[3]).toEqual(['1700000000.015', '800', '300', '0'])
+    expect(sidecar).toMatchObject({
+      SamplingFrequency: 200,
+      Columns: ['timestamp', 'x_coordinate', 'y_coordinate', 'worn'],
+      Manufacturer: 'Pupil Labs',
+      ManufacturersModelName: 'Neon',
+      DeviceSerialNumber: 'SN123',
+      SoftwareVersions: '2.1.0',
+      RecordedEye: 'both',
+      CalibrationCount: 0,
+      timestamp: { Units: 's' }
+    })
+  })
+
+  it('should add pupil sizes from the closest eye states', async () => {
+    const eyeStates = [
+      { eye: 'left', pupilDiameter: 3.1, timestamp: START },
+      { eye: 'right', pupilDiameter: 3.3, timestamp: START + 0.001 },
+      { eye: 'left', pupilDiameter: 3.2, timestamp: START + 0.006 }
+    ]
+
+    const files = await toBIDS({ gaze, eyeStates }, { subject: '01', task: 'reading' })
+    const rows = parseTSV(await gunzip(files[`${base}_eyetrack.tsv.gz`]))
+
+    expect(JSON.parse(files[`${base}_eyetrack.json`]).Columns).toContain('pupil_size_right')
+    expect(rows.map(row => row.slice(4))).toEqual([
+      ['3.1', '3.3'],
+      ['3.2', '3.3'],
+      ['3.2', 'n/a'],
+      ['n/a', 'n/a']
+    ])
+  })
+
+  it('should describe the calibration in the sidecar', async () => {
+    const calibration = { success: true, accuracy: 0.8, precision: 0.1, points: new Array(9).fill({ x: 0, y: 0 }), message: 'ok' }
+
+    const files = await toBIDS({ gaze, device, calibration }, { subject: '01', task: 'reading' })
+
+    expect(JSON.parse(files[`${base}_eyetrack.json`])).toMatchObject({
+      CalibrationCount: 1,
+      CalibrationType: '9-point',
+      CalibrationUnit: 'deg',
+      AverageCalibrationError: 0.8
+    })
+  })
+
+  it('should write eye events and annotations relative to the first sample', async () => {
+    const events = [
+      { type: EVENT_TYPES.BLINK_START, data: { type: 'start', timestamp: START + 0.5 } },
+      { type: EVENT_TYPES.BLINK_END, data: { type: 'end', timestamp: START + 0.6, duration: 0.1 } },
+      { type: EVENT_TYPES.FIXATION_END, data: { type: 'end', x: 0.5, y: 0.5, timestamp: START + 0.3, duration: 0.25 } },
+      { name: 'stimulus\tonset', timestamp: START + 5, deviceTimestamp: START + 0.2, data: { trial: 1 } }
+    ]
+
+    const files = await toBIDS({ gaze, events }, { subject: '01', task: 'reading' })
+
+    expect(parseTSV(files[`${base}_events.tsv`])).toEqual([
+      ['onset', 'duration', 'trial_type', 'value'],
+      ['0.05', '0.25', 'fixation', 'n/a'],
+      ['0.2', '0', 'stimulus onset', '{"trial":1}'],
+      ['0.5', '0.1', 'blink', 'n/a']
+    ])
+  })
+
+  it.each([
+    [{ task: 'reading' }, /subject/],
+    [{ subject: '01' }, /task/],
+    [{ subject: 'P_01', task: 'reading' }, /alphanumeric: P_01/]
+  ])('should refuse options %j', async (options, message) => {
+    const error = await toBIDS({ gaze }, options).catch(error => error)
+
+    expect(error).toMatchObject({ name: 'ExportError', code: ErrorCodes.INVALID_PARAMETER })
+    expect(error.message).toMatch(message)
+  })
+
+  it('should require gaze samples', async () => {
+    await expect(toBIDS({ gaze: [] }, { subject: '01', task: 'reading' }))
+      .rejects.toMatchObject({ code: ErrorCodes.INVALID_PARAMETER })
+  })
+})
@@ -0,0 +1,242 @@
+/**
+ * Host/device clock synchronization
+ * Device timestamps are Unix seconds on the device clock. Offsets are in
+ * milliseconds and follow the Pupil Labs realtime API convention:
+ * offset = device clock - host clock.
+ */
+import { DEFAULTS } from './constants.js'
+import { DeviceError, ErrorCodes } from './errors.js'
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+
+const standardDeviation = (values) => {
+  const average = mean(values)
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)))
+}
+
+/**
+ * @typedef {Object} TimeOffsetEstimate
+ * @property {number} offset - Mean device - host clock offset in ms
+ * @property {number} roundTripTime - Mean round-trip time in ms
+ * @property {number} jitter - Standard deviation of the offset samples in ms
+ * @property {number} samples - Number of exchanges the estimate is based on
+ * @property {number} measuredAt - Host time (Date.now()) when the estimate completed
+ */
+
+/**
+ * Summarize NTP-style exchanges into an offset estimate
+ * Each exchange assumes the device read its clock halfway through the round trip.
+ * @param {Array<{sentAt: number, deviceTime: number, receivedAt: number}>} exchanges - Host times in ms, device time in seconds
+ * @returns {TimeOffsetEstimate}
+ */
+export const summarizeTimeOffset = (exchanges) => {
+  const offsets = exchanges.map(({ sentAt, deviceTime, receivedAt }) => deviceTime * 1000 - (sentAt + receivedAt) / 2)
+  const roundTrips = exchanges.map(({ sentAt, receivedAt }) => receivedAt - sentAt)
+
+  return {
+    offset: mean(offsets),
+    roundTripTime: mean(roundTrips),
+    jitter: standardDeviation(offsets),
+    samples: exchanges.length,
+    measuredAt: exchanges[exchanges.length - 1].receivedAt
+  }
+}
+
+/**
+ * Estimate the device clock offset with sequential round trips
+ * @param {Function} readDeviceTime - Async function resolving to the device time in Unix seconds
+ * @param {Object} [options] - Estimation options
+ * @param {number} [options.samples] - Number of round trips
+ * @returns {Promise<TimeOffsetEstimate>}
+ */
+export const measureTimeOffset = async (readDeviceTime, { samples = DEFAULTS.TIME_OFFSET_SAMPLES } = {}) => {
+  if (!(Number.isInteger(samples) && samples >= 1)) {
+    throw DeviceError('Time offset estimation needs at least one sample', ErrorCodes.INVALID_PARAMETER, { samples })
+  }
+
+  const exchanges = []
+  for (let i = 0; i < samples; i++) {
+    const sentAt = Date.now()
+    const deviceTime = await readDeviceTime()
+    const receivedAt = Date.now()
+
+    if (typeof deviceTime !== 'number' || !Number.isFinite(deviceTime)) {
+      throw DeviceError('Device did not report its clock', ErrorCodes.INVALID_DATA_FORMAT, { deviceTime })
+    }
+    exchanges.push({ sentAt, deviceTime, receivedAt })
+  }
+
+  return summarizeTimeOffset(exchanges)
+}
+
+/**
+ * Convert a device timestamp to the host clock
+ * @param {number} deviceTimestamp - Device Unix seconds
+ * @param {number} offset - Device - host offset in ms
+ * @returns {number} Host Unix seconds
+ */
+export const toHostTimestamp = (deviceTimestamp, offset) => deviceTimestamp - offset / 1000
+
+/**
+ * Convert a host timestamp to the device clock
+ * @param {number} hostTimestamp - Host Unix seconds
+ * @param {number} offset - Device - host offset in ms
+ * @returns {number} Device Unix seconds
+ */
+export const toDeviceTimestamp = (hostTimestamp, offset) => hostTimestamp + offset / 1000
+
+/**
+ * Move a stream sample's timestamp to the host clock
+ * Handles samples with a top-level timestamp and eye events ({ type, data }).
+ * Samples without a timestamp are returned unchanged.
+ * @param {Object} sample - Stream sample
+ * @param {number} offset - Device - host offset in ms
+ * @returns {Object} Sample copy with a host timestamp
+ */
+export const alignTimestamp = (sample, offset) => {
+  if (typeof sample?.timestamp === 'number') {
+    return { ...sample, timestamp: toHostTimestamp(sample.timestamp, offset) }
+  }
+  if (typeof sample?.data?.timestamp === 'number') {
+    return { ...sample, data: { ...sample.data, timestamp: toHostTimestamp(sample.data.timestamp, offset) } }
+  }
+  return sample
+}
+
+/**
+ * Add device and host timestamps to a stream sample
+ * Keeps `timestamp` as is and adds `deviceTimestamp` and `hostTimestamp`, on
+ * the sample or, for eye events ({ type, data }), on its payload.
+ * @param {Object} sample - Stream sample with device timestamps
+ * @param {number} offset - Device - host offset in ms
+ * @returns {Object} Sample copy carrying both timestamps
+ */
+export const addHostTimestamp = (sample, offset) => {
+  const stamp = (target) => ({
+    ...target,
+    deviceTimestamp: target.timestamp,
+    hostTimestamp: toHostTimestamp(target.timestamp, offset)
+  })
+
+  if (typeof sample?.timestamp === 'number') {
+    return stamp(sample)
+  }
+  if (typeof sample?.data?.timestamp === 'number') {
+    return { ...sample, data: stamp(sample.data) }
+  }
+  return sample
+}
+
+/**
+ * @typedef {Object} ClockDriftModel
+ * @property {number} offset - Offset predicted at the latest estimate, in ms
+ * @property {number} drift - Drift rate in parts per million (ms of offset change per 1000 s)
+ * @property {number} estimates - Number of estimates the model is fitted to
+ * @property {Function} predict - (hostTime) => predicted offset in ms at a Date.now() host time
+ */
+
+/**
+ * Fit a linear drift model to offset estimates
+ * Least-squares fit of offset against measurement time; a single estimate
+ * gives a constant offset.
+ * @param {TimeOffsetEstimate[]} estimates - Estimates with offset and measuredAt
+ * @returns {ClockDriftModel}
+ */
+export const fitClockDrift = (estimates) => {
+  const t0 = estimates[0].measuredAt
+  const times = estimates.map(({ measuredAt }) => measuredAt - t0)
+  const offsets = estimates.map(({ offset }) => offset)
+  const meanTime = mean(times)
+  const meanOffset = mean(offsets)
+
+  const spread = times.reduce((sum, time) => sum + (time - meanTime) ** 2, 0)
+  const slope = spread > 0
+    ? times.reduce((sum, time, i) => sum + (time - meanTime) * (offsets[i] - meanOffset), 0) / spread
+    : 0
+  const predict = (hostTime) => meanOffset + slope * (hostTime - t0 - meanTime)
+
+  return {
+    offset: predict(estimates[estimates.length - 1].measuredAt),
+    drift: slope * 1e6,
+    estimates: estimates.length,
+    predict
+  }
+}
+
+/**
+ * Create a clock drift tracker
+ *
+ * Offset estimates are fed in with add(), from any source; while started the
+ * tracker also calls `measure` every interval so that estimates keep coming
+ * (a failing measurement, e.g. during a reconnect, is skipped). After each
+ * estimate the drift model is refitted over the last `windowSize` estimates.
+ * When the modelled offset has moved more than `threshold` ms since the last
+ * report, onDrift is called and the new offset becomes the reference.
+ *
+ * @param {Object} options - Tracker options
+ * @param {Function} options.measure - Triggers a new estimate, which must reach add()
+ * @param {Function} options.onDrift - Called with { offset, drift, change } when the threshold is exceeded
+ * @param {number} [options.interval] - Re-estimation interval in ms
+ * @param {number} [options.threshold] - Offset change in ms that is reported
+ * @param {number} [options.windowSize] - Number of estimates the model is fitted to
+ * @returns {Object} Tracker with start(), stop(), add(), predictOffset() and a model getter
+ */
+export const createDriftTracker = ({
+  measure,
+  onDrift,
+  interval = DEFAULTS.DRIFT_INTERVAL,
+  threshold = DEFAULTS.DRIFT_THRESHOLD,
+  windowSize = DEFAULTS.DRIFT_WINDOW
+}) => {
+  const history = []
+  let model = null
+  let reference = null
+  let timer = null
+
+  const add = (estimate) => {
+    history.push(estimate)
+    if (history.length > windowSize) {
+      history.shift()
+    }
+    model = fitClockDrift(history)
+
+    if (reference === null) {
+      reference = model.offset
+      return
+    }
+
+    const change = model.offset - reference
+    if (Math.abs(change) > threshold) {
+      reference = model.offset
+      onDrift({ offset: model.offset, drift: model.drift, change })
+    }
+  }
+
+  const stop = () => {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return {
+    add,
+    stop,
+
+    start: () => {
+      stop()
+      timer = setInterval(() => {
+        Promise.resolve()
+          .then(measure)
+          .catch(() => {}) // the next interval tries again
+      }, interval)
+    },
+
+    /**
+     * Offset predicted by the model, or null before the first estimate
+     * @param {number} [hostTime] - Date.now() host time
+     * @returns {number|null} Offset in ms
+     */
+    predictOffset: (hostTime = Date.now()) => model ? model.predict(hostTime) : null,
+
+    get model() { return model }
+  }
+}
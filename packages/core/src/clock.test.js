@@ -0,0 +1,178 @@
+/**
+ * Clock synchronization tests
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { ErrorCodes } from './errors.js'
+import {
+  summarizeTimeOffset,
+  measureTimeOffset,
+  toHostTimestamp,
+  toDeviceTimestamp,
+  alignTimestamp,
+  addHostTimestamp,
+  fitClockDrift,
+  createDriftTracker
+} from './clock.js'
+
+describe('summarizeTimeOffset', () => {
+  it('should take each offset at the midpoint of the round trip', () => {
+    const estimate = summarizeTimeOffset([
+      { sentAt: 1000, deviceTime: 1.510, receivedAt: 1010 }, // offset 505, rtt 10
+      { sentAt: 2000, deviceTime: 2.520, receivedAt: 2030 } // offset 505, rtt 30
+    ])
+
+    expect(estimate).toEqual({ offset: 505, roundTripTime: 20, jitter: 0, samples: 2, measuredAt: 2030 })
+  })
+
+  it('should report the spread of the offsets as jitter', () => {
+    const estimate = summarizeTimeOffset([
+      { sentAt: 0, deviceTime: 0.010, receivedAt: 0 },
+      { sentAt: 0, deviceTime: 0.030, receivedAt: 0 }
+    ])
+
+    expect(estimate.offset).toBeCloseTo(20)
+    expect(estimate.jitter).toBeCloseTo(10)
+  })
+})
+
+describe('measureTimeOffset', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should estimate a device clock running ahead of the host', async () => {
+    vi.useFakeTimers()
+    const readDeviceTime = vi.fn(async () => {
+      vi.advanceTimersByTime(4)
+      const deviceTime = Date.now() / 1000 + 2.5
+      vi.advanceTimersByTime(4)
+      return deviceTime
+    })
+
+    const estimate = await measureTimeOffset(readDeviceTime, { samples: 5 })
+
+    expect(readDeviceTime).toHaveBeenCalledTimes(5)
+    expect(estimate.offset).toBeCloseTo(2500)
+    expect(estimate.roundTripTime).toBe(8)
+    expect(estimate.samples).toBe(5)
+  })
+
+  it('should reject invalid sample counts and missing device times', async () => {
+    await expect(measureTimeOffset(async () => 1, { samples: 0 })).rejects.toMatchObject({
+      code: ErrorCodes.INVALID_PARAMETER
+    })
+    await expect(measureTimeOffset(async () => undefined)).rejects.toMatchObject({
+      code: ErrorCodes.INVALID_DATA_FORMAT
+    })
+  })
+})
+
+describe('timestamp conversion', () => {
+  it('should convert between device and host clocks', () => {
+    expect(toHostTimestamp(102.5, 2500)).toBe(100)
+    expect(toDeviceTimestamp(100, 2500)).toBe(102.5)
+  })
+
+  it('should align samples and eye events without mutating them', () => {
+    const gaze = { x: 0.5, y: 0.5, timestamp: 12 }
+    const event = { type: 'eye.blink.start', data: { type: 'start', timestamp: 12 } }
+
+    expect(alignTimestamp(gaze, 2000)).toEqual({ x: 0.5, y: 0.5, timestamp: 10 })
+    expect(alignTimestamp(event, 2000).data.timestamp).toBe(10)
+    expect(gaze.timestamp).toBe(12)
+    expect(alignTimestamp({ value: 1 }, 2000)).toEqual({ value: 1 })
+  })
+})
+
+describe('addHostTimestamp', () => {
+  it('should carry both device and host timestamps', () => {
+    expect(addHostTimestamp({ x: 0.5, timestamp: 12 }, 2000)).toEqual({
+      x: 0.5,
+      timestamp: 12,
+      deviceTimestamp: 12,
+      hostTimestamp: 10
+    })
+    expect(addHostTimestamp({ type: 'eye.saccade', data: { timestamp: 12 } }, 2000).data).toEqual({
+      timestamp: 12,
+      deviceTimestamp: 12,
+      hostTimestamp: 10
+    })
+  })
+})
+
+// Offset estimates of a device clock gaining `ppm` on the host from a 500ms offset
+const driftingEstimates = (count, ppm, step = 60000) => Array.from({ length: count }, (_, i) => ({
+  offset: 500 + i * step * ppm / 1e6,
+  measuredAt: 1000000 + i * step
+}))
+
+describe('fitClockDrift', () => {
+  it('should fit the drift rate in ppm', () => {
+    const model = fitClockDrift(driftingEstimates(5, 20))
+
+    expect(model.drift).toBeCloseTo(20)
+    expect(model.offset).toBeCloseTo(504.8)
+    expect(model.predict(1000000 + 5 * 60000)).toBeCloseTo(506)
+  })
+
+  it('should use a constant offset for a single estimate', () => {
+    const model = fitClockDrift([{ offset: 42, measuredAt: 1000 }])
+
+    expect(model.drift).toBe(0)
+    expect(model.predict(999999)).toBe(42)
+  })
+})
+
+describe('createDriftTracker', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should report offset changes beyond the threshold', () => {
+    const onDrift = vi.fn()
+    const tracker = createDriftTracker({ measure: () => {}, onDrift, threshold: 2 })
+
+    driftingEstimates(6, 20).forEach(tracker.add)
+
+    // 1.2ms per estimate: reported after the offset moved by 2.4ms, twice
+    expect(onDrift).toHaveBeenCalledTimes(2)
+    expect(onDrift.mock.calls[0][0].drift).toBeCloseTo(20)
+    expect(onDrift.mock.calls[0][0].change).toBeCloseTo(2.4)
+    expect(tracker.predictOffset(1000000)).toBeCloseTo(500)
+  })
+
+  it('should not report the drift of healthy clocks on every estimate by default', () => {
+    const onDrift = vi.fn()
+    const tracker = createDriftTracker({ measure: () => {}, onDrift })
+
+    driftingEstimates(6, 20).forEach(tracker.add)
+
+    // 1.2ms per estimate: the 5ms default is passed once, after five minutes
+    expect(onDrift).toHaveBeenCalledTimes(1)
+    expect(onDrift.mock.calls[0][0].change).toBeCloseTo(6)
+  })
+
+  it('should keep only the last windowSize estimates', () => {
+    const tracker = createDriftTracker({ measure: () => {}, onDrift: () => {}, windowSize: 3 })
+
+    driftingEstimates(6, 20).forEach(tracker.add)
+
+    expect(tracker.model.estimates).toBe(3)
+  })
+
+  it('should measure every interval until stopped, skipping failures', async () => {
+    vi.useFakeTimers()
+    const measure = vi.fn()
+      .mockRejectedValueOnce(new Error('reconnecting'))
+      .mockResolvedValue(undefined)
+    const tracker = createDriftTracker({ measure, onDrift: () => {}, interval: 100 })
+
+    expect(tracker.predictOffset()).toBeNull()
+    tracker.start()
+    await vi.advanceTimersByTimeAsync(300)
+    tracker.stop()
+    await vi.advanceTimersByTimeAsync(300)
+
+    expect(measure).toHaveBeenCalledTimes(3)
+  })
+})
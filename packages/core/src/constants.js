@@ -4,6 +4,7 @@
 export const API_PATHS = {
   STATUS: '/api/status',
   RECORDING: '/api/recording',
+  RECORDINGS: '/api/recordings',
   CALIBRATION: '/api/calibration',
   SETTINGS: '/api/settings',
   EVENTS: '/api/events',
@@ -18,6 +19,7 @@ export const WS_PATHS = {
   GAZE: '/api/gaze',
   VIDEO: '/api/video',
   IMU: '/api/imu',
+  EYE_STATE: '/api/eye_state',
   EVENTS: '/api/events'
 }
 
@@ -38,10 +40,19 @@ export const DEFAULTS = {
   CONNECTION_TIMEOUT: 5000,
   RECONNECT_INTERVAL: 1000,
   MAX_RECONNECT_ATTEMPTS: 10,
+  MAX_RECONNECT_DELAY: 30000,
+  HEARTBEAT_INTERVAL: 5000,
+  HEARTBEAT_TIMEOUT: 15000,
+  TIME_OFFSET_SAMPLES: 20,
+  DRIFT_INTERVAL: 60000,
+  DRIFT_THRESHOLD: 5, // ms of offset change before clock.drift is emitted; a healthy 20 ppm crystal takes ~4 minutes
+  DRIFT_WINDOW: 10,
   DISCOVERY_TIMEOUT: 10000,
   GAZE_SAMPLE_RATE: 200,
   VIDEO_FRAME_RATE: 30,
   BUFFER_SIZE: 100,
+  RECORDER_FILE_SIZE: 64 * 1024 * 1024, // bytes before a local recording file is rotated
+  RECORDER_FILE_DURATION: 10 * 60 * 1000, // ms before a local recording file is rotated
   SYNC_TOLERANCE: 0.05 // 50ms tolerance for frame-gaze matching
 }
 
@@ -57,7 +68,8 @@ export const DEVICE_CAPABILITIES = {
     hasEyeCameras: true,
     hasPupilDiameter: true,
     hasEyeState3D: true,
-    supportsCalibrationFree: true
+    supportsCalibrationFree: true,
+    sceneCameraResolution: { width: 1600, height: 1200 }
   },
   Invisible: {
     maxGazeRate: 200,
@@ -67,7 +79,8 @@ export const DEVICE_CAPABILITIES = {
     hasEyeCameras: false,
     hasPupilDiameter: false,
     hasEyeState3D: false,
-    supportsCalibrationFree: false
+    supportsCalibrationFree: false,
+    sceneCameraResolution: { width: 1088, height: 1080 }
   }
 }
 
@@ -102,10 +115,17 @@ export const EVENT_TYPES = {
   STREAM_STARTED: 'stream.started',
   STREAM_STOPPED: 'stream.stopped',
   STREAM_ERROR: 'stream.error',
+  STREAM_GAP: 'stream.gap',
+  
+  // Clock events
+  CLOCK_DRIFT: 'clock.drift',
   
   // Recording events
   RECORDING_STARTED: 'recording.started',
   RECORDING_STOPPED: 'recording.stopped',
+  RECORDING_SAVED: 'recording.saved',
+  RECORDING_CANCELLED: 'recording.cancelled',
+  RECORDING_DOWNLOAD_PROGRESS: 'recording.download.progress',
   RECORDING_ERROR: 'recording.error',
   
   // Calibration events
@@ -125,7 +145,11 @@ export const EVENT_TYPES = {
   BLINK_END: 'eye.blink.end',
   FIXATION_START: 'eye.fixation.start',
   FIXATION_END: 'eye.fixation.end',
-  SACCADE: 'eye.saccade'
+  SACCADE: 'eye.saccade',
+  
+  // Replay events
+  REPLAY_MARK: 'replay.mark',
+  REPLAY_END: 'replay.end'
 }
 
 /**
@@ -136,6 +160,7 @@ export const TIMEOUTS = {
   API_REQUEST: 3000,
   STREAM_START: 10000,
   CALIBRATION: 60000,
+  RECORDING_PROCESSING: 60000,
   DISCOVERY: 10000
 }
 
@@ -149,6 +174,26 @@ export const BUFFER_SIZES = {
   EVENTS: 100
 }
 
+/**
+ * What a bounded buffer does when a value arrives while it is full
+ */
+export const OVERFLOW_POLICIES = {
+  DROP_OLDEST: 'dropOldest', // discard the oldest buffered value
+  DROP_NEWEST: 'dropNewest', // discard the incoming value
+  LATEST_ONLY: 'latestOnly', // keep only the most recent value
+  ERROR: 'error' // fail the stream
+}
+
+/**
+ * How the delay between reconnection attempts evolves
+ */
+export const RECONNECT_STRATEGIES = {
+  FIXED: 'fixed', // the same interval every attempt
+  EXPONENTIAL: 'exponential', // interval doubling up to a maximum delay
+  EXPONENTIAL_JITTER: 'exponentialJitter', // exponential, randomized so devices do not retry in lockstep
+  INFINITE: 'infinite' // exponential with jitter, never giving up
+}
+
 /**
  * Validation ranges
  */
@@ -159,7 +204,8 @@ export const VALIDATION = {
   BATTERY: { min: 0, max: 100 },
   SAMPLE_RATE: { min: 1, max: 200 },
   FRAME_RATE: { min: 1, max: 60 },
-  PORT: { min: 1, max: 65535 }
+  PORT: { min: 1, max: 65535 },
+  EVENT_NAME: { maxLength: 255 }
 }
 
 /**
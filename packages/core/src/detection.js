@@ -0,0 +1,467 @@
+/**
+ * Client-side eye movement detection over gaze Observables
+ * Produces the same EyeEvent objects ({ type, data }) as the device eye events
+ * stream, so detectors can stand in for firmware that does not push events.
+ */
+import { Observable } from './observable.js'
+import { EVENT_TYPES, DEVICE_CAPABILITIES } from './constants.js'
+import { DetectionError, ErrorCodes } from './errors.js'
+
+/**
+ * Default I-VT (velocity-threshold) options
+ */
+export const DEFAULT_IVT_OPTIONS = {
+  velocityThreshold: 30, // deg/s, samples faster than this are saccadic
+  minFixationDuration: 0.06, // seconds
+  maxGapDuration: 0.1, // seconds without usable samples before the current movement is closed
+  minConfidence: 0.6,
+  fieldOfView: { horizontal: 103, vertical: 77 }, // Neon scene camera, degrees
+  frameSize: DEVICE_CAPABILITIES.Neon.sceneCameraResolution // scene camera pixels, for fixation dispersion
+}
+
+/**
+ * Default I-DT (dispersion-threshold) options
+ */
+export const DEFAULT_IDT_OPTIONS = {
+  dispersionThreshold: 1.0, // degrees, (max x - min x) + (max y - min y)
+  minFixationDuration: 0.1, // seconds
+  maxGapDuration: 0.1, // seconds without usable samples before the current fixation is closed
+  minConfidence: 0.6,
+  fieldOfView: { horizontal: 103, vertical: 77 }, // Neon scene camera, degrees
+  frameSize: DEVICE_CAPABILITIES.Neon.sceneCameraResolution // scene camera pixels, for fixation dispersion
+}
+
+/**
+ * Default blink detection options
+ */
+export const DEFAULT_BLINK_OPTIONS = {
+  confidenceThreshold: 0.5, // samples below this confidence count as eye closed
+  minBlinkDuration: 0.05, // seconds
+  maxBlinkDuration: 0.5, // seconds, longer closures are not blinks
+  maxSampleInterval: 0.02 // seconds between samples before the missing interval counts as closed
+}
+
+/**
+ * Normalize fieldOfView option into horizontal/vertical degrees
+ * @param {number|{horizontal: number, vertical: number}} fieldOfView - Field of view in degrees
+ * @returns {{horizontal: number, vertical: number}}
+ */
+const resolveFieldOfView = (fieldOfView) => {
+  const fov = typeof fieldOfView === 'number'
+    ? { horizontal: fieldOfView, vertical: fieldOfView }
+    : fieldOfView
+
+  if (!fov || !(fov.horizontal > 0) || !(fov.vertical > 0)) {
+    throw DetectionError('fieldOfView must be a positive number or { horizontal, vertical } in degrees',
+      ErrorCodes.INVALID_PARAMETER, { fieldOfView })
+  }
+  return fov
+}
+
+/**
+ * Check the frameSize option
+ * @param {{width: number, height: number}} frameSize - Scene camera size in pixels
+ * @returns {{width: number, height: number}}
+ */
+const resolveFrameSize = (frameSize) => {
+  if (!frameSize || !(frameSize.width > 0) || !(frameSize.height > 0)) {
+    throw DetectionError('frameSize must be { width, height } in pixels', ErrorCodes.INVALID_PARAMETER, { frameSize })
+  }
+  return frameSize
+}
+
+/**
+ * Throw if a numeric option is not positive
+ * @param {Object} options - Options object
+ * @param {string[]} names - Option names to check
+ */
+const requirePositive = (options, names) => {
+  for (const name of names) {
+    if (!(options[name] > 0)) {
+      throw DetectionError(`${name} must be a positive number`, ErrorCodes.INVALID_PARAMETER, {
+        [name]: options[name]
+      })
+    }
+  }
+}
+
+/**
+ * Whether a gaze sample is usable for movement classification
+ * @param {Object} gaze - Gaze sample
+ * @param {number} minConfidence - Minimum confidence
+ * @returns {boolean}
+ */
+const isUsableSample = (gaze, minConfidence) =>
+  gaze.worn !== false && gaze.confidence >= minConfidence
+
+/**
+ * Summarize a fixation from its samples
+ * Dispersion follows the I-DT definition: (max x - min x) + (max y - min y),
+ * in scene camera pixels as `dispersion` and in degrees as `dispersionDegrees`.
+ * @param {Object[]} samples - Gaze samples belonging to the fixation
+ * @param {{horizontal: number, vertical: number}} fov - Field of view in degrees
+ * @param {{width: number, height: number}} frameSize - Scene camera size in pixels
+ * @returns {{x: number, y: number, start: number, end: number, duration: number, dispersion: number, dispersionDegrees: number}}
+ */
+export const summarizeFixation = (samples, fov, frameSize) => {
+  let sumX = 0
+  let sumY = 0
+  let minX = Infinity
+  let maxX = -Infinity
+  let minY = Infinity
+  let maxY = -Infinity
+
+  for (const { x, y } of samples) {
+    sumX += x
+    sumY += y
+    minX = Math.min(minX, x)
+    maxX = Math.max(maxX, x)
+    minY = Math.min(minY, y)
+    maxY = Math.max(maxY, y)
+  }
+
+  const start = samples[0].timestamp
+  const end = samples[samples.length - 1].timestamp
+
+  return {
+    x: sumX / samples.length,
+    y: sumY / samples.length,
+    start,
+    end,
+    duration: end - start,
+    dispersion: (maxX - minX) * frameSize.width + (maxY - minY) * frameSize.height,
+    dispersionDegrees: (maxX - minX) * fov.horizontal + (maxY - minY) * fov.vertical
+  }
+}
+
+/**
+ * Build a FIXATION_START event from a fixation summary
+ * @param {Object} summary - Result of summarizeFixation
+ * @returns {Object} EyeEvent
+ */
+const fixationStartEvent = (summary) => ({
+  type: EVENT_TYPES.FIXATION_START,
+  data: { type: 'start', x: summary.x, y: summary.y, timestamp: summary.start }
+})
+
+/**
+ * Build a FIXATION_END event from a fixation summary
+ * @param {Object} summary - Result of summarizeFixation
+ * @returns {Object} EyeEvent
+ */
+const fixationEndEvent = (summary) => ({
+  type: EVENT_TYPES.FIXATION_END,
+  data: {
+    type: 'end',
+    x: summary.x,
+    y: summary.y,
+    timestamp: summary.end,
+    duration: summary.duration,
+    dispersion: summary.dispersion,
+    dispersionDegrees: summary.dispersionDegrees
+  }
+})
+
+/**
+ * Run an incremental detector over an array or an Observable of samples
+ * Detectors are created per run as { push(sample), flush() } and report
+ * events through the emit callback they are created with.
+ * @param {Array|Observable} source - Samples
+ * @param {Function} createDetector - (emit) => detector
+ * @returns {Array|Observable} Events, in the same form as the source
+ */
+const runDetector = (source, createDetector) => {
+  if (Array.isArray(source)) {
+    const events = []
+    const detector = createDetector(event => events.push(event))
+    source.forEach(sample => detector.push(sample))
+    detector.flush()
+    return events
+  }
+
+  return new Observable(observer => {
+    const detector = createDetector(event => observer.next(event))
+    const subscription = source.subscribe({
+      next: (sample) => detector.push(sample),
+      error: (error) => observer.error(error),
+      complete: () => {
+        detector.flush()
+        observer.complete()
+      }
+    })
+
+    return () => subscription.unsubscribe()
+  })
+}
+
+/**
+ * Detect fixations and saccades with velocity-threshold identification (I-VT)
+ *
+ * Each usable sample is classified by the angular velocity of the interval
+ * that ends at it. Runs of slow samples lasting at least minFixationDuration
+ * become fixations; runs of fast samples become saccades, measured from the
+ * last slow sample before them. Normalized coordinates are converted to
+ * degrees linearly using fieldOfView.
+ *
+ * @param {Array|Observable} gaze$ - GazeData samples, as an Observable or an array
+ * @param {Object} [options] - Detection options, see DEFAULT_IVT_OPTIONS
+ * @returns {Array|Observable} EyeEvents ({ type, data }) with FixationEvent and SaccadeEvent payloads
+ */
+export const detectFixations = (gaze$, options = {}) => {
+  const config = { ...DEFAULT_IVT_OPTIONS, ...options }
+  const fov = resolveFieldOfView(config.fieldOfView)
+  const frameSize = resolveFrameSize(config.frameSize)
+  requirePositive(config, ['velocityThreshold', 'minFixationDuration', 'maxGapDuration'])
+
+  return runDetector(gaze$, (emit) => {
+    let previous = null
+    let fixation = [] // samples of the current fixation
+    let fixationStarted = false
+    let saccade = null // { onset, samples, peakVelocity }
+
+    const closeFixation = () => {
+      if (fixationStarted) {
+        emit(fixationEndEvent(summarizeFixation(fixation, fov, frameSize)))
+      }
+      fixation = []
+      fixationStarted = false
+    }
+
+    const closeSaccade = () => {
+      const { onset, samples, peakVelocity } = saccade
+      const end = samples[samples.length - 1]
+      saccade = null
+
+      emit({
+        type: EVENT_TYPES.SACCADE,
+        data: {
+          startX: onset.x,
+          startY: onset.y,
+          endX: end.x,
+          endY: end.y,
+          timestamp: onset.timestamp,
+          duration: end.timestamp - onset.timestamp,
+          amplitude: Math.hypot((end.x - onset.x) * fov.horizontal, (end.y - onset.y) * fov.vertical),
+          peakVelocity
+        }
+      })
+    }
+
+    const addFixationSample = (gaze) => {
+      fixation.push(gaze)
+      if (!fixationStarted && gaze.timestamp - fixation[0].timestamp >= config.minFixationDuration) {
+        fixationStarted = true
+        emit(fixationStartEvent(summarizeFixation(fixation, fov, frameSize)))
+      }
+    }
+
+    return {
+      push: (gaze) => {
+        if (!isUsableSample(gaze, config.minConfidence)) {
+          return
+        }
+
+        const dt = previous ? gaze.timestamp - previous.timestamp : Infinity
+        if (dt <= 0) {
+          return
+        }
+
+        if (dt > config.maxGapDuration) {
+          // Data gap: the movement in progress cannot be measured reliably
+          closeFixation()
+          saccade = null
+          previous = gaze
+          addFixationSample(gaze)
+          return
+        }
+
+        const velocity = Math.hypot(
+          (gaze.x - previous.x) * fov.horizontal,
+          (gaze.y - previous.y) * fov.vertical
+        ) / dt
+
+        if (velocity >= config.velocityThreshold) {
+          if (!saccade) {
+            closeFixation()
+            saccade = { onset: previous, samples: [], peakVelocity: 0 }
+          }
+          saccade.samples.push(gaze)
+          saccade.peakVelocity = Math.max(saccade.peakVelocity, velocity)
+        } else {
+          if (saccade) {
+            closeSaccade()
+          }
+          addFixationSample(gaze)
+        }
+
+        previous = gaze
+      },
+
+      // A saccade cut off by the end of the stream has no landing point
+      flush: () => closeFixation()
+    }
+  })
+}
+
+/**
+ * Detect fixations with dispersion-threshold identification (I-DT)
+ *
+ * A window spanning minFixationDuration slides over the usable samples until
+ * its dispersion, (max x - min x) + (max y - min y) in degrees, is within
+ * dispersionThreshold. The fixation then grows sample by sample for as long
+ * as the dispersion stays within the threshold. Fixation end events carry
+ * duration, dispersion in pixels and dispersionDegrees.
+ *
+ * @param {Array|Observable} gaze$ - GazeData samples, as an Observable or an array
+ * @param {Object} [options] - Detection options, see DEFAULT_IDT_OPTIONS
+ * @returns {Array|Observable} EyeEvents ({ type, data }) with FixationEvent payloads
+ */
+export const detectFixationsIDT = (gaze$, options = {}) => {
+  const config = { ...DEFAULT_IDT_OPTIONS, ...options }
+  const fov = resolveFieldOfView(config.fieldOfView)
+  const frameSize = resolveFrameSize(config.frameSize)
+  requirePositive(config, ['dispersionThreshold', 'minFixationDuration', 'maxGapDuration'])
+
+  return runDetector(gaze$, (emit) => {
+    let window = []
+    let fixation = null // { samples, minX, maxX, minY, maxY }
+
+    const dispersionOf = ({ minX, maxX, minY, maxY }) =>
+      (maxX - minX) * fov.horizontal + (maxY - minY) * fov.vertical
+
+    const boundsOf = (samples) => ({
+      minX: Math.min(...samples.map(s => s.x)),
+      maxX: Math.max(...samples.map(s => s.x)),
+      minY: Math.min(...samples.map(s => s.y)),
+      maxY: Math.max(...samples.map(s => s.y))
+    })
+
+    const closeFixation = () => {
+      if (fixation) {
+        emit(fixationEndEvent(summarizeFixation(fixation.samples, fov, frameSize)))
+        fixation = null
+      }
+    }
+
+    // Slide the window until it is a fixation or shorter than minFixationDuration
+    const scanWindow = () => {
+      while (window.length > 1 &&
+        window[window.length - 1].timestamp - window[0].timestamp >= config.minFixationDuration) {
+        const bounds = boundsOf(window)
+        if (dispersionOf(bounds) <= config.dispersionThreshold) {
+          fixation = { samples: window, ...bounds }
+          window = []
+          emit(fixationStartEvent(summarizeFixation(fixation.samples, fov, frameSize)))
+          return
+        }
+        window.shift()
+      }
+    }
+
+    return {
+      push: (gaze) => {
+        if (!isUsableSample(gaze, config.minConfidence)) {
+          return
+        }
+
+        const last = fixation ? fixation.samples[fixation.samples.length - 1] : window[window.length - 1]
+        if (last) {
+          const dt = gaze.timestamp - last.timestamp
+          if (dt <= 0) {
+            return
+          }
+          if (dt > config.maxGapDuration) {
+            closeFixation()
+            window = []
+          }
+        }
+
+        if (fixation) {
+          const extended = {
+            minX: Math.min(fixation.minX, gaze.x),
+            maxX: Math.max(fixation.maxX, gaze.x),
+            minY: Math.min(fixation.minY, gaze.y),
+            maxY: Math.max(fixation.maxY, gaze.y)
+          }
+          if (dispersionOf(extended) <= config.dispersionThreshold) {
+            fixation.samples.push(gaze)
+            Object.assign(fixation, extended)
+            return
+          }
+          closeFixation()
+        }
+
+        window.push(gaze)
+        scanWindow()
+      },
+
+      flush: () => closeFixation()
+    }
+  })
+}
+
+/**
+ * Detect blinks from confidence dips and missing samples
+ *
+ * The eye counts as closed while samples are below confidenceThreshold or
+ * not worn, and across intervals with no samples longer than
+ * maxSampleInterval. A closure becomes a blink when the eye reopens within
+ * minBlinkDuration..maxBlinkDuration. Since the duration decides whether a
+ * closure is a blink, BLINK_START and BLINK_END are both emitted when the
+ * eye reopens; the start event carries the onset timestamp.
+ *
+ * @param {Array|Observable} gaze$ - GazeData samples, as an Observable or an array
+ * @param {Object} [options] - Detection options, see DEFAULT_BLINK_OPTIONS
+ * @returns {Array|Observable} EyeEvents ({ type, data }) with BlinkEvent payloads
+ */
+export const detectBlinks = (gaze$, options = {}) => {
+  const config = { ...DEFAULT_BLINK_OPTIONS, ...options }
+  requirePositive(config, ['confidenceThreshold', 'minBlinkDuration', 'maxBlinkDuration', 'maxSampleInterval'])
+  if (config.maxBlinkDuration < config.minBlinkDuration) {
+    throw DetectionError('maxBlinkDuration must not be less than minBlinkDuration', ErrorCodes.INVALID_PARAMETER, {
+      minBlinkDuration: config.minBlinkDuration,
+      maxBlinkDuration: config.maxBlinkDuration
+    })
+  }
+
+  return runDetector(gaze$, (emit) => {
+    let previous = null
+    let closedSince = null // onset of the current closure
+
+    const reopen = (timestamp) => {
+      const duration = timestamp - closedSince
+      if (duration >= config.minBlinkDuration && duration <= config.maxBlinkDuration) {
+        emit({ type: EVENT_TYPES.BLINK_START, data: { type: 'start', timestamp: closedSince } })
+        emit({ type: EVENT_TYPES.BLINK_END, data: { type: 'end', timestamp, duration } })
+      }
+      closedSince = null
+    }
+
+    return {
+      push: (gaze) => {
+        if (previous && gaze.timestamp <= previous.timestamp) {
+          return
+        }
+
+        // The eye was last seen open at the previous sample
+        if (previous && closedSince === null && gaze.timestamp - previous.timestamp > config.maxSampleInterval) {
+          closedSince = previous.timestamp
+        }
+
+        const closed = gaze.worn === false || gaze.confidence < config.confidenceThreshold
+        if (closed) {
+          if (closedSince === null) {
+            closedSince = gaze.timestamp
+          }
+        } else if (closedSince !== null) {
+          reopen(gaze.timestamp)
+        }
+
+        previous = gaze
+      },
+
+      // A closure still in progress has no known duration
+      flush: () => {}
+    }
+  })
+}
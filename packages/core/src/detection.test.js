@@ -0,0 +1,257 @@
+/**
+ * Eye movement detection tests
+ */
+import { describe, it, expect } from 'vitest'
+import { Observable } from './observable.js'
+import { EVENT_TYPES } from './constants.js'
+import { detectFixations, detectFixationsIDT, detectBlinks } from './detection.js'
+import { generators } from '../../../test-utils/test-helpers.js'
+
+const SAMPLE_INTERVAL = 0.005 // 200Hz
+
+/**
+ * Build a deterministic gaze sequence from segments of [x, y, sampleCount]
+ * Positions move linearly from the previous segment end to the given point.
+ */
+const buildGaze = (segments, startTime = 1000) => {
+  const samples = []
+  let [x, y] = segments[0]
+  let t = startTime
+  
+  for (const [targetX, targetY, count] of segments) {
+    for (let i = 1; i <= count; i++) {
+      const jitter = (samples.length % 2) * 0.0002
+      samples.push({
+        x: x + (targetX - x) * (i / count) + jitter,
+        y: y + (targetY - y) * (i / count),
+        confidence: 0.95,
+        timestamp: t,
+        worn: true
+      })
+      t += SAMPLE_INTERVAL
+    }
+    x = targetX
+    y = targetY
+  }
+  
+  return samples
+}
+
+/**
+ * Emit an array synchronously and collect detector output
+ */
+const collect = (detector, samples) => new Promise((resolve, reject) => {
+  const events = []
+  const source = new Observable(observer => {
+    samples.forEach(sample => observer.next(sample))
+    observer.complete()
+  })
+  
+  detector(source).subscribe({
+    next: (event) => events.push(event),
+    error: reject,
+    complete: () => resolve(events)
+  })
+})
+
+describe('detectFixations (I-VT)', () => {
+  // 200ms fixation, 40ms saccade, 200ms fixation
+  const samples = buildGaze([[0.3, 0.5, 40], [0.7, 0.5, 8], [0.7, 0.5, 40]])
+  
+  it('should emit fixation start/end around a saccade', async () => {
+    const events = await collect(gaze$ => detectFixations(gaze$), samples)
+    
+    expect(events.map(e => e.type)).toEqual([
+      EVENT_TYPES.FIXATION_START,
+      EVENT_TYPES.FIXATION_END,
+      EVENT_TYPES.SACCADE,
+      EVENT_TYPES.FIXATION_START,
+      EVENT_TYPES.FIXATION_END
+    ])
+  })
+  
+  it('should fill FixationEvent fields', async () => {
+    const events = await collect(gaze$ => detectFixations(gaze$), samples)
+    const first = events[1].data
+    
+    expect(first.type).toBe('end')
+    expect(first.x).toBeCloseTo(0.3, 2)
+    expect(first.y).toBeCloseTo(0.5, 5)
+    expect(first.duration).toBeCloseTo(39 * SAMPLE_INTERVAL, 6)
+    expect(first.dispersionDegrees).toBeLessThan(0.1)
+    expect(first.dispersion).toBeLessThan(2)
+  })
+  
+  it('should fill SaccadeEvent fields in degrees', async () => {
+    const events = await collect(gaze$ => detectFixations(gaze$), samples)
+    const saccade = events[2].data
+    
+    expect(saccade.startX).toBeCloseTo(0.3, 2)
+    expect(saccade.endX).toBeCloseTo(0.7, 2)
+    expect(saccade.duration).toBeCloseTo(8 * SAMPLE_INTERVAL, 6)
+    expect(saccade.amplitude).toBeCloseTo(0.4 * 103, 0)
+    // 0.05 normalized per 5ms at 103° horizontal FOV
+    expect(saccade.peakVelocity).toBeCloseTo(0.05 * 103 / SAMPLE_INTERVAL, -1)
+  })
+  
+  it('should use fieldOfView to convert to degrees', async () => {
+    const narrow = await collect(gaze$ => detectFixations(gaze$, { fieldOfView: 50 }), samples)
+    expect(narrow[2].data.amplitude).toBeCloseTo(0.4 * 50, 0)
+  })
+  
+  it('should respect the velocity threshold', async () => {
+    const events = await collect(gaze$ => detectFixations(gaze$, { velocityThreshold: 5000 }), samples)
+    expect(events.map(e => e.type)).toEqual([EVENT_TYPES.FIXATION_START, EVENT_TYPES.FIXATION_END])
+  })
+  
+  it('should not report fixations shorter than minFixationDuration', async () => {
+    const short = buildGaze([[0.3, 0.5, 10], [0.7, 0.5, 8], [0.7, 0.5, 10]])
+    const events = await collect(gaze$ => detectFixations(gaze$), short)
+    expect(events.map(e => e.type)).toEqual([EVENT_TYPES.SACCADE])
+  })
+  
+  it('should skip low-confidence samples and split on gaps', async () => {
+    const gappy = samples.map((gaze, i) => (i >= 10 && i < 40 ? { ...gaze, confidence: 0.1 } : gaze))
+    const events = await collect(gaze$ => detectFixations(gaze$), gappy)
+    
+    // The first 10 samples (45ms) are too short to be a fixation and the 155ms gap closes them
+    expect(events.map(e => e.type)).toEqual([
+      EVENT_TYPES.SACCADE,
+      EVENT_TYPES.FIXATION_START,
+      EVENT_TYPES.FIXATION_END
+    ])
+    // The saccade is measured from the first usable sample after the gap
+    expect(events[0].data.startX).toBeCloseTo(0.35, 2)
+    expect(events[1].data.x).toBeCloseTo(0.7, 2)
+  })
+  
+  it('should validate options', () => {
+    expect(() => detectFixations(Observable.empty(), { velocityThreshold: 0 })).toThrow('velocityThreshold')
+    expect(() => detectFixations(Observable.empty(), { fieldOfView: { horizontal: 90 } })).toThrow('fieldOfView')
+  })
+  
+  it('should propagate source errors', async () => {
+    const failure = new Error('stream failed')
+    await expect(collect(() => detectFixations(Observable.throwError(failure)), [])).rejects.toBe(failure)
+  })
+  
+  it('should accept arrays and return an array of events', async () => {
+    const fromArray = detectFixations(samples)
+    const fromObservable = await collect(gaze$ => detectFixations(gaze$), samples)
+    
+    expect(Array.isArray(fromArray)).toBe(true)
+    expect(fromArray).toEqual(fromObservable)
+  })
+})
+
+describe('detectFixationsIDT (I-DT)', () => {
+  // 200ms fixation, 40ms saccade, 200ms fixation
+  const samples = buildGaze([[0.3, 0.5, 40], [0.7, 0.5, 8], [0.7, 0.5, 40]])
+  
+  it('should split fixations when dispersion exceeds the threshold', async () => {
+    const events = await collect(gaze$ => detectFixationsIDT(gaze$), samples)
+    
+    expect(events.map(e => e.type)).toEqual([
+      EVENT_TYPES.FIXATION_START,
+      EVENT_TYPES.FIXATION_END,
+      EVENT_TYPES.FIXATION_START,
+      EVENT_TYPES.FIXATION_END
+    ])
+  })
+  
+  it('should report duration and dispersion on fixation end', () => {
+    const [start, end, secondStart, secondEnd] = detectFixationsIDT(samples)
+    
+    expect(start.data.timestamp).toBe(samples[0].timestamp)
+    expect(end.data.x).toBeCloseTo(0.3, 2)
+    expect(end.data.duration).toBeCloseTo(39 * SAMPLE_INTERVAL, 6)
+    expect(end.data.dispersion).toBeCloseTo(0.0002 * 1600, 6)
+    expect(end.data.dispersionDegrees).toBeCloseTo(0.0002 * 103, 6)
+    // The second fixation begins once the saccade lands
+    expect(secondStart.data.timestamp).toBe(samples[47].timestamp)
+    expect(secondEnd.data.x).toBeCloseTo(0.7, 2)
+    expect(secondEnd.data.duration).toBeCloseTo(40 * SAMPLE_INTERVAL, 6)
+  })
+  
+  it('should not report fixations shorter than minFixationDuration', () => {
+    const events = detectFixationsIDT(samples, { minFixationDuration: 0.3 })
+    expect(events).toEqual([])
+  })
+  
+  it('should close fixations on gaps', () => {
+    const gappy = samples.map((gaze, i) => (i >= 25 && i < 48 ? { ...gaze, worn: false } : gaze))
+    const events = detectFixationsIDT(gappy)
+    
+    expect(events.map(e => e.type)).toEqual([
+      EVENT_TYPES.FIXATION_START,
+      EVENT_TYPES.FIXATION_END,
+      EVENT_TYPES.FIXATION_START,
+      EVENT_TYPES.FIXATION_END
+    ])
+    expect(events[1].data.duration).toBeCloseTo(24 * SAMPLE_INTERVAL, 6)
+    expect(events[2].data.timestamp).toBe(samples[48].timestamp)
+  })
+  
+  it('should detect a single fixation in generated gaze sequences', () => {
+    const sequence = generators.gazeSequence(100, { startTime: 1000 })
+    const events = detectFixationsIDT(sequence, { dispersionThreshold: 6 })
+    
+    expect(events.map(e => e.type)).toEqual([EVENT_TYPES.FIXATION_START, EVENT_TYPES.FIXATION_END])
+    expect(events[1].data.duration).toBeCloseTo(99 / 200, 6)
+    expect(events[1].data.dispersionDegrees).toBeLessThanOrEqual(6)
+  })
+  
+  it('should validate options', () => {
+    expect(() => detectFixationsIDT([], { dispersionThreshold: -1 })).toThrow('dispersionThreshold')
+    expect(() => detectFixationsIDT([], { frameSize: { width: 1600 } })).toThrow('frameSize')
+  })
+})
+
+describe('detectBlinks', () => {
+  const samples = buildGaze([[0.5, 0.5, 200]])
+  const withClosure = (from, to, change = { confidence: 0.1 }) =>
+    samples.map((gaze, i) => (i >= from && i < to ? { ...gaze, ...change } : gaze))
+  
+  it('should detect blinks from confidence dips', async () => {
+    // Samples 50-69 closed: 100ms from first closed sample to reopening
+    const events = await collect(gaze$ => detectBlinks(gaze$), withClosure(50, 70))
+    
+    expect(events).toEqual([
+      { type: EVENT_TYPES.BLINK_START, data: { type: 'start', timestamp: samples[50].timestamp } },
+      {
+        type: EVENT_TYPES.BLINK_END,
+        data: { type: 'end', timestamp: samples[70].timestamp, duration: samples[70].timestamp - samples[50].timestamp }
+      }
+    ])
+  })
+  
+  it('should treat worn: false as closed', () => {
+    const events = detectBlinks(withClosure(50, 70, { worn: false }))
+    expect(events.map(e => e.type)).toEqual([EVENT_TYPES.BLINK_START, EVENT_TYPES.BLINK_END])
+  })
+  
+  it('should detect blinks from missing samples', () => {
+    const missing = samples.filter((_, i) => i < 50 || i >= 70)
+    const [start, end] = detectBlinks(missing)
+    
+    // Onset is the last sample the eye was seen open
+    expect(start.data.timestamp).toBe(samples[49].timestamp)
+    expect(end.data.timestamp).toBe(samples[70].timestamp)
+    expect(end.data.duration).toBeCloseTo(21 * SAMPLE_INTERVAL, 6)
+  })
+  
+  it('should apply minimum and maximum blink durations', () => {
+    // 20ms and 600ms closures
+    expect(detectBlinks(withClosure(50, 54))).toEqual([])
+    expect(detectBlinks(withClosure(50, 170))).toEqual([])
+    expect(detectBlinks(withClosure(50, 170), { maxBlinkDuration: 1 })).toHaveLength(2)
+  })
+  
+  it('should drop a closure that has not ended', () => {
+    expect(detectBlinks(withClosure(150, 200))).toEqual([])
+  })
+  
+  it('should validate options', () => {
+    expect(() => detectBlinks([], { minBlinkDuration: 0.3, maxBlinkDuration: 0.2 })).toThrow('maxBlinkDuration')
+  })
+})
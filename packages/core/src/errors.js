@@ -28,11 +28,18 @@ export const ErrorCodes = {
   STREAM_INTERRUPTED: 'STREAM_INTERRUPTED',
   STREAM_DECODE_ERROR: 'STREAM_DECODE_ERROR',
   STREAM_NOT_AVAILABLE: 'STREAM_NOT_AVAILABLE',
+  STREAM_BUFFER_OVERFLOW: 'STREAM_BUFFER_OVERFLOW',
   
   // Recording errors
   RECORDING_START_FAILED: 'RECORDING_START_FAILED',
   RECORDING_STOP_FAILED: 'RECORDING_STOP_FAILED',
   RECORDING_STORAGE_FULL: 'RECORDING_STORAGE_FULL',
+  RECORDING_ALREADY_STARTED: 'RECORDING_ALREADY_STARTED',
+  RECORDING_NOT_STARTED: 'RECORDING_NOT_STARTED',
+  RECORDING_CANCEL_FAILED: 'RECORDING_CANCEL_FAILED',
+  RECORDING_FAILED: 'RECORDING_FAILED',
+  RECORDING_NOT_FOUND: 'RECORDING_NOT_FOUND',
+  RECORDING_DOWNLOAD_FAILED: 'RECORDING_DOWNLOAD_FAILED',
   
   // Calibration errors
   CALIBRATION_FAILED: 'CALIBRATION_FAILED',
@@ -59,8 +66,8 @@ export const ErrorCodes = {
 /**
  * Create specific error types
  */
-export const ConnectionError = (message, details) => 
-  createError('ConnectionError', message, ErrorCodes.CONNECTION_FAILED, details)
+export const ConnectionError = (message, details, code) => 
+  createError('ConnectionError', message, code || ErrorCodes.CONNECTION_FAILED, details)
 
 export const DeviceError = (message, code, details) => 
   createError('DeviceError', message, code || ErrorCodes.DEVICE_NOT_FOUND, details)
@@ -77,6 +84,12 @@ export const CalibrationError = (message, code, details) =>
 export const APIError = (message, code, details) => 
   createError('APIError', message, code || ErrorCodes.API_REQUEST_FAILED, details)
 
+export const DetectionError = (message, code, details) => 
+  createError('DetectionError', message, code || ErrorCodes.INVALID_PARAMETER, details)
+
+export const ExportError = (message, code, details) => 
+  createError('ExportError', message, code || ErrorCodes.INVALID_PARAMETER, details)
+
 /**
  * Error recovery suggestions
  */
@@ -96,10 +109,17 @@ export const getRecoverySuggestion = (errorCode) => {
     [ErrorCodes.STREAM_INTERRUPTED]: 'Stream will attempt to resume automatically',
     [ErrorCodes.STREAM_DECODE_ERROR]: 'Check codec support in your environment',
     [ErrorCodes.STREAM_NOT_AVAILABLE]: 'Enable the stream in device settings',
+    [ErrorCodes.STREAM_BUFFER_OVERFLOW]: 'Consume data faster, increase the buffer size or choose a dropping overflow policy',
     
     [ErrorCodes.RECORDING_START_FAILED]: 'Check device storage and permissions',
     [ErrorCodes.RECORDING_STOP_FAILED]: 'Try stopping recording from device directly',
     [ErrorCodes.RECORDING_STORAGE_FULL]: 'Free up space on device storage',
+    [ErrorCodes.RECORDING_ALREADY_STARTED]: 'Stop the current recording or wait until it has been processed',
+    [ErrorCodes.RECORDING_NOT_STARTED]: 'Start a recording first',
+    [ErrorCodes.RECORDING_CANCEL_FAILED]: 'Try cancelling the recording from the device directly',
+    [ErrorCodes.RECORDING_FAILED]: 'Check the recording on the device and start a new one',
+    [ErrorCodes.RECORDING_NOT_FOUND]: 'List the recordings on the device to check the ID',
+    [ErrorCodes.RECORDING_DOWNLOAD_FAILED]: 'Check the connection and retry the download',
     
     [ErrorCodes.CALIBRATION_FAILED]: 'Ensure good lighting and stable head position',
     [ErrorCodes.CALIBRATION_POOR_QUALITY]: 'Repeat calibration with better conditions',
@@ -0,0 +1,134 @@
+/**
+ * Eye event parsing
+ * Converts device-computed eye event messages into typed event objects
+ */
+import { EVENT_TYPES } from './constants.js'
+import { StreamError, ErrorCodes } from './errors.js'
+
+/**
+ * Event types carried by the eye events stream
+ */
+export const EYE_EVENT_TYPES = [
+  EVENT_TYPES.BLINK_START,
+  EVENT_TYPES.BLINK_END,
+  EVENT_TYPES.FIXATION_START,
+  EVENT_TYPES.FIXATION_END,
+  EVENT_TYPES.SACCADE
+]
+
+/**
+ * Read a required numeric field from a device message
+ * @param {Object} message - Device message
+ * @param {string} field - Field name
+ * @returns {number}
+ */
+const requireNumber = (message, field) => {
+  const value = message[field]
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw StreamError(`Eye event field "${field}" must be a number`, ErrorCodes.INVALID_DATA_FORMAT, { message })
+  }
+  return value
+}
+
+const isKnownPhase = (message) => message.phase === 'start' || message.phase === 'end'
+
+/**
+ * Parse a device eye event message
+ *
+ * Device messages use snake_case fields:
+ *   { type: 'blink', phase: 'start' | 'end', timestamp, start_timestamp? }
+ *   { type: 'fixation', phase: 'start' | 'end', x, y, timestamp, start_timestamp?, dispersion? }
+ *   { type: 'saccade', start_x, start_y, end_x, end_y, start_timestamp, timestamp, amplitude, peak_velocity }
+ *
+ * End-phase timestamps are the end of the event; saccade timestamps are the onset.
+ * Event types and phases this version does not know (e.g. from newer
+ * firmware) yield null; malformed known events throw.
+ * @param {Object} message - Device message
+ * @returns {import('./types.js').EyeEvent|null} Typed eye event, or null if unknown
+ */
+export const parseEyeEvent = (message) => {
+  if (!message || typeof message !== 'object') {
+    throw StreamError('Eye event must be an object', ErrorCodes.INVALID_DATA_FORMAT, { message })
+  }
+
+  switch (message.type) {
+    case 'blink': {
+      if (!isKnownPhase(message)) {
+        return null
+      }
+      const phase = message.phase
+      const timestamp = requireNumber(message, 'timestamp')
+
+      if (phase === 'start') {
+        return { type: EVENT_TYPES.BLINK_START, data: { type: 'start', timestamp } }
+      }
+
+      return {
+        type: EVENT_TYPES.BLINK_END,
+        data: {
+          type: 'end',
+          timestamp,
+          duration: timestamp - requireNumber(message, 'start_timestamp')
+        }
+      }
+    }
+
+    case 'fixation': {
+      if (!isKnownPhase(message)) {
+        return null
+      }
+      const phase = message.phase
+      const fixation = {
+        type: phase,
+        x: requireNumber(message, 'x'),
+        y: requireNumber(message, 'y'),
+        timestamp: requireNumber(message, 'timestamp')
+      }
+
+      if (phase === 'start') {
+        return { type: EVENT_TYPES.FIXATION_START, data: fixation }
+      }
+
+      return {
+        type: EVENT_TYPES.FIXATION_END,
+        data: {
+          ...fixation,
+          duration: fixation.timestamp - requireNumber(message, 'start_timestamp'),
+          dispersion: requireNumber(message, 'dispersion')
+        }
+      }
+    }
+
+    case 'saccade': {
+      const startTimestamp = requireNumber(message, 'start_timestamp')
+
+      return {
+        type: EVENT_TYPES.SACCADE,
+        data: {
+          startX: requireNumber(message, 'start_x'),
+          startY: requireNumber(message, 'start_y'),
+          endX: requireNumber(message, 'end_x'),
+          endY: requireNumber(message, 'end_y'),
+          timestamp: startTimestamp,
+          duration: requireNumber(message, 'timestamp') - startTimestamp,
+          amplitude: requireNumber(message, 'amplitude'),
+          peakVelocity: requireNumber(message, 'peak_velocity')
+        }
+      }
+    }
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Unpack a device eye event message into stream values
+ * Unknown events are skipped, so they do not end the shared events socket.
+ * @param {Object} message - Device message
+ * @returns {Array<import('./types.js').EyeEvent>} Zero or one eye events
+ */
+export const unpackEyeEvents = (message) => {
+  const event = parseEyeEvent(message)
+  return event ? [event] : []
+}
@@ -0,0 +1,85 @@
+/**
+ * Eye event parsing tests
+ */
+import { describe, it, expect } from 'vitest'
+import { parseEyeEvent, unpackEyeEvents, EYE_EVENT_TYPES } from './events.js'
+import { EVENT_TYPES } from './constants.js'
+
+describe('parseEyeEvent', () => {
+  it('should parse blink start and end', () => {
+    expect(parseEyeEvent({ type: 'blink', phase: 'start', timestamp: 100 })).toEqual({
+      type: EVENT_TYPES.BLINK_START,
+      data: { type: 'start', timestamp: 100 }
+    })
+    
+    const end = parseEyeEvent({ type: 'blink', phase: 'end', start_timestamp: 100, timestamp: 100.15 })
+    expect(end.type).toBe(EVENT_TYPES.BLINK_END)
+    expect(end.data.type).toBe('end')
+    expect(end.data.duration).toBeCloseTo(0.15)
+  })
+  
+  it('should parse fixation end with duration and dispersion', () => {
+    const event = parseEyeEvent({
+      type: 'fixation',
+      phase: 'end',
+      x: 0.4,
+      y: 0.6,
+      start_timestamp: 10,
+      timestamp: 10.25,
+      dispersion: 12.5
+    })
+    
+    expect(event.type).toBe(EVENT_TYPES.FIXATION_END)
+    expect(event.data).toMatchObject({ type: 'end', x: 0.4, y: 0.6, timestamp: 10.25, dispersion: 12.5 })
+    expect(event.data.duration).toBeCloseTo(0.25)
+  })
+  
+  it('should parse saccades into camelCase fields', () => {
+    const event = parseEyeEvent({
+      type: 'saccade',
+      start_x: 0.2,
+      start_y: 0.5,
+      end_x: 0.7,
+      end_y: 0.5,
+      start_timestamp: 20,
+      timestamp: 20.04,
+      amplitude: 15,
+      peak_velocity: 420
+    })
+    
+    expect(event.type).toBe(EVENT_TYPES.SACCADE)
+    expect(event.data).toMatchObject({ startX: 0.2, endX: 0.7, timestamp: 20, amplitude: 15, peakVelocity: 420 })
+    expect(event.data.duration).toBeCloseTo(0.04)
+  })
+  
+  it('should only produce eye event types', () => {
+    const event = parseEyeEvent({ type: 'fixation', phase: 'start', x: 0.5, y: 0.5, timestamp: 1 })
+    expect(EYE_EVENT_TYPES).toContain(event.type)
+  })
+  
+  it('should reject malformed messages', () => {
+    expect(() => parseEyeEvent(null)).toThrow('must be an object')
+    expect(() => parseEyeEvent({ type: 'fixation', phase: 'start', x: '0.5', y: 0.5, timestamp: 1 }))
+      .toThrow('"x" must be a number')
+  })
+  
+  it('should ignore unknown event types and phases', () => {
+    expect(parseEyeEvent({ type: 'wink', timestamp: 1 })).toBeNull()
+    expect(parseEyeEvent({ type: 'blink', phase: 'middle', timestamp: 1 })).toBeNull()
+    expect(parseEyeEvent({ type: 'fixation', phase: 'middle', x: 0.5, y: 0.5, timestamp: 1 })).toBeNull()
+  })
+})
+
+describe('unpackEyeEvents', () => {
+  it('should skip unknown events between valid ones', () => {
+    const messages = [
+      { type: 'blink', phase: 'start', timestamp: 1 },
+      { type: 'wink', timestamp: 1.05 },
+      { type: 'blink', phase: 'end', timestamp: 1.1, start_timestamp: 1 }
+    ]
+    
+    const events = messages.flatMap(unpackEyeEvents)
+    
+    expect(events.map(event => event.type)).toEqual([EVENT_TYPES.BLINK_START, EVENT_TYPES.BLINK_END])
+  })
+})
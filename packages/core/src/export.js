@@ -0,0 +1,594 @@
+/**
+ * Data exporters
+ * Serialize samples and eye events for analysis outside JavaScript, with the
+ * column names of the Pupil Cloud timeseries export so that existing R and
+ * pandas scripts read the files unchanged.
+ */
+import { Observable } from './observable.js'
+import { DEVICE_CAPABILITIES, EVENT_TYPES } from './constants.js'
+import { ExportError, ErrorCodes } from './errors.js'
+import { DEFAULT_IVT_OPTIONS } from './detection.js'
+import { isStreamGap } from './resume.js'
+
+const RADIANS_TO_DEGREES = 180 / Math.PI
+const STANDARD_GRAVITY = 9.80665 // m/s² per g
+
+// "NEONCOL" followed by the format version
+const COLUMNAR_MAGIC = [0x4e, 0x45, 0x4f, 0x4e, 0x43, 0x4f, 0x4c, 0x01]
+const COLUMNAR_ALIGNMENT = 8
+
+const TYPED_ARRAYS = {
+  int64: BigInt64Array,
+  int32: Int32Array,
+  float64: Float64Array
+}
+
+/**
+ * Values that mark missing entries of integer columns in the columnar format
+ * Integer types have no NaN, so the smallest value of the type is used.
+ */
+export const COLUMNAR_MISSING = {
+  int64: -(2n ** 63n),
+  int32: -(2 ** 31)
+}
+
+const IS_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1
+
+/**
+ * Default export options
+ */
+export const DEFAULT_EXPORT_OPTIONS = {
+  recordingId: '',
+  sectionId: '',
+  frameSize: DEVICE_CAPABILITIES.Neon.sceneCameraResolution, // scene camera pixels for [px] columns
+  fieldOfView: DEFAULT_IVT_OPTIONS.fieldOfView, // degrees, for azimuth / elevation columns
+  units: false // add a units row below the CSV header
+}
+
+// Units are the bracketed part of Pupil Cloud column names, e.g. "timestamp [ns]"
+const column = (name, type = 'float64') => ({ name, type, unit: /\[(.+)\]$/.exec(name)?.[1] ?? '' })
+
+const idColumns = [column('section id', 'string'), column('recording id', 'string')]
+
+/**
+ * Export schemas by name, following the Pupil Cloud files of the same name
+ * Column types are those of the columnar format: 'string' columns hold one
+ * value for the whole export, 'int64' timestamps are nanoseconds.
+ */
+export const EXPORT_SCHEMAS = {
+  gaze: {
+    file: 'gaze.csv',
+    columns: [
+      ...idColumns,
+      column('timestamp [ns]', 'int64'),
+      column('gaze x [px]'),
+      column('gaze y [px]'),
+      column('worn'),
+      column('fixation id'),
+      column('blink id'),
+      column('azimuth [deg]'),
+      column('elevation [deg]')
+    ]
+  },
+  imu: {
+    file: 'imu.csv',
+    columns: [
+      ...idColumns,
+      column('timestamp [ns]', 'int64'),
+      ...['x', 'y', 'z'].map(axis => column(`gyro ${axis} [deg/s]`)),
+      ...['x', 'y', 'z'].map(axis => column(`acceleration ${axis} [g]`)),
+      column('roll [deg]'),
+      column('pitch [deg]'),
+      column('yaw [deg]'),
+      ...['w', 'x', 'y', 'z'].map(axis => column(`quaternion ${axis}`))
+    ]
+  },
+  eyeStates: {
+    file: '3d_eye_states.csv',
+    columns: [
+      ...idColumns,
+      column('timestamp [ns]', 'int64'),
+      column('pupil diameter left [mm]'),
+      column('pupil diameter right [mm]'),
+      ...['left', 'right'].flatMap(eye => ['x', 'y', 'z'].map(axis => column(`eyeball center ${eye} ${axis} [mm]`))),
+      ...['left', 'right'].flatMap(eye => ['x', 'y', 'z'].map(axis => column(`optical axis ${eye} ${axis}`)))
+    ]
+  },
+  fixations: {
+    file: 'fixations.csv',
+    columns: [
+      ...idColumns,
+      column('fixation id', 'int32'),
+      column('start timestamp [ns]', 'int64'),
+      column('end timestamp [ns]', 'int64'),
+      column('duration [ms]'),
+      column('fixation x [px]'),
+      column('fixation y [px]'),
+      column('azimuth [deg]'),
+      column('elevation [deg]')
+    ]
+  },
+  saccades: {
+    file: 'saccades.csv',
+    columns: [
+      ...idColumns,
+      column('saccade id', 'int32'),
+      column('start timestamp [ns]', 'int64'),
+      column('end timestamp [ns]', 'int64'),
+      column('duration [ms]'),
+      column('amplitude [px]'),
+      column('amplitude [deg]'),
+      column('mean velocity [px/s]'),
+      column('peak velocity [px/s]')
+    ]
+  },
+  blinks: {
+    file: 'blinks.csv',
+    columns: [
+      ...idColumns,
+      column('blink id', 'int32'),
+      column('start timestamp [ns]', 'int64'),
+      column('end timestamp [ns]', 'int64'),
+      column('duration [ms]')
+    ]
+  }
+}
+
+/**
+ * Convert Unix seconds to integer nanoseconds
+ * Device timestamps carry microsecond precision, which is kept exactly.
+ * @param {number} seconds - Unix seconds
+ * @returns {bigint|null} Nanoseconds, or null for a missing or non-finite value
+ */
+export const toNanoseconds = (seconds) => Number.isFinite(seconds)
+  ? BigInt(Math.round(seconds * 1e6)) * 1000n
+  : null
+
+/**
+ * Euler angles of an orientation quaternion
+ * @param {[number, number, number, number]} quaternion - [w, x, y, z]
+ * @returns {{roll: number, pitch: number, yaw: number}} Degrees
+ */
+export const quaternionToEuler = ([w, x, y, z]) => ({
+  roll: Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y)) * RADIANS_TO_DEGREES,
+  pitch: Math.asin(Math.max(-1, Math.min(1, 2 * (w * y - z * x)))) * RADIANS_TO_DEGREES,
+  yaw: Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z)) * RADIANS_TO_DEGREES
+})
+
+const resolveSchema = (name) => {
+  const schema = EXPORT_SCHEMAS[name]
+  if (!schema) {
+    throw ExportError(`Unknown export schema: ${name}`, ErrorCodes.INVALID_PARAMETER, {
+      schema: name,
+      available: Object.keys(EXPORT_SCHEMAS)
+    })
+  }
+  return schema
+}
+
+/**
+ * Create the incremental row builder of a schema
+ * Builders are { push(value), flush() } and report rows, keyed by column
+ * name, through emit. Values they do not describe (e.g. gap markers or other
+ * eye event types) are skipped.
+ * @param {string} name - Schema name
+ * @param {Object} options - Export options
+ * @param {Function} emit - Receives each row
+ * @returns {{push: Function, flush: Function}}
+ */
+const createRowBuilder = (name, options, emit) => {
+  const { frameSize, fieldOfView } = options
+  const ids = { 'section id': options.sectionId, 'recording id': options.recordingId }
+  const angles = (x, y) => ({
+    'azimuth [deg]': (x - 0.5) * fieldOfView.horizontal,
+    'elevation [deg]': (0.5 - y) * fieldOfView.vertical
+  })
+  const eventTimes = (start, duration) => ({
+    'start timestamp [ns]': toNanoseconds(start),
+    'end timestamp [ns]': toNanoseconds(start + duration),
+    'duration [ms]': duration * 1000
+  })
+  const flushNothing = () => {}
+
+  switch (name) {
+    case 'gaze':
+      return {
+        push: (gaze) => emit({
+          ...ids,
+          'timestamp [ns]': toNanoseconds(gaze.timestamp),
+          'gaze x [px]': gaze.x * frameSize.width,
+          'gaze y [px]': gaze.y * frameSize.height,
+          worn: gaze.worn === false ? 0 : 1,
+          'fixation id': null,
+          'blink id': null,
+          ...angles(gaze.x, gaze.y)
+        }),
+        flush: flushNothing
+      }
+
+    case 'imu':
+      return {
+        push: ({ timestamp, gyroscope, accelerometer, quaternion }) => {
+          const [gyroX, gyroY, gyroZ] = gyroscope.map(value => value * RADIANS_TO_DEGREES)
+          const [accelerationX, accelerationY, accelerationZ] = accelerometer.map(value => value / STANDARD_GRAVITY)
+          const { roll, pitch, yaw } = quaternionToEuler(quaternion)
+          const [w, x, y, z] = quaternion
+          const row = {
+            ...ids,
+            'timestamp [ns]': toNanoseconds(timestamp),
+            'gyro x [deg/s]': gyroX,
+            'gyro y [deg/s]': gyroY,
+            'gyro z [deg/s]': gyroZ,
+            'acceleration x [g]': accelerationX,
+            'acceleration y [g]': accelerationY,
+            'acceleration z [g]': accelerationZ,
+            'roll [deg]': roll,
+            'pitch [deg]': pitch,
+            'yaw [deg]': yaw,
+            'quaternion w': w,
+            'quaternion x': x,
+            'quaternion y': y,
+            'quaternion z': z
+          }
+          emit(row)
+        },
+        flush: flushNothing
+      }
+
+    case 'eyeStates': {
+      // One EyeState per eye; both eyes of a device message share a timestamp and form one row
+      let pending = null
+      const flush = () => {
+        if (pending) {
+          emit(pending.row)
+        }
+        pending = null
+      }
+      return {
+        push: (state) => {
+          if (pending && pending.timestamp !== state.timestamp) {
+            flush()
+          }
+          if (!pending) {
+            const row = { ...ids, 'timestamp [ns]': toNanoseconds(state.timestamp) }
+            for (const { name: columnName } of EXPORT_SCHEMAS.eyeStates.columns.slice(3)) {
+              row[columnName] = null
+            }
+            pending = { timestamp: state.timestamp, row }
+          }
+          const { row } = pending
+          const eye = state.eye
+          row[`pupil diameter ${eye} [mm]`] = state.pupilDiameter
+          for (const axis of ['X', 'Y', 'Z']) {
+            row[`eyeball center ${eye} ${axis.toLowerCase()} [mm]`] = state[`eyeballCenter${axis}`]
+            row[`optical axis ${eye} ${axis.toLowerCase()}`] = state[`opticalAxis${axis}`]
+          }
+        },
+        flush
+      }
+    }
+
+    case 'fixations': {
+      let id = 0
+      return {
+        push: ({ type, data }) => {
+          if (type !== EVENT_TYPES.FIXATION_END) {
+            return
+          }
+          emit({
+            ...ids,
+            'fixation id': ++id,
+            ...eventTimes(data.timestamp - data.duration, data.duration),
+            'fixation x [px]': data.x * frameSize.width,
+            'fixation y [px]': data.y * frameSize.height,
+            ...angles(data.x, data.y)
+          })
+        },
+        flush: flushNothing
+      }
+    }
+
+    case 'saccades': {
+      let id = 0
+      const pixelsPerDegree = frameSize.width / fieldOfView.horizontal
+      return {
+        push: ({ type, data }) => {
+          if (type !== EVENT_TYPES.SACCADE) {
+            return
+          }
+          const amplitude = Math.hypot((data.endX - data.startX) * frameSize.width, (data.endY - data.startY) * frameSize.height)
+          emit({
+            ...ids,
+            'saccade id': ++id,
+            ...eventTimes(data.timestamp, data.duration),
+            'amplitude [px]': amplitude,
+            'amplitude [deg]': data.amplitude,
+            'mean velocity [px/s]': data.duration > 0 ? amplitude / data.duration : null,
+            'peak velocity [px/s]': typeof data.peakVelocity === 'number' ? data.peakVelocity * pixelsPerDegree : null
+          })
+        },
+        flush: flushNothing
+      }
+    }
+
+    case 'blinks': {
+      let id = 0
+      return {
+        push: ({ type, data }) => {
+          if (type !== EVENT_TYPES.BLINK_END) {
+            return
+          }
+          emit({
+            ...ids,
+            'blink id': ++id,
+            ...eventTimes(data.timestamp - data.duration, data.duration)
+          })
+        },
+        flush: flushNothing
+      }
+    }
+  }
+}
+
+/**
+ * Run a schema's row builder over an array or an Observable of values
+ * Arrays are converted at once and passed to `finish`; Observables emit
+ * `start()` first, then `format(row)` for every row, then `end()` on completion.
+ * @param {string} name - Schema name
+ * @param {Array|Observable} source - Samples or eye events
+ * @param {Object} options - Export options
+ * @param {Function} createWriter - Creates the { start(), format(row), end(), finish(rows) } of this
+ *   output format; called once per conversion, so writers may keep state per subscription
+ * @returns {*|Observable} Output, in the form matching the source
+ */
+const runExport = (name, source, options, createWriter) => {
+  resolveSchema(name)
+  const config = { ...DEFAULT_EXPORT_OPTIONS, ...options }
+
+  if (Array.isArray(source)) {
+    const rows = []
+    const builder = createRowBuilder(name, config, row => rows.push(row))
+    for (const value of source) {
+      if (!isStreamGap(value)) {
+        builder.push(value)
+      }
+    }
+    builder.flush()
+    return createWriter().finish(rows, config)
+  }
+
+  return new Observable(observer => {
+    const writer = createWriter()
+    const emitAll = (values) => values.forEach(value => observer.next(value))
+    emitAll(writer.start(config))
+    const builder = createRowBuilder(name, config, row => emitAll(writer.format(row, config)))
+    const subscription = source.subscribe({
+      next: (value) => {
+        if (!isStreamGap(value)) {
+          builder.push(value)
+        }
+      },
+      error: (error) => observer.error(error),
+      complete: () => {
+        builder.flush()
+        emitAll(writer.end(config))
+        observer.complete()
+      }
+    })
+
+    return () => subscription.unsubscribe()
+  })
+}
+
+const csvField = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return ''
+  }
+  const text = String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\n`
+
+/**
+ * Export samples or eye events as CSV
+ *
+ * The header holds the Pupil Cloud column names, e.g. "timestamp [ns]"; with
+ * `units: true` a second row repeats the units alone, for tools that expect
+ * one (skip it in pandas with `skiprows=[1]`). Missing values are empty.
+ *
+ * @param {string} schema - One of EXPORT_SCHEMAS: 'gaze', 'imu', 'eyeStates', 'fixations', 'saccades' or 'blinks'
+ * @param {Array|Observable} source - GazeData, IMUData, EyeState records or EyeEvents
+ * @param {Object} [options] - Export options, see DEFAULT_EXPORT_OPTIONS
+ * @returns {string|Observable<string>} The CSV text, or an Observable of its lines for an Observable source
+ */
+export const toCSV = (schema, source, options = {}) => {
+  const { columns } = resolveSchema(schema)
+  const header = (config) => [
+    csvLine(columns.map(({ name }) => name)),
+    ...(config.units ? [csvLine(columns.map(({ unit }) => unit))] : [])
+  ]
+  const format = (row) => [csvLine(columns.map(({ name }) => row[name]))]
+
+  return runExport(schema, source, options, () => ({
+    start: header,
+    format,
+    end: () => [],
+    finish: (rows, config) => [...header(config), ...rows.flatMap(format)].join('')
+  }))
+}
+
+// JSON has no BigInt; nanosecond timestamps are written as numbers
+const jsonLine = (row) => `${JSON.stringify(row, (key, value) => typeof value === 'bigint' ? Number(value) : value)}\n`
+
+/**
+ * Export samples or eye events as JSON lines
+ * Each line is one row keyed by the CSV column names (pandas: `read_json(path, lines=True)`).
+ * @param {string} schema - One of EXPORT_SCHEMAS
+ * @param {Array|Observable} source - GazeData, IMUData, EyeState records or EyeEvents
+ * @param {Object} [options] - Export options, see DEFAULT_EXPORT_OPTIONS
+ * @returns {string|Observable<string>} The JSONL text, or an Observable of its lines for an Observable source
+ */
+export const toJSONL = (schema, source, options = {}) => runExport(schema, source, options, () => ({
+  start: () => [],
+  format: (row) => [jsonLine(row)],
+  end: () => [],
+  finish: (rows) => rows.map(jsonLine).join('')
+}))
+
+const align = (offset) => Math.ceil(offset / COLUMNAR_ALIGNMENT) * COLUMNAR_ALIGNMENT
+
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value)
+
+/**
+ * Convert a row value for a typed array column
+ * @param {string} type - Column type
+ * @param {*} value - Row value
+ * @returns {number|bigint}
+ */
+const toColumnValue = (type, value) => {
+  if (isMissing(value)) {
+    return type === 'float64' ? NaN : COLUMNAR_MISSING[type]
+  }
+  if (type === 'int64' && typeof value === 'number') {
+    return BigInt(Math.round(value))
+  }
+  return value
+}
+
+/**
+ * Encode rows in the columnar binary format
+ * Layout: 8 magic bytes ("NEONCOL", version 1), the header length as a
+ * little-endian uint32, the JSON header, then one little-endian typed array
+ * per numeric column, each starting at a multiple of 8 bytes. The header
+ * lists { name, unit, type } per column with the `offset` of its data, or the
+ * `value` of a string column. Integer columns also list the `missing` value
+ * (COLUMNAR_MISSING) as a decimal string; float64 columns use NaN.
+ * @param {string} name - Schema name
+ * @param {Object[]} rows - Rows keyed by column name
+ * @param {Object} config - Export options
+ * @returns {Uint8Array}
+ */
+const encodeColumnar = (name, rows, config) => {
+  if (!IS_LITTLE_ENDIAN) {
+    throw ExportError('The columnar format is only written on little-endian platforms', ErrorCodes.NOT_IMPLEMENTED)
+  }
+
+  const { columns } = EXPORT_SCHEMAS[name]
+  const headerColumns = columns.map(({ name: columnName, unit, type }) => {
+    if (type === 'string') {
+      return { name: columnName, unit, type, value: columnName === 'section id' ? config.sectionId : config.recordingId }
+    }
+    return { name: columnName, unit, type, offset: 0, ...(type !== 'float64' && { missing: String(COLUMNAR_MISSING[type]) }) }
+  })
+
+  // Data offsets depend on the header length, which depends on the offsets' digits; settle it by iterating
+  let header
+  let dataStart = 0
+  for (;;) {
+    let offset = dataStart
+    for (const entry of headerColumns) {
+      if (entry.type === 'string') {
+        continue
+      }
+      entry.offset = offset
+      offset = align(offset + rows.length * TYPED_ARRAYS[entry.type].BYTES_PER_ELEMENT)
+    }
+    header = new TextEncoder().encode(JSON.stringify({ schema: name, length: rows.length, columns: headerColumns }))
+    const start = align(COLUMNAR_MAGIC.length + 4 + header.length)
+    if (start === dataStart) {
+      break
+    }
+    dataStart = start
+  }
+
+  const lastColumn = headerColumns.filter(entry => entry.type !== 'string').at(-1)
+  const size = lastColumn
+    ? align(lastColumn.offset + rows.length * TYPED_ARRAYS[lastColumn.type].BYTES_PER_ELEMENT)
+    : dataStart
+  const bytes = new Uint8Array(size)
+  bytes.set(COLUMNAR_MAGIC, 0)
+  new DataView(bytes.buffer).setUint32(COLUMNAR_MAGIC.length, header.length, true)
+  bytes.set(header, COLUMNAR_MAGIC.length + 4)
+
+  for (const entry of headerColumns) {
+    if (entry.type === 'string') {
+      continue
+    }
+    const data = new TYPED_ARRAYS[entry.type](bytes.buffer, entry.offset, rows.length)
+    rows.forEach((row, i) => {
+      data[i] = toColumnValue(entry.type, row[entry.name])
+    })
+  }
+
+  return bytes
+}
+
+/**
+ * Export samples or eye events in a compact columnar binary format
+ * Numeric columns are stored as typed arrays (int64 nanosecond timestamps,
+ * int32 event IDs, float64 values), so they can be loaded without parsing,
+ * e.g. with numpy.frombuffer at each column's offset. Missing values are NaN
+ * in float64 columns and the COLUMNAR_MISSING value in integer columns.
+ * Read it back with fromColumnar().
+ * @param {string} schema - One of EXPORT_SCHEMAS
+ * @param {Array|Observable} source - GazeData, IMUData, EyeState records or EyeEvents
+ * @param {Object} [options] - Export options, see DEFAULT_EXPORT_OPTIONS
+ * @returns {Uint8Array|Observable<Uint8Array>} The encoded table; an Observable source yields it on completion
+ */
+export const toColumnar = (schema, source, options = {}) => runExport(schema, source, options, () => {
+  // Rows of this subscription, encoded on completion
+  const rows = []
+  return {
+    start: () => [],
+    format: (row) => {
+      rows.push(row)
+      return []
+    },
+    end: (config) => [encodeColumnar(schema, rows, config)],
+    finish: (allRows, config) => encodeColumnar(schema, allRows, config)
+  }
+})
+
+/**
+ * Decode the columnar binary format
+ * @param {Uint8Array|ArrayBuffer} input - Encoded table
+ * @returns {{schema: string, length: number, units: Object<string, string>, columns: Object<string, TypedArray|string>}}
+ */
+export const fromColumnar = (input) => {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input)
+  const invalid = (reason) => ExportError(`Invalid columnar data: ${reason}`, ErrorCodes.INVALID_DATA_FORMAT)
+
+  if (bytes.length < COLUMNAR_MAGIC.length + 4 || COLUMNAR_MAGIC.some((byte, i) => bytes[i] !== byte)) {
+    throw invalid('missing NEONCOL header')
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const headerLength = view.getUint32(COLUMNAR_MAGIC.length, true)
+  const headerStart = COLUMNAR_MAGIC.length + 4
+  let header
+  try {
+    header = JSON.parse(new TextDecoder().decode(bytes.subarray(headerStart, headerStart + headerLength)))
+  } catch (error) {
+    throw invalid('unreadable header')
+  }
+
+  // Typed array views need aligned offsets; copy unaligned input (e.g. a slice of a larger buffer)
+  const buffer = bytes.byteOffset % COLUMNAR_ALIGNMENT === 0 ? bytes : bytes.slice()
+  const columns = {}
+  const units = {}
+  for (const { name, unit, type, offset, value } of header.columns) {
+    units[name] = unit
+    if (type === 'string') {
+      columns[name] = value
+      continue
+    }
+    const TypedArray = TYPED_ARRAYS[type]
+    if (!TypedArray || offset + header.length * TypedArray.BYTES_PER_ELEMENT > buffer.byteLength) {
+      throw invalid(`column "${name}" is out of bounds`)
+    }
+    columns[name] = new TypedArray(buffer.buffer, buffer.byteOffset + offset, header.length)
+  }
+
+  return { schema: header.schema, length: header.length, units, columns }
+}
@@ -0,0 +1,244 @@
+/**
+ * Data exporter tests
+ */
+import { describe, it, expect } from 'vitest'
+import { Observable, Subject } from './observable.js'
+import { EVENT_TYPES } from './constants.js'
+import { ErrorCodes } from './errors.js'
+import { createStreamGap } from './resume.js'
+import {
+  EXPORT_SCHEMAS,
+  toNanoseconds,
+  quaternionToEuler,
+  toCSV,
+  toJSONL,
+  toColumnar,
+  fromColumnar,
+  COLUMNAR_MISSING
+} from './export.js'
+
+const gaze = [
+  { x: 0.5, y: 0.5, confidence: 0.9, timestamp: 1700000000.123456, worn: true },
+  { x: 0.25, y: 0.75, confidence: 0.9, timestamp: 1700000000.128456, worn: false }
+]
+
+const imu = {
+  quaternion: [1, 0, 0, 0],
+  accelerometer: [0, 0, 9.80665],
+  gyroscope: [Math.PI, 0, 0],
+  timestamp: 1700000000.5
+}
+
+const eyeState = (eye, timestamp, pupilDiameter) => ({
+  eye,
+  pupilDiameter,
+  eyeballCenterX: 30,
+  eyeballCenterY: 10,
+  eyeballCenterZ: -20,
+  opticalAxisX: 0,
+  opticalAxisY: 0,
+  opticalAxisZ: 1,
+  confidence: 0.9,
+  timestamp
+})
+
+const collect = (observable) => new Promise((resolve, reject) => {
+  const values = []
+  observable.subscribe({ next: value => values.push(value), error: reject, complete: () => resolve(values) })
+})
+
+const parseCSV = (text) => text.trim().split('\n').map(line => line.split(','))
+
+describe('conversions', () => {
+  it('should keep microsecond timestamps exact in nanoseconds', () => {
+    expect(toNanoseconds(1700000000.123456)).toBe(1700000000123456000n)
+    expect(toNanoseconds(undefined)).toBeNull()
+  })
+
+  it('should convert quaternions to Euler angles in degrees', () => {
+    const half = Math.SQRT1_2
+    expect(quaternionToEuler([1, 0, 0, 0])).toEqual({ roll: 0, pitch: 0, yaw: 0 })
+    expect(quaternionToEuler([half, 0, 0, half]).yaw).toBeCloseTo(90)
+  })
+})
+
+describe('toCSV', () => {
+  it('should write gaze with the Pupil Cloud columns', () => {
+    const [header, first, second] = parseCSV(toCSV('gaze', gaze, { recordingId: 'rec' }))
+
+    expect(header).toEqual(EXPORT_SCHEMAS.gaze.columns.map(({ name }) => name))
+    expect(header).toContain('timestamp [ns]')
+    expect(first).toEqual(['', 'rec', '1700000000123456000', '800', '600', '1', '', '', '0', '0'])
+    expect(second.slice(3, 6)).toEqual(['400', '900', '0'])
+  })
+
+  it('should add a units row on request', () => {
+    const [, units] = parseCSV(toCSV('gaze', gaze, { units: true }))
+
+    expect(units).toEqual(['', '', 'ns', 'px', 'px', '', '', '', 'deg', 'deg'])
+  })
+
+  it('should convert IMU samples to Cloud units', () => {
+    const [header, row] = parseCSV(toCSV('imu', [imu]))
+    const values = Object.fromEntries(header.map((name, i) => [name, row[i]]))
+
+    expect(values).toMatchObject({
+      'gyro x [deg/s]': '180',
+      'acceleration z [g]': '1',
+      'roll [deg]': '0',
+      'quaternion w': '1'
+    })
+  })
+
+  it('should merge both eyes into one row per timestamp', () => {
+    const rows = parseCSV(toCSV('eyeStates', [
+      eyeState('left', 1, 3.1),
+      eyeState('right', 1, 3.3),
+      eyeState('left', 2, 3.2)
+    ]))
+    const column = (name) => rows[0].indexOf(name)
+
+    expect(rows).toHaveLength(3)
+    expect(rows[1][column('pupil diameter left [mm]')]).toBe('3.1')
+    expect(rows[1][column('pupil diameter right [mm]')]).toBe('3.3')
+    expect(rows[2][column('pupil diameter right [mm]')]).toBe('')
+  })
+
+  it('should number fixations, saccades and blinks from their events', () => {
+    const events = [
+      { type: EVENT_TYPES.FIXATION_START, data: { type: 'start', x: 0.5, y: 0.5, timestamp: 10 } },
+      { type: EVENT_TYPES.FIXATION_END, data: { type: 'end', x: 0.5, y: 0.5, timestamp: 10.25, duration: 0.25, dispersion: 0.4 } },
+      { type: EVENT_TYPES.SACCADE, data: { startX: 0.5, startY: 0.5, endX: 0.75, endY: 0.5, timestamp: 10.25, duration: 0.05, amplitude: 25.75, peakVelocity: 600 } },
+      { type: EVENT_TYPES.BLINK_END, data: { type: 'end', timestamp: 11, duration: 0.1 } }
+    ]
+
+    const [, fixation] = parseCSV(toCSV('fixations', events))
+    const [, saccade] = parseCSV(toCSV('saccades', events))
+    const [, blink] = parseCSV(toCSV('blinks', events))
+
+    expect(fixation.slice(2, 6)).toEqual(['1', '10000000000', '10250000000', '250'])
+    expect(saccade.slice(2, 7)).toEqual(['1', '10250000000', '10300000000', '50', '400'])
+    expect(Number(saccade[9])).toBeCloseTo(600 * 1600 / 103)
+    expect(blink.slice(2)).toEqual(['1', '10900000000', '11000000000', '100'])
+  })
+
+  it('should quote fields containing separators', () => {
+    const [, row] = toCSV('blinks', [{ type: EVENT_TYPES.BLINK_END, data: { timestamp: 1, duration: 0.1 } }],
+      { recordingId: 'a,"b"' }).split('\n')
+
+    expect(row.startsWith(',"a,""b""",1,')).toBe(true)
+  })
+
+  it('should stream lines from an Observable and skip gaps', async () => {
+    const source = new Observable(observer => {
+      observer.next(gaze[0])
+      observer.next(createStreamGap('gaze', gaze[0].timestamp, gaze[1].timestamp))
+      observer.next(gaze[1])
+      observer.complete()
+    })
+
+    const lines = await collect(toCSV('gaze', source))
+
+    expect(lines).toHaveLength(3)
+    expect(lines.join('')).toBe(toCSV('gaze', gaze))
+  })
+
+  it('should refuse unknown schemas', () => {
+    expect(() => toCSV('pupils', [])).toThrow(expect.objectContaining({
+      name: 'ExportError',
+      code: ErrorCodes.INVALID_PARAMETER
+    }))
+  })
+})
+
+describe('toJSONL', () => {
+  it('should write one object per row keyed by column name', () => {
+    const lines = toJSONL('gaze', gaze, { frameSize: { width: 1088, height: 1080 } }).trim().split('\n').map(line => JSON.parse(line))
+
+    expect(lines).toHaveLength(2)
+    expect(lines[0]).toMatchObject({ 'timestamp [ns]': 1700000000123456000, 'gaze x [px]': 544, 'gaze y [px]': 540, worn: 1 })
+  })
+})
+
+describe('columnar format', () => {
+  it('should round-trip typed columns', () => {
+    const bytes = toColumnar('gaze', gaze, { recordingId: 'rec' })
+    const table = fromColumnar(bytes)
+
+    expect(table.schema).toBe('gaze')
+    expect(table.length).toBe(2)
+    expect(table.units['timestamp [ns]']).toBe('ns')
+    expect(table.columns['recording id']).toBe('rec')
+    expect(table.columns['timestamp [ns]']).toEqual(new BigInt64Array([1700000000123456000n, 1700000000128456000n]))
+    expect(Array.from(table.columns['gaze x [px]'])).toEqual([800, 400])
+    expect(Number.isNaN(table.columns['fixation id'][0])).toBe(true)
+  })
+
+  it('should align every column to 8 bytes', () => {
+    const bytes = toColumnar('blinks', [
+      { type: EVENT_TYPES.BLINK_END, data: { timestamp: 1, duration: 0.1 } },
+      { type: EVENT_TYPES.BLINK_END, data: { timestamp: 2, duration: 0.1 } },
+      { type: EVENT_TYPES.BLINK_END, data: { timestamp: 3, duration: 0.1 } }
+    ])
+    const table = fromColumnar(bytes.buffer)
+
+    expect(Array.from(table.columns['blink id'])).toEqual([1, 2, 3])
+    expect(Array.from(table.columns['duration [ms]'])).toEqual([100, 100, 100])
+    expect(bytes.length % 8).toBe(0)
+  })
+
+  it('should mark missing values', () => {
+    const saccade = { startX: 0.5, startY: 0.5, endX: 0.75, endY: 0.5, timestamp: 10, amplitude: 25.75 }
+    const gazeTable = fromColumnar(toColumnar('gaze', [{ ...gaze[0], timestamp: undefined, x: undefined }, gaze[1]]))
+    const saccadeTable = fromColumnar(toColumnar('saccades', [{ type: EVENT_TYPES.SACCADE, data: saccade }]))
+
+    expect(gazeTable.columns['timestamp [ns]']).toEqual(new BigInt64Array([COLUMNAR_MISSING.int64, 1700000000128456000n]))
+    expect(Number.isNaN(gazeTable.columns['gaze x [px]'][0])).toBe(true)
+    expect(gazeTable.columns['gaze y [px]'][0]).toBe(600)
+    expect(saccadeTable.columns['start timestamp [ns]'][0]).toBe(10000000000n)
+    expect(saccadeTable.columns['end timestamp [ns]'][0]).toBe(COLUMNAR_MISSING.int64)
+    expect(Number.isNaN(saccadeTable.columns['duration [ms]'][0])).toBe(true)
+  })
+
+  it('should list the missing value of integer columns in the header', () => {
+    const bytes = toColumnar('blinks', [])
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + new DataView(bytes.buffer).getUint32(8, true))))
+    const column = (name) => header.columns.find(entry => entry.name === name)
+
+    expect(column('blink id').missing).toBe(String(COLUMNAR_MISSING.int32))
+    expect(column('start timestamp [ns]').missing).toBe('-9223372036854775808')
+    expect(column('duration [ms]').missing).toBeUndefined()
+  })
+
+  it('should buffer rows per subscription', async () => {
+    const source = new Subject()
+    const columnar = toColumnar('gaze', source)
+
+    const early = collect(columnar)
+    source.next(gaze[0])
+    const late = collect(columnar)
+    source.next(gaze[1])
+    source.complete()
+
+    expect(fromColumnar((await early)[0]).length).toBe(2)
+    expect(fromColumnar((await late)[0]).length).toBe(1)
+  })
+
+  it('should encode an Observable source on completion', async () => {
+    const source = new Observable(observer => {
+      gaze.forEach(sample => observer.next(sample))
+      observer.complete()
+    })
+
+    const [bytes] = await collect(toColumnar('gaze', source))
+
+    expect(bytes).toEqual(toColumnar('gaze', gaze))
+  })
+
+  it('should reject data in another format', () => {
+    expect(() => fromColumnar(new TextEncoder().encode('timestamp [ns]\n1'))).toThrow(expect.objectContaining({
+      name: 'ExportError',
+      code: ErrorCodes.INVALID_DATA_FORMAT
+    }))
+  })
+})
@@ -0,0 +1,92 @@
+/**
+ * Connection liveness monitoring
+ * A socket can stay "open" long after a Wi-Fi dropout, so devices watch for
+ * silence instead of waiting for a close event that may never come.
+ */
+import { DEFAULTS } from './constants.js'
+
+/**
+ * Create a heartbeat monitor
+ *
+ * Every `interval` ms the monitor checks how long ago the last message was
+ * received and calls onTimeout once that exceeds `timeout`; it then stops
+ * until started again. Otherwise it calls `ping`, if given. Call pong() when
+ * the device answers a ping, which both counts as a message and measures the
+ * round trip. A ping returning a promise measures the round trip when it
+ * resolves without counting as a message, for probes over another channel.
+ *
+ * @param {Object} options - Heartbeat options
+ * @param {number} [options.interval] - Check and ping interval in ms
+ * @param {number} [options.timeout] - Silence in ms after which the connection is lost
+ * @param {Function} [options.ping] - Sends a ping to the device
+ * @param {Function} options.onTimeout - Called with { silentFor } when the timeout is exceeded
+ * @returns {Object} Heartbeat with start(), stop(), received(), pong() and lastMessageAt / roundTripTime getters
+ */
+export const createHeartbeat = ({
+  interval = DEFAULTS.HEARTBEAT_INTERVAL,
+  timeout = DEFAULTS.HEARTBEAT_TIMEOUT,
+  ping,
+  onTimeout
+}) => {
+  let timer = null
+  let lastMessageAt = null
+  let pingSentAt = null
+  let roundTripTime = null
+
+  const recordRoundTrip = (sentAt) => {
+    roundTripTime = Date.now() - sentAt
+  }
+
+  const check = () => {
+    const silentFor = Date.now() - lastMessageAt
+    if (silentFor >= timeout) {
+      stop()
+      onTimeout({ silentFor })
+      return
+    }
+
+    if (ping) {
+      const sentAt = Date.now()
+      pingSentAt = sentAt
+      const result = ping()
+      if (result && typeof result.then === 'function') {
+        result.then(() => recordRoundTrip(sentAt), () => {})
+      }
+    }
+  }
+
+  const start = () => {
+    stop()
+    lastMessageAt = Date.now()
+    timer = setInterval(check, interval)
+  }
+
+  const stop = () => {
+    clearInterval(timer)
+    timer = null
+    pingSentAt = null
+  }
+
+  return {
+    start,
+    stop,
+
+    /** Record a message from the device */
+    received: () => {
+      lastMessageAt = Date.now()
+    },
+
+    /** Record the answer to the last ping */
+    pong: () => {
+      lastMessageAt = Date.now()
+      if (pingSentAt !== null) {
+        recordRoundTrip(pingSentAt)
+        pingSentAt = null
+      }
+    },
+
+    get running() { return timer !== null },
+    get lastMessageAt() { return lastMessageAt },
+    get roundTripTime() { return roundTripTime }
+  }
+}
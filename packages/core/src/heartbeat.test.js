@@ -0,0 +1,73 @@
+/**
+ * Heartbeat monitor tests
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createHeartbeat } from './heartbeat.js'
+
+describe('createHeartbeat', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should ping every interval while messages arrive', () => {
+    const ping = vi.fn()
+    const onTimeout = vi.fn()
+    const heartbeat = createHeartbeat({ interval: 100, timeout: 300, ping, onTimeout })
+
+    heartbeat.start()
+    for (let i = 0; i < 10; i++) {
+      vi.advanceTimersByTime(100)
+      heartbeat.received()
+    }
+
+    expect(ping).toHaveBeenCalledTimes(10)
+    expect(onTimeout).not.toHaveBeenCalled()
+    expect(heartbeat.lastMessageAt).toBe(Date.now())
+    heartbeat.stop()
+  })
+
+  it('should declare the connection lost after the timeout and stop', () => {
+    const onTimeout = vi.fn()
+    const heartbeat = createHeartbeat({ interval: 100, timeout: 300, onTimeout })
+
+    heartbeat.start()
+    vi.advanceTimersByTime(1000)
+
+    expect(onTimeout).toHaveBeenCalledTimes(1)
+    expect(onTimeout).toHaveBeenCalledWith({ silentFor: 300 })
+    expect(heartbeat.running).toBe(false)
+  })
+
+  it('should measure the round trip on pong', () => {
+    const heartbeat = createHeartbeat({ interval: 100, timeout: 300, ping: () => {}, onTimeout: () => {} })
+
+    heartbeat.start()
+    vi.advanceTimersByTime(100)
+    vi.setSystemTime(Date.now() + 12)
+    heartbeat.pong()
+
+    expect(heartbeat.roundTripTime).toBe(12)
+    heartbeat.stop()
+  })
+
+  it('should measure promise-based probes without counting them as messages', async () => {
+    const onTimeout = vi.fn()
+    const heartbeat = createHeartbeat({
+      interval: 100,
+      timeout: 250,
+      ping: () => new Promise(resolve => setTimeout(resolve, 20)),
+      onTimeout
+    })
+
+    heartbeat.start()
+    await vi.advanceTimersByTimeAsync(150)
+    expect(heartbeat.roundTripTime).toBe(20)
+
+    await vi.advanceTimersByTimeAsync(200)
+    expect(onTimeout).toHaveBeenCalledTimes(1)
+  })
+})
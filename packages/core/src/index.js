@@ -21,6 +21,45 @@ export * from './semantic.js'
 // Export minimal observable implementation
 export * from './observable.js'
 
+// Export pipeable Observable operators
+export * from './operators.js'
+
+// Export per-subscription buffering and overflow policies
+export * from './backpressure.js'
+
+// Export reconnection strategies
+export * from './reconnect.js'
+
+// Export host/device clock synchronization
+export * from './clock.js'
+
+// Export connection liveness monitoring
+export * from './heartbeat.js'
+
+// Export stream resumption across reconnects
+export * from './resume.js'
+
+// Export recording lifecycle tracking
+export * from './recording.js'
+
+// Export ReadableStream adapters
+export * from './interop.js'
+
+// Export video frame wire format helpers
+export * from './video.js'
+
+// Export eye event parsing
+export * from './events.js'
+
+// Export client-side eye movement detection
+export * from './detection.js'
+
+// Export CSV, JSONL and columnar data exporters
+export * from './export.js'
+
+// Export BIDS eye-tracking files
+export * from './bids.js'
+
 // Version info
 export const VERSION = '0.1.0'
 export const API_VERSION = '1.0.0'
\ No newline at end of file
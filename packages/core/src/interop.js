@@ -0,0 +1,75 @@
+/**
+ * WHATWG stream interop
+ * Adapters between Observables and ReadableStreams, using the global
+ * ReadableStream available in Node.js 18+, Bun and browsers.
+ */
+import { Observable } from './observable.js'
+
+/**
+ * Expose an Observable as a ReadableStream
+ * The stream pulls from the Observable's async iterator, so the iterator's
+ * bounded buffer and overflow policy decide what happens while downstream
+ * consumers are slower than the source. Cancelling the stream unsubscribes.
+ * @param {Observable} observable - Source Observable
+ * @param {Object} [options] - Async iterator options (bufferSize, overflow)
+ * @returns {ReadableStream}
+ */
+export const toReadableStream = (observable, options = {}) => {
+  let iterator
+
+  return new ReadableStream({
+    start() {
+      iterator = observable.toAsyncIterator(options)
+    },
+
+    async pull(controller) {
+      const { value, done } = await iterator.next()
+      if (done) {
+        controller.close()
+      } else {
+        controller.enqueue(value)
+      }
+    },
+
+    async cancel() {
+      await iterator.return()
+    }
+  })
+}
+
+/**
+ * Wrap a ReadableStream as an Observable
+ * The stream is read as fast as subscribers accept values; unsubscribing
+ * cancels the stream. A stream can only be read by one subscriber at a time.
+ * @param {ReadableStream} stream - Source stream
+ * @returns {Observable}
+ */
+export const fromReadableStream = (stream) => new Observable(observer => {
+  const reader = stream.getReader()
+  let cancelled = false
+
+  const read = () => {
+    reader.read().then(({ value, done }) => {
+      if (cancelled) {
+        return
+      }
+      if (done) {
+        observer.complete()
+      } else {
+        observer.next(value)
+        read()
+      }
+    }, (error) => {
+      if (!cancelled) {
+        observer.error(error)
+      }
+    })
+  }
+
+  read()
+
+  return () => {
+    cancelled = true
+    reader.cancel().catch(() => {})
+  }
+})
@@ -0,0 +1,86 @@
+/**
+ * ReadableStream interop tests
+ */
+import { describe, it, expect } from 'vitest'
+import { Observable, Subject } from './observable.js'
+import { toReadableStream, fromReadableStream } from './interop.js'
+
+const readAll = async (stream) => {
+  const values = []
+  const reader = stream.getReader()
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) {
+      return values
+    }
+    values.push(value)
+  }
+}
+
+describe('toReadableStream', () => {
+  it('should stream values until the Observable completes', async () => {
+    expect(await readAll(toReadableStream(Observable.from([1, 2, 3])))).toEqual([1, 2, 3])
+  })
+
+  it('should work with TransformStream pipelines', async () => {
+    const doubled = toReadableStream(Observable.from([1, 2])).pipeThrough(new TransformStream({
+      transform: (value, controller) => controller.enqueue(value * 2)
+    }))
+    expect(await readAll(doubled)).toEqual([2, 4])
+  })
+
+  it('should error the stream when the Observable errors', async () => {
+    const failure = new Error('stream failed')
+    await expect(readAll(toReadableStream(Observable.throwError(failure)))).rejects.toBe(failure)
+  })
+
+  it('should unsubscribe when the stream is cancelled', async () => {
+    const subject = new Subject()
+    const stream = toReadableStream(subject)
+    expect(subject.observerCount).toBe(1)
+
+    await stream.cancel()
+    expect(subject.observerCount).toBe(0)
+  })
+})
+
+describe('fromReadableStream', () => {
+  const streamOf = (values) => new ReadableStream({
+    start(controller) {
+      values.forEach(value => controller.enqueue(value))
+      controller.close()
+    }
+  })
+
+  it('should emit chunks and complete', async () => {
+    const values = []
+    await new Promise((resolve, reject) => {
+      fromReadableStream(streamOf(['a', 'b'])).subscribe({
+        next: (value) => values.push(value),
+        error: reject,
+        complete: resolve
+      })
+    })
+    expect(values).toEqual(['a', 'b'])
+  })
+
+  it('should round-trip through toReadableStream', async () => {
+    const values = []
+    for await (const value of fromReadableStream(toReadableStream(Observable.from([1, 2, 3])))) {
+      values.push(value)
+    }
+    expect(values).toEqual([1, 2, 3])
+  })
+
+  it('should cancel the stream on unsubscribe', async () => {
+    let cancelled = false
+    const stream = new ReadableStream({
+      pull: () => new Promise(() => {}),
+      cancel: () => { cancelled = true }
+    })
+
+    fromReadableStream(stream).subscribe(() => {}).unsubscribe()
+    await new Promise(resolve => setTimeout(resolve, 0))
+    expect(cancelled).toBe(true)
+  })
+})
@@ -3,6 +3,9 @@
  * Replaces RxJS Observable for basic streaming functionality
  * Compatible API with RxJS Observable but much smaller bundle size
  */
+import { DEFAULTS, OVERFLOW_POLICIES } from './constants.js'
+import { StreamError, ErrorCodes } from './errors.js'
+import { createBoundedQueue } from './utils.js'
 
 /**
  * Simple observer interface
@@ -67,11 +70,12 @@ export class Observable {
     let closed = false
 
     // Create safe observer that checks if subscription is closed
+    // next() passes on the observer's return value so async observers can signal backpressure
     const safeObserver = {
       next: (value) => {
         if (!closed) {
           try {
-            observer.next(value)
+            return observer.next(value)
           } catch (err) {
             safeObserver.error(err)
           }
@@ -131,6 +135,110 @@ export class Observable {
     }
   }
 
+  /**
+   * Apply operators left to right
+   * @param {...Function} operators - Operators of the form (source) => Observable
+   * @returns {Observable} Resulting Observable
+   */
+  pipe(...operators) {
+    return operators.reduce((result, operator) => operator(result), this)
+  }
+
+  /**
+   * Consume the Observable as an async iterator
+   * Values are queued while the consumer is busy. When the queue is full the
+   * overflow policy applies; with 'error' the iterator throws a
+   * STREAM_BUFFER_OVERFLOW StreamError after the queued values. The source is
+   * subscribed on creation and unsubscribed by return() (e.g. `break` in for await).
+   * @param {Object} [options] - Iterator options
+   * @param {number} [options.bufferSize] - Maximum number of queued values
+   * @param {string} [options.overflow] - One of OVERFLOW_POLICIES
+   * @returns {AsyncIterableIterator<*>} Iterator, also exposing a `dropped` count
+   */
+  toAsyncIterator({ bufferSize = DEFAULTS.BUFFER_SIZE, overflow = OVERFLOW_POLICIES.ERROR } = {}) {
+    const queue = createBoundedQueue(bufferSize, overflow)
+    const waiting = [] // pending next() calls: { resolve, reject }
+    let finished = false
+    let failure = null
+
+    const settle = () => {
+      while (waiting.length > 0) {
+        if (queue.length > 0) {
+          waiting.shift().resolve({ value: queue.shift(), done: false })
+        } else if (failure) {
+          waiting.shift().reject(failure)
+        } else if (finished) {
+          waiting.shift().resolve({ value: undefined, done: true })
+        } else {
+          return
+        }
+      }
+    }
+
+    const finish = (error = null) => {
+      if (finished) {
+        return
+      }
+      finished = true
+      failure = error
+      settle()
+    }
+
+    let subscription = null
+    subscription = this.subscribe({
+      next: (value) => {
+        if (finished) {
+          return
+        }
+        if (!queue.push(value)) {
+          finish(StreamError(`Async iterator buffer overflow (${bufferSize} values)`,
+            ErrorCodes.STREAM_BUFFER_OVERFLOW, { bufferSize }))
+          subscription?.unsubscribe()
+          return
+        }
+        settle()
+      },
+      error: (error) => finish(error),
+      complete: () => finish()
+    })
+    if (finished) {
+      subscription.unsubscribe()
+    }
+
+    const iterator = {
+      next: () => new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject })
+        settle()
+      }),
+
+      return: (value) => {
+        subscription.unsubscribe()
+        queue.clear()
+        failure = null
+        finish()
+        return Promise.resolve({ value, done: true })
+      },
+
+      get dropped() {
+        return queue.dropped
+      },
+
+      [Symbol.asyncIterator]() {
+        return iterator
+      }
+    }
+
+    return iterator
+  }
+
+  /**
+   * Iterate with for await, using the default buffer and overflow policy
+   * @returns {AsyncIterableIterator<*>}
+   */
+  [Symbol.asyncIterator]() {
+    return this.toAsyncIterator()
+  }
+
   /**
    * Create Observable from array of values
    * @param {Array} values - Values to emit
@@ -263,4 +371,59 @@ export class Subject extends Observable {
   get closed() {
     return this._closed
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Subject that replays its last values to new subscribers
+ * Late subscribers also receive the completion or error once the subject is closed.
+ */
+export class ReplaySubject extends Subject {
+  /**
+   * @param {number} [bufferSize] - Number of values to replay
+   */
+  constructor(bufferSize = Infinity) {
+    super()
+    this._bufferSize = bufferSize
+    this._values = []
+    this._hasError = false
+    this._error = null
+
+    const subscribeLive = this._subscriber
+    this._subscriber = (observer) => {
+      for (const value of this._values) {
+        observer.next(value)
+      }
+      if (this._closed) {
+        this._hasError ? observer.error(this._error) : observer.complete()
+        return
+      }
+      return subscribeLive(observer)
+    }
+  }
+
+  /**
+   * Record and emit next value
+   * @param {*} value - Value to emit
+   */
+  next(value) {
+    if (!this._closed) {
+      this._values.push(value)
+      if (this._values.length > this._bufferSize) {
+        this._values.shift()
+      }
+    }
+    super.next(value)
+  }
+
+  /**
+   * Record and emit error
+   * @param {Error} error - Error to emit
+   */
+  error(error) {
+    if (!this._closed) {
+      this._hasError = true
+      this._error = error
+    }
+    super.error(error)
+  }
+}
@@ -4,6 +4,7 @@
  */
 import { describe, it, expect, vi } from 'vitest'
 import { Observable, Subject } from './observable.js'
+import { ErrorCodes } from './errors.js'
 
 describe('Observable', () => {
   describe('constructor and basic functionality', () => {
@@ -233,6 +234,74 @@ describe('Observable', () => {
       })
     })
   })
+
+  describe('async iteration', () => {
+    it('should support for await over values', async () => {
+      const values = []
+      for await (const value of Observable.from([1, 2, 3])) {
+        values.push(value)
+      }
+      expect(values).toEqual([1, 2, 3])
+    })
+
+    it('should unsubscribe when the loop exits early', async () => {
+      const subject = new Subject()
+      const iterator = subject.toAsyncIterator()
+      
+      subject.next(1)
+      subject.next(2)
+      
+      for await (const value of iterator) {
+        expect(value).toBe(1)
+        break
+      }
+      
+      expect(subject.observerCount).toBe(0)
+      expect(await iterator.next()).toEqual({ value: undefined, done: true })
+    })
+
+    it('should reject pending reads on source error', async () => {
+      const subject = new Subject()
+      const iterator = subject.toAsyncIterator()
+      const failure = new Error('stream failed')
+      
+      const pending = iterator.next()
+      subject.error(failure)
+      
+      await expect(pending).rejects.toBe(failure)
+    })
+
+    it('should throw after queued values when the buffer overflows', async () => {
+      const subject = new Subject()
+      const iterator = subject.toAsyncIterator({ bufferSize: 2 })
+      
+      subject.next(1)
+      subject.next(2)
+      subject.next(3)
+      
+      expect(subject.observerCount).toBe(0)
+      expect((await iterator.next()).value).toBe(1)
+      expect((await iterator.next()).value).toBe(2)
+      await expect(iterator.next()).rejects.toMatchObject({ code: ErrorCodes.STREAM_BUFFER_OVERFLOW })
+    })
+
+    it('should apply dropping overflow policies and count drops', async () => {
+      const subject = new Subject()
+      const oldest = subject.toAsyncIterator({ bufferSize: 2, overflow: 'dropOldest' })
+      const latest = subject.toAsyncIterator({ overflow: 'latestOnly' })
+      
+      ;[1, 2, 3, 4].forEach(value => subject.next(value))
+      
+      expect((await oldest.next()).value).toBe(3)
+      expect(oldest.dropped).toBe(2)
+      expect((await latest.next()).value).toBe(4)
+      expect(latest.dropped).toBe(3)
+    })
+
+    it('should reject unknown overflow policies', () => {
+      expect(() => Observable.never().toAsyncIterator({ overflow: 'block' })).toThrow('overflow policy')
+    })
+  })
 })
 
 describe('Subject', () => {
@@ -0,0 +1,585 @@
+/**
+ * Pipeable Observable operators and combination functions
+ * Each operator is a standalone function returning (source) => Observable,
+ * so bundlers only include the operators that are imported. Semantics follow
+ * the RxJS operators of the same name.
+ */
+import { Observable, Subject, ReplaySubject } from './observable.js'
+import { DEFAULTS } from './constants.js'
+import { timestampsMatch } from './utils.js'
+
+/**
+ * Compose operators left to right
+ * @param {...Function} operators - Operators of the form (source) => Observable
+ * @returns {Function} Composed operator
+ */
+export const pipe = (...operators) => (source) =>
+  operators.reduce((result, operator) => operator(result), source)
+
+/**
+ * Subscribe to a source, unsubscribing again if it finished synchronously
+ * Operators that end early (take, takeUntil) may close before subscribe() has
+ * returned the subscription they need to unsubscribe from.
+ * @param {Observable} source - Source Observable
+ * @param {Object} observer - Observer
+ * @param {Function} isDone - Whether the operator has already finished
+ * @returns {Subscription} Source subscription
+ */
+const subscribeUntilDone = (source, observer, isDone) => {
+  const subscription = source.subscribe(observer)
+  if (isDone()) {
+    subscription.unsubscribe()
+  }
+  return subscription
+}
+
+/**
+ * Transform each value
+ * @param {Function} project - (value, index) => result
+ * @returns {Function} Operator
+ */
+export const map = (project) => (source) => new Observable(observer => {
+  let index = 0
+  const subscription = source.subscribe({
+    next: (value) => observer.next(project(value, index++)),
+    error: (error) => observer.error(error),
+    complete: () => observer.complete()
+  })
+
+  return () => subscription.unsubscribe()
+})
+
+/**
+ * Emit only values that pass a predicate
+ * @param {Function} predicate - (value, index) => boolean
+ * @returns {Function} Operator
+ */
+export const filter = (predicate) => (source) => new Observable(observer => {
+  let index = 0
+  const subscription = source.subscribe({
+    next: (value) => {
+      if (predicate(value, index++)) {
+        observer.next(value)
+      }
+    },
+    error: (error) => observer.error(error),
+    complete: () => observer.complete()
+  })
+
+  return () => subscription.unsubscribe()
+})
+
+/**
+ * Emit a value, then ignore values for a duration
+ * With trailing enabled, the last value seen during the window is emitted
+ * when it ends and starts a new window.
+ * @param {number} duration - Window length in milliseconds
+ * @param {{leading?: boolean, trailing?: boolean}} [config] - Which edges of the window emit
+ * @returns {Function} Operator
+ */
+export const throttleTime = (duration, { leading = true, trailing = false } = {}) => (source) =>
+  new Observable(observer => {
+    let timer = null
+    let pending
+    let hasPending = false
+
+    const endWindow = () => {
+      timer = null
+      if (trailing && hasPending) {
+        hasPending = false
+        observer.next(pending)
+        startWindow()
+      }
+    }
+
+    const startWindow = () => {
+      timer = setTimeout(endWindow, duration)
+    }
+
+    const subscription = source.subscribe({
+      next: (value) => {
+        if (timer === null) {
+          if (leading) {
+            observer.next(value)
+          } else {
+            pending = value
+            hasPending = true
+          }
+          startWindow()
+        } else if (trailing) {
+          pending = value
+          hasPending = true
+        }
+      },
+      error: (error) => observer.error(error),
+      complete: () => {
+        if (trailing && hasPending) {
+          observer.next(pending)
+        }
+        observer.complete()
+      }
+    })
+
+    return () => {
+      clearTimeout(timer)
+      subscription.unsubscribe()
+    }
+  })
+
+/**
+ * Emit the most recent value once per period, if there was a new one
+ * @param {number} period - Sampling period in milliseconds
+ * @returns {Function} Operator
+ */
+export const sampleTime = (period) => (source) => new Observable(observer => {
+  let latest
+  let hasLatest = false
+
+  const interval = setInterval(() => {
+    if (hasLatest) {
+      hasLatest = false
+      observer.next(latest)
+    }
+  }, period)
+
+  const subscription = source.subscribe({
+    next: (value) => {
+      latest = value
+      hasLatest = true
+    },
+    error: (error) => observer.error(error),
+    complete: () => observer.complete()
+  })
+
+  return () => {
+    clearInterval(interval)
+    subscription.unsubscribe()
+  }
+})
+
+/**
+ * Collect values into arrays emitted every time span
+ * Empty arrays are emitted for spans without values; the partial buffer is
+ * emitted on completion.
+ * @param {number} bufferTimeSpan - Span in milliseconds
+ * @returns {Function} Operator
+ */
+export const bufferTime = (bufferTimeSpan) => (source) => new Observable(observer => {
+  let buffer = []
+
+  const flush = () => {
+    const values = buffer
+    buffer = []
+    observer.next(values)
+  }
+
+  const interval = setInterval(flush, bufferTimeSpan)
+
+  const subscription = source.subscribe({
+    next: (value) => buffer.push(value),
+    error: (error) => observer.error(error),
+    complete: () => {
+      clearInterval(interval)
+      if (buffer.length > 0) {
+        flush()
+      }
+      observer.complete()
+    }
+  })
+
+  return () => {
+    clearInterval(interval)
+    subscription.unsubscribe()
+  }
+})
+
+/**
+ * Collect values into arrays of a fixed size
+ * @param {number} bufferSize - Values per buffer
+ * @param {number|null} [startBufferEvery] - Start a new buffer every n values (defaults to bufferSize)
+ * @returns {Function} Operator
+ */
+export const bufferCount = (bufferSize, startBufferEvery = null) => (source) => new Observable(observer => {
+  const every = startBufferEvery || bufferSize
+  let buffers = []
+  let count = 0
+
+  const subscription = source.subscribe({
+    next: (value) => {
+      if (count++ % every === 0) {
+        buffers.push([])
+      }
+      for (const buffer of buffers) {
+        buffer.push(value)
+      }
+      while (buffers.length > 0 && buffers[0].length >= bufferSize) {
+        observer.next(buffers.shift())
+      }
+    },
+    error: (error) => observer.error(error),
+    complete: () => {
+      for (const buffer of buffers) {
+        if (buffer.length > 0) {
+          observer.next(buffer)
+        }
+      }
+      buffers = []
+      observer.complete()
+    }
+  })
+
+  return () => subscription.unsubscribe()
+})
+
+/**
+ * Emit each intermediate result of an accumulator
+ * Without a seed, the first value is the initial accumulation.
+ * @param {Function} accumulator - (acc, value, index) => acc
+ * @param {*} [seed] - Initial accumulation
+ * @returns {Function} Operator
+ */
+export const scan = (accumulator, ...seed) => (source) => new Observable(observer => {
+  let hasAcc = seed.length > 0
+  let acc = seed[0]
+  let index = 0
+
+  const subscription = source.subscribe({
+    next: (value) => {
+      const i = index++
+      acc = hasAcc ? accumulator(acc, value, i) : value
+      hasAcc = true
+      observer.next(acc)
+    },
+    error: (error) => observer.error(error),
+    complete: () => observer.complete()
+  })
+
+  return () => subscription.unsubscribe()
+})
+
+/**
+ * Emit the first count values, then complete
+ * @param {number} count - Number of values
+ * @returns {Function} Operator
+ */
+export const take = (count) => (source) => new Observable(observer => {
+  if (count <= 0) {
+    observer.complete()
+    return
+  }
+
+  let seen = 0
+  let done = false
+  let subscription = null
+
+  subscription = subscribeUntilDone(source, {
+    next: (value) => {
+      seen++
+      observer.next(value)
+      if (seen >= count) {
+        done = true
+        observer.complete()
+        subscription?.unsubscribe()
+      }
+    },
+    error: (error) => observer.error(error),
+    complete: () => observer.complete()
+  }, () => done)
+
+  return () => subscription.unsubscribe()
+})
+
+/**
+ * Mirror the source until a notifier emits
+ * @param {Observable} notifier - Completes the output on its first value
+ * @returns {Function} Operator
+ */
+export const takeUntil = (notifier) => (source) => new Observable(observer => {
+  let done = false
+  let subscription = null
+  let notifierSubscription = null
+
+  notifierSubscription = subscribeUntilDone(notifier, {
+    next: () => {
+      done = true
+      observer.complete()
+      subscription?.unsubscribe()
+      notifierSubscription?.unsubscribe()
+    },
+    error: (error) => observer.error(error)
+  }, () => done)
+
+  if (done) {
+    return
+  }
+
+  subscription = source.subscribe({
+    next: (value) => observer.next(value),
+    error: (error) => observer.error(error),
+    complete: () => observer.complete()
+  })
+
+  return () => {
+    notifierSubscription.unsubscribe()
+    subscription.unsubscribe()
+  }
+})
+
+/**
+ * Multicast a source through a subject while it has subscribers
+ * The first subscriber connects the subject to the source. When the last
+ * subscriber leaves, or the source completes or errors, the connection can be
+ * reset so that later subscribers subscribe to the source again.
+ * @param {Object} options - Multicast options
+ * @param {Function} options.createSubject - Subject factory
+ * @param {boolean} options.resetOnRefCountZero - Unsubscribe the source when no subscribers remain
+ * @param {boolean} options.resetOnComplete - Resubscribe after the source completes
+ * @returns {Function} Operator
+ */
+const multicast = ({ createSubject, resetOnRefCountZero, resetOnComplete }) => (source) => {
+  let connection = null // { subject, subscription, refCount }
+
+  return new Observable(observer => {
+    const isNew = !connection
+    const current = connection || { subject: createSubject(), subscription: null, refCount: 0 }
+    connection = current
+    current.refCount++
+
+    // Subscribe to the subject first so synchronous source values are not missed
+    const subscription = current.subject.subscribe(observer)
+
+    if (isNew) {
+      current.subscription = source.subscribe({
+        next: (value) => current.subject.next(value),
+        error: (error) => {
+          if (connection === current) {
+            connection = null
+          }
+          current.subject.error(error)
+        },
+        complete: () => {
+          if (resetOnComplete && connection === current) {
+            connection = null
+          }
+          current.subject.complete()
+        }
+      })
+    }
+
+    return () => {
+      subscription.unsubscribe()
+      current.refCount--
+      if (current.refCount === 0 && resetOnRefCountZero && connection === current) {
+        connection = null
+        current.subscription.unsubscribe()
+      }
+    }
+  })
+}
+
+/**
+ * Share one source subscription between all subscribers
+ * @returns {Function} Operator
+ */
+export const share = () => multicast({
+  createSubject: () => new Subject(),
+  resetOnRefCountZero: true,
+  resetOnComplete: true
+})
+
+/**
+ * Share one source subscription and replay the last values to late subscribers
+ * Like RxJS, the source stays subscribed when subscribers leave unless
+ * refCount is set, and a completed source is replayed rather than resubscribed.
+ * @param {number|{bufferSize?: number, refCount?: boolean}} [config] - Buffer size or options
+ * @returns {Function} Operator
+ */
+export const shareReplay = (config = {}) => {
+  const { bufferSize = Infinity, refCount = false } = typeof config === 'number'
+    ? { bufferSize: config }
+    : config
+
+  return multicast({
+    createSubject: () => new ReplaySubject(bufferSize),
+    resetOnRefCountZero: refCount,
+    resetOnComplete: false
+  })
+}
+
+/**
+ * Emit the values of all sources as they arrive
+ * Completes when every source has completed; errors on the first error.
+ * @param {...Observable} sources - Sources to merge
+ * @returns {Observable}
+ */
+export const merge = (...sources) => new Observable(observer => {
+  let active = sources.length
+  if (active === 0) {
+    observer.complete()
+    return
+  }
+
+  const subscriptions = sources.map(source => source.subscribe({
+    next: (value) => observer.next(value),
+    error: (error) => observer.error(error),
+    complete: () => {
+      if (--active === 0) {
+        observer.complete()
+      }
+    }
+  }))
+
+  return () => subscriptions.forEach(subscription => subscription.unsubscribe())
+})
+
+/**
+ * Emit the latest value of every source whenever any of them emits
+ * Nothing is emitted until each source has emitted at least once. Completes
+ * when every source has completed, or when a source completes without emitting.
+ * @param {Observable[]} sources - Sources to combine
+ * @returns {Observable<Array>} Arrays of latest values, in source order
+ */
+export const combineLatest = (sources) => new Observable(observer => {
+  if (sources.length === 0) {
+    observer.complete()
+    return
+  }
+
+  const latest = new Array(sources.length)
+  const hasValue = new Array(sources.length).fill(false)
+  let waiting = sources.length
+  let active = sources.length
+
+  const subscriptions = sources.map((source, i) => source.subscribe({
+    next: (value) => {
+      if (!hasValue[i]) {
+        hasValue[i] = true
+        waiting--
+      }
+      latest[i] = value
+      if (waiting === 0) {
+        observer.next([...latest])
+      }
+    },
+    error: (error) => observer.error(error),
+    complete: () => {
+      if (--active === 0 || !hasValue[i]) {
+        observer.complete()
+      }
+    }
+  }))
+
+  return () => subscriptions.forEach(subscription => subscription.unsubscribe())
+})
+
+/**
+ * Pair each source value with the latest values of other Observables
+ * Source values arriving before every other Observable has emitted are dropped.
+ * @param {...Observable} others - Observables to sample
+ * @returns {Function} Operator emitting [value, ...latestOthers]
+ */
+export const withLatestFrom = (...others) => (source) => new Observable(observer => {
+  const latest = new Array(others.length)
+  const hasValue = new Array(others.length).fill(false)
+  let waiting = others.length
+
+  const otherSubscriptions = others.map((other, i) => other.subscribe({
+    next: (value) => {
+      if (!hasValue[i]) {
+        hasValue[i] = true
+        waiting--
+      }
+      latest[i] = value
+    },
+    error: (error) => observer.error(error)
+  }))
+
+  const subscription = source.subscribe({
+    next: (value) => {
+      if (waiting === 0) {
+        observer.next([value, ...latest])
+      }
+    },
+    error: (error) => observer.error(error),
+    complete: () => observer.complete()
+  })
+
+  return () => {
+    subscription.unsubscribe()
+    otherSubscriptions.forEach(other => other.unsubscribe())
+  }
+})
+
+/**
+ * Pair timestamped samples from several sources by timestamp rather than arrival order
+ *
+ * Each source must emit samples with a timestamp property in increasing order.
+ * A tuple is emitted when every source has a sample within tolerance of the
+ * latest pending sample; for each source the sample closest to it is used.
+ * Samples that cannot be paired are dropped. Like zip, each sample is used at
+ * most once, and the output completes once a completed source has no
+ * pending samples left.
+ *
+ * @param {Observable[]} sources - Timestamped sources, e.g. [gaze$, imu$]
+ * @param {number} [tolerance] - Maximum timestamp difference in seconds
+ * @returns {Observable<Array>} Arrays of paired samples, in source order
+ */
+export const zipByTimestamp = (sources, tolerance = DEFAULTS.SYNC_TOLERANCE) => new Observable(observer => {
+  if (sources.length === 0) {
+    observer.complete()
+    return
+  }
+
+  const buffers = sources.map(() => [])
+  const completed = sources.map(() => false)
+
+  const pair = () => {
+    while (buffers.every(buffer => buffer.length > 0)) {
+      const heads = buffers.map(buffer => buffer[0].timestamp)
+      const anchor = Math.max(...heads)
+      const earliest = heads.indexOf(Math.min(...heads))
+
+      // The earliest sample is too old to match anything still to come
+      if (!timestampsMatch(heads[earliest], anchor, tolerance)) {
+        buffers[earliest].shift()
+        continue
+      }
+
+      // Move each source to its sample closest to the anchor
+      let ready = true
+      buffers.forEach((buffer, i) => {
+        while (buffer.length > 1 &&
+          Math.abs(buffer[1].timestamp - anchor) < Math.abs(buffer[0].timestamp - anchor)) {
+          buffer.shift()
+        }
+        // A closer sample may still arrive
+        if (buffer.length === 1 && buffer[0].timestamp < anchor && !completed[i]) {
+          ready = false
+        }
+      })
+
+      if (!ready) {
+        break
+      }
+      observer.next(buffers.map(buffer => buffer.shift()))
+    }
+
+    if (completed.some((done, i) => done && buffers[i].length === 0)) {
+      observer.complete()
+    }
+  }
+
+  const subscriptions = sources.map((source, i) => source.subscribe({
+    next: (sample) => {
+      buffers[i].push(sample)
+      pair()
+    },
+    error: (error) => observer.error(error),
+    complete: () => {
+      completed[i] = true
+      pair()
+    }
+  }))
+
+  return () => subscriptions.forEach(subscription => subscription.unsubscribe())
+})
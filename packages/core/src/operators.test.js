@@ -0,0 +1,462 @@
+/**
+ * Tests for pipeable Observable operators
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { Observable, Subject, ReplaySubject } from './observable.js'
+import {
+  pipe,
+  map,
+  filter,
+  throttleTime,
+  sampleTime,
+  bufferTime,
+  bufferCount,
+  scan,
+  take,
+  takeUntil,
+  share,
+  shareReplay,
+  merge,
+  combineLatest,
+  withLatestFrom,
+  zipByTimestamp
+} from './operators.js'
+
+/**
+ * Synchronous source that emits the given values and completes
+ */
+const ofValues = (...values) => new Observable(observer => {
+  values.forEach(value => observer.next(value))
+  observer.complete()
+})
+
+/**
+ * Subscribe and record everything the Observable emits
+ */
+const record = (observable) => {
+  const result = { values: [], completed: false, error: null }
+  result.subscription = observable.subscribe({
+    next: (value) => result.values.push(value),
+    error: (error) => { result.error = error },
+    complete: () => { result.completed = true }
+  })
+  return result
+}
+
+describe('pipe', () => {
+  it('should apply operators left to right', () => {
+    const result = record(ofValues(1, 2, 3).pipe(
+      map(x => x * 10),
+      filter(x => x > 10)
+    ))
+
+    expect(result.values).toEqual([20, 30])
+    expect(result.completed).toBe(true)
+  })
+
+  it('should compose operators as a standalone function', () => {
+    const double = pipe(map(x => x * 2), take(2))
+    expect(record(double(ofValues(1, 2, 3))).values).toEqual([2, 4])
+  })
+
+  it('should return the source when called without operators', () => {
+    const source = ofValues(1)
+    expect(source.pipe()).toBe(source)
+  })
+})
+
+describe('map and filter', () => {
+  it('should pass the index to project and predicate', () => {
+    expect(record(ofValues('a', 'b').pipe(map((x, i) => `${x}${i}`))).values).toEqual(['a0', 'b1'])
+    expect(record(ofValues(5, 6, 7).pipe(filter((_, i) => i !== 1))).values).toEqual([5, 7])
+  })
+
+  it('should error when project throws', () => {
+    const failure = new Error('bad value')
+    const result = record(ofValues(1).pipe(map(() => { throw failure })))
+    expect(result.error).toBe(failure)
+  })
+
+  it('should forward source errors', () => {
+    const failure = new Error('source failed')
+    expect(record(Observable.throwError(failure).pipe(filter(() => true))).error).toBe(failure)
+  })
+})
+
+describe('scan', () => {
+  it('should emit running accumulations from a seed', () => {
+    expect(record(ofValues(1, 2, 3).pipe(scan((acc, x) => acc + x, 10))).values).toEqual([11, 13, 16])
+  })
+
+  it('should use the first value as seed when none is given', () => {
+    const accumulator = vi.fn((acc, x) => acc + x)
+    expect(record(ofValues(1, 2, 3).pipe(scan(accumulator))).values).toEqual([1, 3, 6])
+    expect(accumulator).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('bufferCount', () => {
+  it('should emit fixed-size buffers and the remainder on completion', () => {
+    expect(record(ofValues(1, 2, 3, 4, 5).pipe(bufferCount(2))).values).toEqual([[1, 2], [3, 4], [5]])
+  })
+
+  it('should support overlapping buffers', () => {
+    expect(record(ofValues(1, 2, 3, 4).pipe(bufferCount(3, 1))).values).toEqual([
+      [1, 2, 3], [2, 3, 4], [3, 4], [4]
+    ])
+  })
+})
+
+describe('take and takeUntil', () => {
+  it('should take the first values and unsubscribe from the source', () => {
+    const subject = new Subject()
+    const result = record(subject.pipe(take(2)))
+
+    subject.next(1)
+    subject.next(2)
+    subject.next(3)
+
+    expect(result.values).toEqual([1, 2])
+    expect(result.completed).toBe(true)
+    expect(subject.observerCount).toBe(0)
+  })
+
+  it('should complete after count values of a synchronous source', () => {
+    const result = record(ofValues(0, 1, 2, 3).pipe(take(2)))
+
+    expect(result.values).toEqual([0, 1])
+    expect(result.completed).toBe(true)
+  })
+
+  it('should complete immediately for take(0)', () => {
+    const result = record(Observable.never().pipe(take(0)))
+    expect(result.completed).toBe(true)
+  })
+
+  it('should complete when the notifier emits', () => {
+    const source = new Subject()
+    const stop = new Subject()
+    const result = record(source.pipe(takeUntil(stop)))
+
+    source.next(1)
+    stop.next()
+    source.next(2)
+
+    expect(result.values).toEqual([1])
+    expect(result.completed).toBe(true)
+    expect(source.observerCount).toBe(0)
+    expect(stop.observerCount).toBe(0)
+  })
+
+  it('should not subscribe to the source if the notifier emits synchronously', () => {
+    const subscriber = vi.fn()
+    const result = record(new Observable(subscriber).pipe(takeUntil(Observable.of(true))))
+
+    expect(result.completed).toBe(true)
+    expect(subscriber).not.toHaveBeenCalled()
+  })
+})
+
+describe('time-based operators', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('throttleTime should emit the leading value of each window', () => {
+    const subject = new Subject()
+    const result = record(subject.pipe(throttleTime(100)))
+
+    subject.next(1)
+    vi.advanceTimersByTime(50)
+    subject.next(2)
+    vi.advanceTimersByTime(60)
+    subject.next(3)
+
+    expect(result.values).toEqual([1, 3])
+  })
+
+  it('throttleTime should emit trailing values when configured', () => {
+    const subject = new Subject()
+    const result = record(subject.pipe(throttleTime(100, { leading: true, trailing: true })))
+
+    subject.next(1)
+    subject.next(2)
+    subject.next(3)
+    vi.advanceTimersByTime(100)
+
+    expect(result.values).toEqual([1, 3])
+  })
+
+  it('sampleTime should emit the latest new value each period', () => {
+    const subject = new Subject()
+    const result = record(subject.pipe(sampleTime(100)))
+
+    subject.next(1)
+    subject.next(2)
+    vi.advanceTimersByTime(100)
+    vi.advanceTimersByTime(100)
+    subject.next(3)
+    vi.advanceTimersByTime(100)
+
+    expect(result.values).toEqual([2, 3])
+  })
+
+  it('bufferTime should emit buffers every span, including empty ones', () => {
+    const subject = new Subject()
+    const result = record(subject.pipe(bufferTime(100)))
+
+    subject.next(1)
+    subject.next(2)
+    vi.advanceTimersByTime(100)
+    vi.advanceTimersByTime(100)
+    subject.next(3)
+    subject.complete()
+
+    expect(result.values).toEqual([[1, 2], [], [3]])
+    expect(result.completed).toBe(true)
+  })
+
+  it('should clear timers on unsubscribe', () => {
+    const subject = new Subject()
+    const result = record(subject.pipe(bufferTime(100)))
+
+    result.subscription.unsubscribe()
+    vi.advanceTimersByTime(500)
+
+    expect(result.values).toEqual([])
+    expect(vi.getTimerCount()).toBe(0)
+  })
+})
+
+describe('share', () => {
+  it('should subscribe to the source once for all subscribers', () => {
+    const subscribe = vi.fn()
+    const subject = new Subject()
+    const shared = new Observable(observer => {
+      subscribe()
+      return subject.subscribe(observer).unsubscribe
+    }).pipe(share())
+
+    const a = record(shared)
+    const b = record(shared)
+    subject.next(1)
+
+    expect(subscribe).toHaveBeenCalledTimes(1)
+    expect(a.values).toEqual([1])
+    expect(b.values).toEqual([1])
+  })
+
+  it('should unsubscribe from the source when the last subscriber leaves', () => {
+    const source = new Subject()
+    const shared = source.pipe(share())
+
+    const a = record(shared)
+    const b = record(shared)
+    a.subscription.unsubscribe()
+    expect(source.observerCount).toBe(1)
+
+    b.subscription.unsubscribe()
+    expect(source.observerCount).toBe(0)
+
+    record(shared)
+    expect(source.observerCount).toBe(1)
+  })
+
+  it('should resubscribe after the source completes', () => {
+    const shared = ofValues(1, 2).pipe(share())
+
+    expect(record(shared).values).toEqual([1, 2])
+    expect(record(shared).values).toEqual([1, 2])
+  })
+})
+
+describe('shareReplay', () => {
+  it('should replay the last values to late subscribers', () => {
+    const source = new Subject()
+    const shared = source.pipe(shareReplay(2))
+
+    record(shared)
+    source.next(1)
+    source.next(2)
+    source.next(3)
+
+    const late = record(shared)
+    expect(late.values).toEqual([2, 3])
+  })
+
+  it('should replay a completed source without resubscribing', () => {
+    const subscribe = vi.fn(observer => {
+      observer.next('a')
+      observer.complete()
+    })
+    const shared = new Observable(subscribe).pipe(shareReplay())
+
+    record(shared)
+    const late = record(shared)
+
+    expect(late.values).toEqual(['a'])
+    expect(late.completed).toBe(true)
+    expect(subscribe).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep the source subscribed unless refCount is set', () => {
+    const source = new Subject()
+
+    record(source.pipe(shareReplay(1))).subscription.unsubscribe()
+    expect(source.observerCount).toBe(1)
+
+    const refCounted = new Subject()
+    record(refCounted.pipe(shareReplay({ bufferSize: 1, refCount: true }))).subscription.unsubscribe()
+    expect(refCounted.observerCount).toBe(0)
+  })
+})
+
+describe('ReplaySubject', () => {
+  it('should replay values and errors to late subscribers', () => {
+    const subject = new ReplaySubject(1)
+    const failure = new Error('closed')
+
+    subject.next(1)
+    subject.next(2)
+    subject.error(failure)
+
+    const late = record(subject)
+    expect(late.values).toEqual([2])
+    expect(late.error).toBe(failure)
+  })
+})
+
+describe('merge', () => {
+  it('should interleave values and complete after all sources', () => {
+    const a = new Subject()
+    const b = new Subject()
+    const result = record(merge(a, b))
+
+    a.next(1)
+    b.next(2)
+    a.complete()
+    b.next(3)
+    expect(result.completed).toBe(false)
+
+    b.complete()
+    expect(result.values).toEqual([1, 2, 3])
+    expect(result.completed).toBe(true)
+  })
+
+  it('should error on the first source error and unsubscribe the others', () => {
+    const a = new Subject()
+    const b = new Subject()
+    const failure = new Error('a failed')
+    const result = record(merge(a, b))
+
+    a.error(failure)
+    result.subscription.unsubscribe()
+
+    expect(result.error).toBe(failure)
+    expect(b.observerCount).toBe(0)
+  })
+})
+
+describe('combineLatest', () => {
+  it('should emit latest values once every source has emitted', () => {
+    const gaze = new Subject()
+    const imu = new Subject()
+    const result = record(combineLatest([gaze, imu]))
+
+    gaze.next('g1')
+    gaze.next('g2')
+    imu.next('i1')
+    gaze.next('g3')
+    imu.next('i2')
+
+    expect(result.values).toEqual([['g2', 'i1'], ['g3', 'i1'], ['g3', 'i2']])
+  })
+
+  it('should complete when a source completes without emitting', () => {
+    const a = new Subject()
+    const result = record(combineLatest([a, Observable.empty()]))
+    expect(result.completed).toBe(true)
+  })
+})
+
+describe('withLatestFrom', () => {
+  it('should pair source values with the latest of the others', () => {
+    const gaze = new Subject()
+    const imu = new Subject()
+    const result = record(gaze.pipe(withLatestFrom(imu)))
+
+    gaze.next('g1') // dropped, no IMU yet
+    imu.next('i1')
+    gaze.next('g2')
+    imu.next('i2')
+    imu.next('i3')
+    gaze.next('g3')
+
+    expect(result.values).toEqual([['g2', 'i1'], ['g3', 'i3']])
+  })
+})
+
+describe('zipByTimestamp', () => {
+  const at = (timestamp, id) => ({ timestamp, id })
+
+  it('should pair samples by timestamp rather than arrival order', () => {
+    const gaze = new Subject()
+    const imu = new Subject()
+    const result = record(zipByTimestamp([gaze, imu], 0.004))
+
+    // 200Hz gaze, 100Hz IMU with the IMU arriving late
+    gaze.next(at(1.000, 'g0'))
+    gaze.next(at(1.005, 'g1'))
+    gaze.next(at(1.010, 'g2'))
+    gaze.next(at(1.015, 'g3'))
+    imu.next(at(1.001, 'i0'))
+    imu.next(at(1.011, 'i1'))
+
+    expect(result.values.map(pair => pair.map(s => s.id))).toEqual([['g0', 'i0'], ['g2', 'i1']])
+  })
+
+  it('should use the closest sample within tolerance', () => {
+    const gaze = new Subject()
+    const imu = new Subject()
+    const result = record(zipByTimestamp([gaze, imu], 0.05))
+
+    imu.next(at(1.010, 'i0'))
+    gaze.next(at(1.000, 'g0'))
+    gaze.next(at(1.005, 'g1'))
+    // g1 might not be the closest until a later sample arrives
+    expect(result.values).toEqual([])
+
+    gaze.next(at(1.020, 'g2'))
+    expect(result.values.map(pair => pair.map(s => s.id))).toEqual([['g1', 'i0']])
+  })
+
+  it('should drop samples without a partner', () => {
+    const a = new Subject()
+    const b = new Subject()
+    const result = record(zipByTimestamp([a, b], 0.01))
+
+    a.next(at(1.0, 'a0'))
+    b.next(at(2.0, 'b0'))
+    a.next(at(2.0, 'a1'))
+
+    expect(result.values.map(pair => pair.map(s => s.id))).toEqual([['a1', 'b0']])
+  })
+
+  it('should complete once a completed source has no pending samples', () => {
+    const a = new Subject()
+    const b = new Subject()
+    const result = record(zipByTimestamp([a, b]))
+
+    a.next(at(1.0, 'a0'))
+    a.complete()
+    expect(result.completed).toBe(false)
+
+    b.next(at(1.0, 'b0'))
+    expect(result.values).toHaveLength(1)
+    expect(result.completed).toBe(true)
+  })
+})
@@ -0,0 +1,69 @@
+/**
+ * Reconnection strategies
+ * Decide how long a device waits before each reconnection attempt and when it
+ * gives up. Both the Node.js and browser devices run their reconnection loop
+ * through retry() with one of these strategies.
+ */
+import { DEFAULTS, RECONNECT_STRATEGIES } from './constants.js'
+import { ConnectionError, ErrorCodes } from './errors.js'
+
+/**
+ * @typedef {Object} ReconnectStrategy
+ * @property {string} [type] - Strategy name, for built-in strategies
+ * @property {number} maxAttempts - Attempts before giving up (Infinity to never give up)
+ * @property {Function} getDelay - (attempt) => delay in ms before the given 1-based attempt
+ */
+
+/**
+ * Create a reconnection strategy
+ *
+ * Exponential strategies wait `initialDelay * factor^(attempt - 1)` ms, capped
+ * at maxDelay. Jitter keeps half of that delay and randomizes the other half,
+ * so several clients dropped at once do not retry in lockstep.
+ *
+ * @param {string|ReconnectStrategy} [strategy] - One of RECONNECT_STRATEGIES, or a custom strategy returned as is
+ * @param {Object} [options] - Strategy options
+ * @param {number} [options.interval] - Fixed delay, and the default initial delay, in ms
+ * @param {number} [options.initialDelay] - First delay of exponential strategies in ms
+ * @param {number} [options.maxDelay] - Upper bound for exponential delays in ms
+ * @param {number} [options.factor] - Growth factor of exponential delays
+ * @param {number} [options.maxAttempts] - Attempts before giving up, ignored by 'infinite'
+ * @param {Function} [options.random] - Random source in [0, 1) used for jitter
+ * @returns {ReconnectStrategy}
+ */
+export const createReconnectStrategy = (strategy = RECONNECT_STRATEGIES.FIXED, options = {}) => {
+  if (typeof strategy === 'object' && strategy !== null) {
+    if (typeof strategy.getDelay !== 'function') {
+      throw ConnectionError('Reconnect strategy must provide getDelay(attempt)', {}, ErrorCodes.INVALID_PARAMETER)
+    }
+    return { maxAttempts: DEFAULTS.MAX_RECONNECT_ATTEMPTS, ...strategy }
+  }
+
+  const {
+    interval = DEFAULTS.RECONNECT_INTERVAL,
+    initialDelay = interval,
+    maxDelay = DEFAULTS.MAX_RECONNECT_DELAY,
+    factor = 2,
+    maxAttempts = DEFAULTS.MAX_RECONNECT_ATTEMPTS,
+    random = Math.random
+  } = options
+
+  const exponential = (attempt) => Math.min(initialDelay * factor ** (attempt - 1), maxDelay)
+  const withJitter = (attempt) => {
+    const delay = exponential(attempt)
+    return Math.round(delay / 2 + random() * delay / 2)
+  }
+
+  switch (strategy) {
+    case RECONNECT_STRATEGIES.FIXED:
+      return { type: strategy, maxAttempts, getDelay: () => interval }
+    case RECONNECT_STRATEGIES.EXPONENTIAL:
+      return { type: strategy, maxAttempts, getDelay: exponential }
+    case RECONNECT_STRATEGIES.EXPONENTIAL_JITTER:
+      return { type: strategy, maxAttempts, getDelay: withJitter }
+    case RECONNECT_STRATEGIES.INFINITE:
+      return { type: strategy, maxAttempts: Infinity, getDelay: withJitter }
+    default:
+      throw ConnectionError(`Unknown reconnect strategy: ${strategy}`, { strategy }, ErrorCodes.INVALID_PARAMETER)
+  }
+}
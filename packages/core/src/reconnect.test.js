@@ -0,0 +1,74 @@
+/**
+ * Reconnection strategy tests
+ */
+import { describe, it, expect } from 'vitest'
+import { RECONNECT_STRATEGIES } from './constants.js'
+import { ErrorCodes } from './errors.js'
+import { retry } from './utils.js'
+import { createReconnectStrategy } from './reconnect.js'
+
+const delays = (strategy, count) => Array.from({ length: count }, (_, i) => strategy.getDelay(i + 1))
+
+describe('createReconnectStrategy', () => {
+  it('should default to a fixed interval', () => {
+    const strategy = createReconnectStrategy(undefined, { interval: 500, maxAttempts: 3 })
+
+    expect(strategy.type).toBe(RECONNECT_STRATEGIES.FIXED)
+    expect(strategy.maxAttempts).toBe(3)
+    expect(delays(strategy, 3)).toEqual([500, 500, 500])
+  })
+
+  it('should grow exponential delays up to maxDelay', () => {
+    const strategy = createReconnectStrategy('exponential', { initialDelay: 100, maxDelay: 1000 })
+    expect(delays(strategy, 6)).toEqual([100, 200, 400, 800, 1000, 1000])
+  })
+
+  it('should keep jittered delays between half and all of the exponential delay', () => {
+    const low = createReconnectStrategy('exponentialJitter', { initialDelay: 100, random: () => 0 })
+    const high = createReconnectStrategy('exponentialJitter', { initialDelay: 100, random: () => 0.999 })
+
+    expect(delays(low, 3)).toEqual([50, 100, 200])
+    expect(delays(high, 3)).toEqual([100, 200, 400])
+  })
+
+  it('should never give up with the infinite strategy', () => {
+    const strategy = createReconnectStrategy('infinite', { maxAttempts: 3, maxDelay: 2000 })
+
+    expect(strategy.maxAttempts).toBe(Infinity)
+    expect(strategy.getDelay(50)).toBeLessThanOrEqual(2000)
+  })
+
+  it('should accept custom strategies', () => {
+    const strategy = createReconnectStrategy({ getDelay: (attempt) => attempt * 10 })
+
+    expect(strategy.maxAttempts).toBe(10)
+    expect(delays(strategy, 2)).toEqual([10, 20])
+  })
+
+  it('should reject unknown strategies', () => {
+    expect(() => createReconnectStrategy('linear')).toThrow(expect.objectContaining({
+      code: ErrorCodes.INVALID_PARAMETER
+    }))
+    expect(() => createReconnectStrategy({ maxAttempts: 1 })).toThrow(/getDelay/)
+  })
+
+  it('should drive retry() delays', async () => {
+    const strategy = createReconnectStrategy('exponential', { initialDelay: 1, maxAttempts: 4 })
+    const retries = []
+    let calls = 0
+
+    const result = await retry(async () => {
+      if (++calls < 4) {
+        throw new Error('refused')
+      }
+      return 'connected'
+    }, {
+      maxAttempts: strategy.maxAttempts,
+      getDelay: strategy.getDelay,
+      onRetry: ({ attempt, nextDelay }) => retries.push([attempt, nextDelay])
+    })
+
+    expect(result).toBe('connected')
+    expect(retries).toEqual([[1, 1], [2, 2], [3, 4]])
+  })
+})
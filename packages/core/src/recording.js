@@ -0,0 +1,310 @@
+/**
+ * Recording lifecycle
+ * Follows a device recording through idle → recording → processing → idle,
+ * from the recording endpoint's responses and from the status socket, so the
+ * state stays right when a recording is started or stopped on the phone.
+ * Also holds the helpers shared by the devices' saved-recording methods.
+ */
+import { RecordingState } from './types.js'
+import { API_PATHS, EVENT_TYPES, TIMEOUTS } from './constants.js'
+import { DeviceError, RecordingError, ErrorCodes } from './errors.js'
+import { createDeferred } from './utils.js'
+
+// Failure reasons reported by the device in `recording.error`
+const FAILURE_CODES = {
+  storage_full: ErrorCodes.RECORDING_STORAGE_FULL
+}
+
+// HTTP statuses: unknown recording, the device's state differs from ours, and 507 Insufficient Storage
+const NOT_FOUND_STATUS = 404
+const CONFLICT_STATUS = 409
+const STORAGE_FULL_STATUS = 507
+
+const emptyRecording = () => ({
+  id: null,
+  name: null,
+  startTime: null,
+  duration: 0,
+  frameCount: 0,
+  gazeSampleCount: 0
+})
+
+/**
+ * Read the recording part of a status message or recording endpoint response
+ * Devices that only report `isRecording` go from recording straight to idle.
+ * @param {Object} status - Status message or recording response
+ * @returns {Object|null} Partial RecordingInfo with a `state`, or null if there is none
+ */
+export const parseRecordingStatus = (status) => {
+  if (!status || typeof status !== 'object') {
+    return null
+  }
+
+  const { recording } = status
+  if (recording && Object.values(RecordingState).includes(recording.state)) {
+    return { ...recording }
+  }
+
+  if (typeof status.isRecording === 'boolean') {
+    return {
+      state: status.isRecording ? RecordingState.RECORDING : RecordingState.IDLE,
+      ...(status.recordingId && { id: status.recordingId })
+    }
+  }
+
+  return null
+}
+
+/**
+ * Create a RecordingError for a failure the device reported
+ * @param {import('./types.js').RecordingInfo} info - Recording in the error state
+ * @returns {Error}
+ */
+export const createRecordingFailure = (info) =>
+  RecordingError(`Recording failed: ${info.error ?? 'unknown error'}`,
+    FAILURE_CODES[info.error] || ErrorCodes.RECORDING_FAILED, { recording: { ...info } })
+
+/**
+ * Describe a recording saved on the device
+ * @param {Object} recording - Entry of the recordings endpoint
+ * @returns {import('./types.js').RecordingInfo}
+ */
+export const toRecordingInfo = (recording) => {
+  const info = {
+    ...emptyRecording(),
+    ...recording,
+    state: RecordingState.IDLE,
+    isRecording: false
+  }
+  info.name = info.name ?? info.id
+  return info
+}
+
+/**
+ * Build the API path of a saved recording
+ * @param {string} id - Recording ID
+ * @param {string} [resource] - Sub-resource such as '/download'
+ * @returns {string}
+ */
+export const getRecordingPath = (id, resource = '') => {
+  if (typeof id !== 'string' || id.trim() === '') {
+    throw DeviceError('Recording ID must be a non-empty string', ErrorCodes.INVALID_PARAMETER, { id })
+  }
+  return `${API_PATHS.RECORDINGS}/${encodeURIComponent(id)}${resource}`
+}
+
+/**
+ * Rethrow a failed saved-recording request as a RecordingError
+ * A 404 becomes RECORDING_NOT_FOUND; other failures get `code`.
+ * @param {Error} error - Request error (APIErrors carry the HTTP status)
+ * @param {string} message - Error message
+ * @param {string} code - Code for failures other than a missing recording
+ * @param {Object} [details] - Additional details
+ * @returns {Error}
+ */
+export const toRecordingError = (error, message, code, details = {}) => {
+  const status = error.details?.status
+  return RecordingError(message, status === NOT_FOUND_STATUS ? ErrorCodes.RECORDING_NOT_FOUND : code, {
+    ...details,
+    error,
+    status
+  })
+}
+
+/**
+ * Create a recording controller
+ *
+ * Commands check the tracked state first: start() needs an idle (or failed)
+ * device, stop() and cancel() a running recording. Request failures are
+ * rethrown as RecordingErrors, with RECORDING_STORAGE_FULL when the device
+ * answers 507 and the ALREADY_STARTED / NOT_STARTED codes when it answers 409
+ * because its state differs from ours. Feed every status message to update().
+ *
+ * Transitions are reported through `emit`: RECORDING_STARTED on entering
+ * recording, RECORDING_STOPPED on leaving it, RECORDING_SAVED once processing
+ * is done, RECORDING_CANCELLED after cancel() and RECORDING_ERROR with a
+ * RecordingError when the device reports a failure.
+ *
+ * @param {Object} options - Controller options
+ * @param {Function} options.request - Sends a command body ({ action, ... }) to the recording endpoint, or reads it without one
+ * @param {Function} [options.emit] - Called with (eventType, payload) on transitions
+ * @returns {Object} Controller with start(), stop(), cancel(), refresh(), update() and state / info getters
+ */
+export const createRecordingController = ({ request, emit = () => {} }) => {
+  let state = RecordingState.IDLE
+  let info = null
+  let cancelling = false
+  const waiting = new Set() // deferreds of stop({ waitForProcessing }) calls
+
+  const getInfo = () => info && { ...info }
+
+  const settle = (error) => {
+    for (const deferred of waiting) {
+      error ? deferred.reject(error) : deferred.resolve(getInfo())
+    }
+    waiting.clear()
+  }
+
+  const transition = (recording) => {
+    if (!recording) {
+      return
+    }
+    const previous = state
+    const changed = recording.state !== previous
+    const fresh = !info ||
+      (recording.id ?? info.id) !== info.id ||
+      (changed && recording.state === RecordingState.RECORDING)
+
+    info = {
+      ...(fresh ? emptyRecording() : info),
+      ...recording,
+      state: recording.state,
+      isRecording: recording.state === RecordingState.RECORDING
+    }
+    info.name = info.name ?? info.id
+    state = recording.state
+    if (!changed) {
+      return
+    }
+
+    switch (state) {
+      case RecordingState.RECORDING:
+        emit(EVENT_TYPES.RECORDING_STARTED, getInfo())
+        break
+      case RecordingState.PROCESSING:
+        emit(EVENT_TYPES.RECORDING_STOPPED, getInfo())
+        break
+      case RecordingState.IDLE:
+        if (cancelling) {
+          emit(EVENT_TYPES.RECORDING_CANCELLED, getInfo())
+          break
+        }
+        if (previous === RecordingState.RECORDING) {
+          emit(EVENT_TYPES.RECORDING_STOPPED, getInfo())
+        }
+        if (previous !== RecordingState.ERROR) {
+          emit(EVENT_TYPES.RECORDING_SAVED, getInfo())
+        }
+        settle()
+        break
+      case RecordingState.ERROR: {
+        const error = createRecordingFailure(info)
+        emit(EVENT_TYPES.RECORDING_ERROR, error)
+        settle(error)
+        break
+      }
+    }
+  }
+
+  const send = async (body, message, code, conflictCode) => {
+    try {
+      return await request(body)
+    } catch (error) {
+      const status = error.details?.status
+      const reason = status === STORAGE_FULL_STATUS
+        ? ErrorCodes.RECORDING_STORAGE_FULL
+        : status === CONFLICT_STATUS ? conflictCode : code
+      throw RecordingError(message, reason, { error, status })
+    }
+  }
+
+  const requireRecording = (action) => {
+    if (state !== RecordingState.RECORDING) {
+      throw RecordingError(`Cannot ${action} recording: no recording is running`,
+        ErrorCodes.RECORDING_NOT_STARTED, { state })
+    }
+  }
+
+  /**
+   * Wait until the current recording has been processed
+   * @param {number} timeout - Maximum wait in ms
+   * @returns {Promise<import('./types.js').RecordingInfo>}
+   */
+  const waitForProcessing = (timeout) => {
+    if (state === RecordingState.ERROR) {
+      return Promise.reject(createRecordingFailure(info))
+    }
+    if (state !== RecordingState.PROCESSING) {
+      return Promise.resolve(getInfo())
+    }
+
+    const deferred = createDeferred()
+    waiting.add(deferred)
+    const timer = setTimeout(() => {
+      waiting.delete(deferred)
+      deferred.reject(RecordingError('Recording processing timed out', ErrorCodes.RECORDING_STOP_FAILED, {
+        recording: getInfo(),
+        timeout
+      }))
+    }, timeout)
+
+    return deferred.promise.finally(() => clearTimeout(timer))
+  }
+
+  return {
+    /**
+     * Start a recording
+     * @param {string} [recordingId] - Recording ID, chosen by the device if omitted
+     * @returns {Promise<import('./types.js').RecordingInfo>}
+     */
+    start: async (recordingId) => {
+      if (state === RecordingState.RECORDING || state === RecordingState.PROCESSING) {
+        throw RecordingError(`Cannot start recording: a recording is ${state === RecordingState.RECORDING ? 'running' : 'still processing'}`,
+          ErrorCodes.RECORDING_ALREADY_STARTED, { state, recording: getInfo() })
+      }
+
+      const response = await send({ action: 'start', recording_id: recordingId },
+        'Failed to start recording', ErrorCodes.RECORDING_START_FAILED, ErrorCodes.RECORDING_ALREADY_STARTED)
+      transition(parseRecordingStatus(response) ?? { state: RecordingState.RECORDING, id: recordingId ?? null })
+      return getInfo()
+    },
+
+    /**
+     * Stop the running recording
+     * @param {Object} [options] - Stop options
+     * @param {boolean} [options.waitForProcessing] - Resolve once the device has saved the recording
+     * @param {number} [options.timeout] - Maximum wait for processing in ms
+     * @returns {Promise<import('./types.js').RecordingInfo>}
+     */
+    stop: async ({ waitForProcessing: wait = false, timeout = TIMEOUTS.RECORDING_PROCESSING } = {}) => {
+      requireRecording('stop')
+
+      const response = await send({ action: 'stop' },
+        'Failed to stop recording', ErrorCodes.RECORDING_STOP_FAILED, ErrorCodes.RECORDING_NOT_STARTED)
+      transition(parseRecordingStatus(response) ?? { state: RecordingState.PROCESSING })
+      return wait ? waitForProcessing(timeout) : getInfo()
+    },
+
+    /**
+     * Stop the running recording and discard it
+     * @returns {Promise<void>}
+     */
+    cancel: async () => {
+      requireRecording('cancel')
+
+      cancelling = true
+      try {
+        const response = await send({ action: 'cancel' },
+          'Failed to cancel recording', ErrorCodes.RECORDING_CANCEL_FAILED, ErrorCodes.RECORDING_NOT_STARTED)
+        transition(parseRecordingStatus(response) ?? { state: RecordingState.IDLE })
+      } finally {
+        cancelling = false
+      }
+    },
+
+    /**
+     * Read the recording state from the device
+     * @returns {Promise<import('./types.js').RecordingInfo>}
+     */
+    refresh: async () => {
+      transition(parseRecordingStatus(await request()))
+      return getInfo() ?? { ...emptyRecording(), state, isRecording: false }
+    },
+
+    /** Apply a status message */
+    update: (status) => transition(parseRecordingStatus(status)),
+
+    get state() { return state },
+    get info() { return getInfo() }
+  }
+}
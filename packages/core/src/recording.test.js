@@ -0,0 +1,245 @@
+/**
+ * Recording lifecycle tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { RecordingState } from './types.js'
+import { EVENT_TYPES } from './constants.js'
+import { APIError, ErrorCodes } from './errors.js'
+import {
+  parseRecordingStatus,
+  toRecordingInfo,
+  getRecordingPath,
+  toRecordingError,
+  createRecordingController
+} from './recording.js'
+
+const recordingStatus = (state, fields = {}) => ({ isRecording: state === 'recording', recording: { state, ...fields } })
+
+// Device double answering commands like the recording endpoint
+const createController = (respond = (body) => {
+  if (body.action === 'start') {
+    return recordingStatus('recording', { id: body.recording_id, duration: 0 })
+  }
+  if (body.action === 'stop') {
+    return recordingStatus('processing', { id: 'rec', duration: 2 })
+  }
+  return recordingStatus('idle')
+}) => {
+  const request = vi.fn(async (body) => respond(body))
+  const events = []
+  const controller = createRecordingController({
+    request,
+    emit: (type, payload) => events.push([type, payload])
+  })
+  return { controller, request, events, types: () => events.map(([type]) => type) }
+}
+
+const failWith = (status) => () => {
+  throw APIError(`API request failed: ${status}`, ErrorCodes.API_REQUEST_FAILED, { status })
+}
+
+describe('parseRecordingStatus', () => {
+  it('should read the recording object of a status message', () => {
+    expect(parseRecordingStatus(recordingStatus('processing', { id: 'rec', frameCount: 60 })))
+      .toEqual({ state: 'processing', id: 'rec', frameCount: 60 })
+  })
+
+  it('should fall back to isRecording', () => {
+    expect(parseRecordingStatus({ isRecording: true, recordingId: 'rec' })).toEqual({ state: 'recording', id: 'rec' })
+    expect(parseRecordingStatus({ isRecording: false })).toEqual({ state: 'idle' })
+  })
+
+  it('should ignore messages without recording state', () => {
+    expect(parseRecordingStatus({ batteryLevel: 80 })).toBeNull()
+    expect(parseRecordingStatus({ recording: { state: 'paused' } })).toBeNull()
+    expect(parseRecordingStatus(null)).toBeNull()
+  })
+})
+
+describe('createRecordingController', () => {
+  it('should start a recording and return its RecordingInfo', async () => {
+    const { controller, request, types } = createController()
+
+    const info = await controller.start('rec')
+
+    expect(request).toHaveBeenCalledWith({ action: 'start', recording_id: 'rec' })
+    expect(info).toEqual({
+      id: 'rec',
+      name: 'rec',
+      state: RecordingState.RECORDING,
+      isRecording: true,
+      startTime: null,
+      duration: 0,
+      frameCount: 0,
+      gazeSampleCount: 0
+    })
+    expect(controller.state).toBe(RecordingState.RECORDING)
+    expect(types()).toEqual([EVENT_TYPES.RECORDING_STARTED])
+  })
+
+  it('should follow processing to idle from status messages', async () => {
+    const { controller, types } = createController()
+    await controller.start('rec')
+
+    const stopped = await controller.stop()
+    expect(stopped.state).toBe(RecordingState.PROCESSING)
+    expect(stopped.duration).toBe(2)
+
+    controller.update(recordingStatus('idle'))
+
+    expect(controller.state).toBe(RecordingState.IDLE)
+    expect(controller.info).toMatchObject({ id: 'rec', duration: 2, isRecording: false })
+    expect(types()).toEqual([EVENT_TYPES.RECORDING_STARTED, EVENT_TYPES.RECORDING_STOPPED, EVENT_TYPES.RECORDING_SAVED])
+  })
+
+  it('should track recordings started on the device', () => {
+    const { controller, types } = createController()
+
+    controller.update(recordingStatus('recording', { id: 'phone', frameCount: 30 }))
+    controller.update(recordingStatus('recording', { id: 'phone', frameCount: 60 }))
+
+    expect(controller.info).toMatchObject({ id: 'phone', frameCount: 60 })
+    expect(types()).toEqual([EVENT_TYPES.RECORDING_STARTED])
+  })
+
+  it('should report stopped and saved for devices without a processing state', () => {
+    const { controller, types } = createController()
+
+    controller.update({ isRecording: true, recordingId: 'rec' })
+    controller.update({ isRecording: false })
+
+    expect(types()).toEqual([EVENT_TYPES.RECORDING_STARTED, EVENT_TYPES.RECORDING_STOPPED, EVENT_TYPES.RECORDING_SAVED])
+  })
+
+  it('should resolve stop with waitForProcessing once the recording is saved', async () => {
+    const { controller } = createController()
+    await controller.start('rec')
+
+    const stopping = controller.stop({ waitForProcessing: true })
+    await vi.waitFor(() => expect(controller.state).toBe(RecordingState.PROCESSING))
+    controller.update(recordingStatus('idle'))
+
+    await expect(stopping).resolves.toMatchObject({ id: 'rec', state: RecordingState.IDLE })
+  })
+
+  it('should time out waiting for processing', async () => {
+    vi.useFakeTimers()
+    try {
+      const { controller } = createController()
+      await controller.start('rec')
+
+      const stopping = controller.stop({ waitForProcessing: true, timeout: 1000 })
+      const assertion = expect(stopping).rejects.toMatchObject({ code: ErrorCodes.RECORDING_STOP_FAILED })
+      await vi.advanceTimersByTimeAsync(1000)
+      await assertion
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('should cancel without reporting a saved recording', async () => {
+    const { controller, request, types } = createController()
+    await controller.start('rec')
+
+    await controller.cancel()
+
+    expect(request).toHaveBeenLastCalledWith({ action: 'cancel' })
+    expect(controller.state).toBe(RecordingState.IDLE)
+    expect(types()).toEqual([EVENT_TYPES.RECORDING_STARTED, EVENT_TYPES.RECORDING_CANCELLED])
+  })
+
+  it('should check the state before sending commands', async () => {
+    const { controller, request } = createController()
+
+    await expect(controller.stop()).rejects.toMatchObject({ name: 'RecordingError', code: ErrorCodes.RECORDING_NOT_STARTED })
+    await expect(controller.cancel()).rejects.toMatchObject({ code: ErrorCodes.RECORDING_NOT_STARTED })
+
+    await controller.start('rec')
+    await expect(controller.start('again')).rejects.toMatchObject({ code: ErrorCodes.RECORDING_ALREADY_STARTED })
+
+    await controller.stop()
+    await expect(controller.start('again')).rejects.toMatchObject({ code: ErrorCodes.RECORDING_ALREADY_STARTED })
+    expect(request).toHaveBeenCalledTimes(2)
+  })
+
+  it.each([
+    [507, ErrorCodes.RECORDING_STORAGE_FULL],
+    [409, ErrorCodes.RECORDING_ALREADY_STARTED],
+    [500, ErrorCodes.RECORDING_START_FAILED]
+  ])('should map HTTP %i on start to %s', async (status, code) => {
+    const { controller } = createController(failWith(status))
+
+    const error = await controller.start('rec').catch(error => error)
+
+    expect(error).toMatchObject({ name: 'RecordingError', code, details: { status } })
+    expect(error.details.error.name).toBe('APIError')
+    expect(controller.state).toBe(RecordingState.IDLE)
+  })
+
+  it('should raise device failures as RecordingErrors', async () => {
+    const { controller, events } = createController()
+    await controller.start('rec')
+    const stopping = controller.stop({ waitForProcessing: true })
+    await vi.waitFor(() => expect(controller.state).toBe(RecordingState.PROCESSING))
+
+    controller.update(recordingStatus('error', { id: 'rec', error: 'storage_full' }))
+
+    await expect(stopping).rejects.toMatchObject({ code: ErrorCodes.RECORDING_STORAGE_FULL })
+    const [type, error] = events[events.length - 1]
+    expect(type).toBe(EVENT_TYPES.RECORDING_ERROR)
+    expect(error).toMatchObject({ name: 'RecordingError', code: ErrorCodes.RECORDING_STORAGE_FULL })
+    expect(error.details.recording).toMatchObject({ id: 'rec', state: RecordingState.ERROR })
+  })
+
+  it('should allow a new recording after a failure', async () => {
+    const { controller } = createController()
+    controller.update(recordingStatus('error', { id: 'rec', error: 'encoder' }))
+
+    await expect(controller.start('next')).resolves.toMatchObject({ id: 'next', state: RecordingState.RECORDING })
+  })
+
+  it('should refresh from the recording endpoint', async () => {
+    const { controller, request } = createController(() => recordingStatus('recording', { id: 'rec', duration: 5 }))
+
+    const info = await controller.refresh()
+
+    expect(request).toHaveBeenCalledWith()
+    expect(info).toMatchObject({ id: 'rec', duration: 5, isRecording: true })
+  })
+})
+
+describe('saved recordings', () => {
+  it('should describe saved recordings as idle RecordingInfo', () => {
+    expect(toRecordingInfo({ id: 'rec', duration: 10, size: 2048 })).toEqual({
+      id: 'rec',
+      name: 'rec',
+      state: RecordingState.IDLE,
+      isRecording: false,
+      startTime: null,
+      duration: 10,
+      frameCount: 0,
+      gazeSampleCount: 0,
+      size: 2048
+    })
+  })
+
+  it('should build encoded recording paths', () => {
+    expect(getRecordingPath('rec 1')).toBe('/api/recordings/rec%201')
+    expect(getRecordingPath('rec', '/download')).toBe('/api/recordings/rec/download')
+  })
+
+  it.each([undefined, '', '  ', 42])('should refuse recording ID %j', (id) => {
+    expect(() => getRecordingPath(id)).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_PARAMETER }))
+  })
+
+  it('should map missing recordings to RECORDING_NOT_FOUND', () => {
+    const missing = toRecordingError(APIError('Not found', ErrorCodes.API_REQUEST_FAILED, { status: 404 }),
+      'Failed to get recording rec', ErrorCodes.API_REQUEST_FAILED, { id: 'rec' })
+    const failed = toRecordingError(new Error('socket hang up'),
+      'Failed to download recording rec', ErrorCodes.RECORDING_DOWNLOAD_FAILED)
+
+    expect(missing).toMatchObject({ name: 'RecordingError', code: ErrorCodes.RECORDING_NOT_FOUND, details: { id: 'rec', status: 404 } })
+    expect(failed).toMatchObject({ code: ErrorCodes.RECORDING_DOWNLOAD_FAILED })
+    expect(failed.details.error.message).toBe('socket hang up')
+  })
+})
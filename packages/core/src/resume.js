@@ -0,0 +1,121 @@
+/**
+ * Stream resumption
+ * Keeps subscribers attached to a device stream while its socket is
+ * re-established, marking the samples lost in between with a gap event.
+ */
+import { Observable } from './observable.js'
+import { ConnectionState } from './types.js'
+import { DEFAULTS, EVENT_TYPES } from './constants.js'
+import { ErrorCodes } from './errors.js'
+
+// Errors caused by the connection rather than by the data
+const RESUMABLE_ERRORS = [ErrorCodes.STREAM_INTERRUPTED, ErrorCodes.STREAM_START_FAILED]
+
+const nowSeconds = () => Date.now() / 1000
+
+const timestampOf = (sample) => sample?.timestamp ?? sample?.data?.timestamp
+
+/**
+ * Create a gap marker for a missing interval
+ * @param {string} stream - Stream name
+ * @param {number} start - Last timestamp before the gap, in seconds
+ * @param {number} end - First timestamp after the gap, in seconds
+ * @returns {import('./types.js').StreamGap}
+ */
+export const createStreamGap = (stream, start, end) => ({
+  type: EVENT_TYPES.STREAM_GAP,
+  stream,
+  start,
+  end,
+  duration: Math.max(0, end - start)
+})
+
+/**
+ * Check whether a stream value is a gap marker
+ * @param {*} value - Stream value
+ * @returns {boolean}
+ */
+export const isStreamGap = (value) => value?.type === EVENT_TYPES.STREAM_GAP
+
+/**
+ * Operator resubscribing to a source interrupted by connection loss
+ *
+ * STREAM_INTERRUPTED and STREAM_START_FAILED errors do not reach the
+ * subscriber. Every retryDelay ms the connection state is checked: while the
+ * device is (re)connecting the operator keeps waiting, once it is connected the
+ * source is subscribed again. When the device is disconnected or gives up
+ * reconnecting, or maxAttempts resubscriptions fail in a row, the original
+ * error is delivered. The first sample after resuming is preceded by a
+ * StreamGap spanning the sample timestamps on either side of the interruption
+ * (host time is used for samples without a timestamp).
+ *
+ * @param {Object} options - Resumption options
+ * @param {string} options.name - Stream name recorded in gap markers
+ * @param {Function} options.getConnectionState - Returns the device's current ConnectionState
+ * @param {number} [options.retryDelay] - Delay between connection state checks in ms
+ * @param {number} [options.maxAttempts] - Failed resubscriptions tolerated while connected
+ * @returns {Function} Operator
+ */
+export const resumable = ({
+  name,
+  getConnectionState,
+  retryDelay = DEFAULTS.RECONNECT_INTERVAL,
+  maxAttempts = DEFAULTS.MAX_RECONNECT_ATTEMPTS
+}) => (source) => new Observable(observer => {
+  let subscription = null
+  let timer = null
+  let attempts = 0
+  let lastTimestamp = null
+  let interruptedAt = null // host time of the interruption while resuming
+
+  const subscribe = () => {
+    subscription = source.subscribe({
+      next: (sample) => {
+        attempts = 0
+        const timestamp = timestampOf(sample)
+        if (interruptedAt !== null) {
+          observer.next(createStreamGap(name, lastTimestamp ?? interruptedAt, timestamp ?? nowSeconds()))
+          interruptedAt = null
+        }
+        lastTimestamp = timestamp ?? lastTimestamp
+        return observer.next(sample)
+      },
+      error: (error) => {
+        if (!RESUMABLE_ERRORS.includes(error?.code)) {
+          observer.error(error)
+          return
+        }
+        if (interruptedAt === null) {
+          interruptedAt = nowSeconds()
+        }
+        scheduleResume(error)
+      },
+      complete: () => observer.complete()
+    })
+  }
+
+  const scheduleResume = (error) => {
+    timer = setTimeout(() => {
+      timer = null
+      const connectionState = getConnectionState()
+      if (connectionState === ConnectionState.CONNECTED) {
+        if (++attempts > maxAttempts) {
+          observer.error(error)
+          return
+        }
+        subscribe()
+      } else if (connectionState === ConnectionState.CONNECTING || connectionState === ConnectionState.RECONNECTING) {
+        scheduleResume(error)
+      } else {
+        observer.error(error)
+      }
+    }, retryDelay)
+  }
+
+  subscribe()
+
+  return () => {
+    clearTimeout(timer)
+    subscription?.unsubscribe()
+  }
+})
@@ -0,0 +1,116 @@
+/**
+ * Stream resumption tests
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { Observable, Subject } from './observable.js'
+import { ConnectionState } from './types.js'
+import { EVENT_TYPES } from './constants.js'
+import { StreamError, ErrorCodes } from './errors.js'
+import { resumable, createStreamGap, isStreamGap } from './resume.js'
+
+/**
+ * Source handing out a fresh Subject per subscription, like a shared socket
+ */
+const createSocketSource = () => {
+  const sockets = []
+  const source = new Observable(observer => {
+    const socket = new Subject()
+    sockets.push(socket)
+    const subscription = socket.subscribe(observer)
+    return () => subscription.unsubscribe()
+  })
+  return { source, sockets, current: () => sockets[sockets.length - 1] }
+}
+
+const interrupted = () => StreamError('Gaze stream closed unexpectedly', ErrorCodes.STREAM_INTERRUPTED)
+
+describe('resumable', () => {
+  let connectionState
+  let socket
+  let result
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    connectionState = ConnectionState.CONNECTED
+    socket = createSocketSource()
+    result = { values: [], error: null }
+    socket.source.pipe(resumable({
+      name: 'gaze',
+      getConnectionState: () => connectionState,
+      retryDelay: 100,
+      maxAttempts: 2
+    })).subscribe({
+      next: (value) => result.values.push(value),
+      error: (error) => { result.error = error }
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should resubscribe and emit a gap marker before the next sample', () => {
+    socket.current().next({ timestamp: 10 })
+    socket.current().error(interrupted())
+    expect(result.error).toBeNull()
+
+    vi.advanceTimersByTime(100)
+    expect(socket.sockets).toHaveLength(2)
+
+    socket.current().next({ timestamp: 12.5 })
+    expect(result.values).toEqual([
+      { timestamp: 10 },
+      { type: EVENT_TYPES.STREAM_GAP, stream: 'gaze', start: 10, end: 12.5, duration: 2.5 },
+      { timestamp: 12.5 }
+    ])
+  })
+
+  it('should wait while the device reconnects', () => {
+    socket.current().next({ timestamp: 1 })
+    connectionState = ConnectionState.RECONNECTING
+    socket.current().error(interrupted())
+
+    vi.advanceTimersByTime(1000)
+    expect(socket.sockets).toHaveLength(1)
+    expect(result.error).toBeNull()
+
+    connectionState = ConnectionState.CONNECTED
+    vi.advanceTimersByTime(100)
+    expect(socket.sockets).toHaveLength(2)
+  })
+
+  it('should give up when the device is disconnected', () => {
+    connectionState = ConnectionState.DISCONNECTED
+    socket.current().error(interrupted())
+    vi.advanceTimersByTime(100)
+
+    expect(result.error.code).toBe(ErrorCodes.STREAM_INTERRUPTED)
+  })
+
+  it('should give up after maxAttempts failed resubscriptions', () => {
+    socket.current().error(interrupted())
+    for (let i = 0; i < 2; i++) {
+      vi.advanceTimersByTime(100)
+      socket.current().error(StreamError('Failed to start gaze stream', ErrorCodes.STREAM_START_FAILED))
+    }
+    expect(result.error).toBeNull()
+
+    vi.advanceTimersByTime(100)
+    expect(result.error.code).toBe(ErrorCodes.STREAM_START_FAILED)
+    expect(socket.sockets).toHaveLength(3)
+  })
+
+  it('should pass on errors unrelated to the connection', () => {
+    socket.current().error(StreamError('Invalid gaze data', ErrorCodes.DATA_VALIDATION_FAILED))
+    expect(result.error.code).toBe(ErrorCodes.DATA_VALIDATION_FAILED)
+  })
+})
+
+describe('createStreamGap', () => {
+  it('should create a recognizable gap marker', () => {
+    const gap = createStreamGap('imu', 5, 4)
+    expect(gap.duration).toBe(0)
+    expect(isStreamGap(gap)).toBe(true)
+    expect(isStreamGap({ timestamp: 5 })).toBe(false)
+  })
+})
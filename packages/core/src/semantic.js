@@ -120,6 +120,18 @@ export const classifyGazeBehavior = (confidence, worn) => {
   return 'unstable'
 }
 
+/**
+ * Build device and environmental context description
+ * @param {Object} deviceContext - Device context information
+ * @returns {Object} Context description
+ */
+const describeContext = (deviceContext) => ({
+  calibration_quality: deviceContext.calibrationQuality || 'unknown',
+  tracking_stability: deviceContext.trackingStability || 'stable',
+  device_health: deviceContext.deviceHealth || 'optimal',
+  environmental_conditions: deviceContext.environmentalConditions || 'good'
+})
+
 /**
  * Enhance gaze data with semantic information
  * @param {Object} gazeData - Raw gaze data
@@ -152,12 +164,7 @@ export const enhanceGazeData = (gazeData, config = {}, deviceContext = {}) => {
   
   // Add context information
   if (semanticConfig.includeContext) {
-    enhanced.context = {
-      calibration_quality: deviceContext.calibrationQuality || 'unknown',
-      tracking_stability: deviceContext.trackingStability || 'stable',
-      device_health: deviceContext.deviceHealth || 'optimal',
-      environmental_conditions: deviceContext.environmentalConditions || 'good'
-    }
+    enhanced.context = describeContext(deviceContext)
   }
   
   // Add derived calculations
@@ -180,6 +187,58 @@ export const enhanceGazeData = (gazeData, config = {}, deviceContext = {}) => {
   return enhanced
 }
 
+/**
+ * Classify head motion from angular velocity
+ * @param {number[]} gyroscope - Angular velocity [x, y, z] in rad/s
+ * @returns {string} Motion classification
+ */
+export const classifyHeadMotion = (gyroscope) => {
+  const speed = Math.hypot(...gyroscope)
+  if (speed < 0.1) {
+    return 'stationary'
+  }
+  if (speed < 1) {
+    return 'slow_movement'
+  }
+  return 'rapid_movement'
+}
+
+/**
+ * Enhance IMU data with semantic information
+ * @param {Object} imuData - Raw IMU data
+ * @param {Object} config - Semantic configuration
+ * @param {Object} [deviceContext] - Optional device context information
+ * @returns {Object} Enhanced IMU data with semantic information
+ */
+export const enhanceIMUData = (imuData, config = {}, deviceContext = {}) => {
+  const semanticConfig = { ...DEFAULT_SEMANTIC_CONFIG, ...config }
+  
+  if (!semanticConfig.enabled) {
+    return imuData
+  }
+  
+  const motionDescriptions = {
+    stationary: 'Head is stationary',
+    slow_movement: 'Head is moving slowly',
+    rapid_movement: 'Head is moving rapidly'
+  }
+  
+  const motion = classifyHeadMotion(imuData.gyroscope)
+  const enhanced = {
+    ...imuData,
+    semantic: {
+      description: motionDescriptions[motion],
+      motion
+    }
+  }
+  
+  if (semanticConfig.includeContext) {
+    enhanced.context = describeContext(deviceContext)
+  }
+  
+  return enhanced
+}
+
 /**
  * Enhance error objects with human-readable descriptions
  * @param {Error} error - Original error object
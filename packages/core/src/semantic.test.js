@@ -7,6 +7,8 @@ import {
   describeGazeLocation,
   classifyDataQuality,
   enhanceGazeData,
+  enhanceIMUData,
+  classifyHeadMotion,
   enhanceError,
   createSemanticConfig
 } from './semantic.js'
@@ -79,6 +81,35 @@ describe('Semantic Enhancement', () => {
     })
   })
   
+  describe('classifyHeadMotion', () => {
+    it('should classify angular velocity', () => {
+      expect(classifyHeadMotion([0.01, 0.02, 0])).toBe('stationary')
+      expect(classifyHeadMotion([0.3, 0.2, 0.1])).toBe('slow_movement')
+      expect(classifyHeadMotion([1.5, 0, 0.4])).toBe('rapid_movement')
+    })
+  })
+  
+  describe('enhanceIMUData', () => {
+    const sampleIMUData = {
+      quaternion: [1, 0, 0, 0],
+      accelerometer: [0, 0, 9.81],
+      gyroscope: [0.5, 0, 0],
+      timestamp: 1692720000.123
+    }
+    
+    it('should return original data when disabled', () => {
+      expect(enhanceIMUData(sampleIMUData, { enabled: false })).toEqual(sampleIMUData)
+    })
+    
+    it('should add motion interpretation when enabled', () => {
+      const result = enhanceIMUData(sampleIMUData, { enabled: true, includeContext: true })
+      
+      expect(result.semantic.motion).toBe('slow_movement')
+      expect(result.semantic.description).toBe('Head is moving slowly')
+      expect(result.context.device_health).toBe('optimal')
+    })
+  })
+  
   describe('createSemanticConfig', () => {
     it('should create valid default config', () => {
       const config = createSemanticConfig()
@@ -44,16 +44,25 @@
  * @property {'rgb' | 'bgr' | 'gray'} format - Pixel format
  */
 
+/**
+ * @typedef {Object} IMUSemanticData
+ * @property {string} description - Human-readable description of head motion
+ * @property {'stationary' | 'slow_movement' | 'rapid_movement'} motion - Head motion classification
+ */
+
 /**
  * @typedef {Object} IMUData
  * @property {[number, number, number, number]} quaternion - Orientation quaternion [w, x, y, z]
  * @property {[number, number, number]} accelerometer - Acceleration [x, y, z] in m/s²
  * @property {[number, number, number]} gyroscope - Angular velocity [x, y, z] in rad/s
  * @property {number} timestamp - Unix timestamp in seconds
+ * @property {IMUSemanticData} [semantic] - Optional semantic enhancement data
+ * @property {GazeContextData} [context] - Optional device and environmental context
  */
 
 /**
  * @typedef {Object} EyeState
+ * @property {'left' | 'right'} eye - Which eye the record describes
  * @property {number} pupilDiameter - Pupil diameter in mm
  * @property {number} eyeballCenterX - Eyeball center X in mm
  * @property {number} eyeballCenterY - Eyeball center Y in mm
@@ -80,6 +89,7 @@
  * @property {number} timestamp - Unix timestamp in seconds
  * @property {number} duration - Duration in seconds (only for 'end' events)
  * @property {number} dispersion - Dispersion in pixels (only for 'end' events)
+ * @property {number} [dispersionDegrees] - Dispersion in degrees of visual angle (only for 'end' events of client-side detectors)
  */
 
 /**
@@ -94,6 +104,21 @@
  * @property {number} peakVelocity - Peak velocity in degrees/second
  */
 
+/**
+ * @typedef {Object} EyeEvent
+ * @property {string} type - One of the EVENT_TYPES eye events (e.g. 'eye.blink.start')
+ * @property {BlinkEvent | FixationEvent | SaccadeEvent} data - Typed event payload
+ */
+
+/**
+ * @typedef {Object} StreamGap
+ * @property {string} type - Always EVENT_TYPES.STREAM_GAP ('stream.gap')
+ * @property {string} stream - Name of the interrupted stream (e.g. 'gaze')
+ * @property {number} start - Timestamp of the last sample before the interruption, in seconds
+ * @property {number} end - Timestamp of the first sample after resuming, in seconds
+ * @property {number} duration - Length of the missing interval in seconds
+ */
+
 /**
  * @typedef {Object} CalibrationPoint
  * @property {number} x - X coordinate (0-1 normalized)
@@ -114,11 +139,14 @@
  * @typedef {Object} RecordingInfo
  * @property {string} id - Recording ID
  * @property {string} name - Recording name
+ * @property {string} state - One of RecordingState
  * @property {boolean} isRecording - Whether currently recording
  * @property {number} startTime - Start timestamp in seconds
  * @property {number} duration - Duration in seconds
  * @property {number} frameCount - Number of frames recorded
  * @property {number} gazeSampleCount - Number of gaze samples recorded
+ * @property {string} [error] - Failure reason reported by the device, in the error state
+ * @property {number} [size] - Download size in bytes, for saved recordings
  */
 
 /**
@@ -162,8 +190,12 @@
  * @property {number} port - API port (default: 8080)
  * @property {number} timeout - Connection timeout in ms
  * @property {boolean} autoReconnect - Enable automatic reconnection
- * @property {number} reconnectInterval - Reconnection interval in ms
+ * @property {string|Object} [reconnectStrategy] - One of RECONNECT_STRATEGIES or a custom { maxAttempts, getDelay(attempt) }
+ * @property {number} reconnectInterval - Reconnection interval in ms (first delay of exponential strategies)
+ * @property {number} [maxReconnectDelay] - Upper bound for exponential delays in ms
  * @property {number} maxReconnectAttempts - Maximum reconnection attempts
+ * @property {number} [heartbeatInterval] - Liveness check interval in ms, 0 to disable
+ * @property {number} [heartbeatTimeout] - Silence in ms after which the connection is lost
  */
 
 export const DeviceModel = {
@@ -1,6 +1,8 @@
 /**
  * Utility functions shared across packages
  */
+import { OVERFLOW_POLICIES, VALIDATION } from './constants.js'
+import { StreamError, ErrorCodes } from './errors.js'
 
 /**
  * Create a deferred promise
@@ -24,6 +26,8 @@ export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
 
 /**
  * Retry a function with exponential backoff
+ * Pass `getDelay(attempt)` to replace the backoff, e.g. with a reconnect
+ * strategy; it receives the number of the attempt that just failed.
  * @param {Function} fn - Function to retry
  * @param {Object} options - Retry options
  * @returns {Promise<*>}
@@ -34,11 +38,11 @@ export const retry = async (fn, options = {}) => {
     initialDelay = 1000,
     maxDelay = 30000,
     factor = 2,
+    getDelay = (attempt) => Math.min(initialDelay * factor ** (attempt - 1), maxDelay),
     onRetry = () => {}
   } = options
   
   let lastError
-  let delay = initialDelay
   
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
@@ -50,9 +54,9 @@ export const retry = async (fn, options = {}) => {
         throw error
       }
       
+      const delay = getDelay(attempt)
       onRetry({ attempt, error, nextDelay: delay })
       await sleep(delay)
-      delay = Math.min(delay * factor, maxDelay)
     }
   }
   
@@ -151,6 +155,20 @@ export const isValidGazeData = (data) => {
     data.confidence >= 0 && data.confidence <= 1
 }
 
+/**
+ * Validate an event annotation name
+ * Names must be non-blank, at most VALIDATION.EVENT_NAME.maxLength characters
+ * and free of control characters such as newlines.
+ * @param {string} name - Event name to validate
+ * @returns {boolean}
+ */
+export const isValidEventName = (name) => {
+  return typeof name === 'string' &&
+    name.trim().length > 0 &&
+    name.length <= VALIDATION.EVENT_NAME.maxLength &&
+    !/[\u0000-\u001f\u007f]/.test(name)
+}
+
 /**
  * Validate video frame
  * @param {Object} frame - Video frame to validate
@@ -166,6 +184,65 @@ export const isValidVideoFrame = (frame) => {
     frame.height > 0
 }
 
+/**
+ * Check that a value is an array of finite numbers with the given length
+ * @param {*} value - Value to check
+ * @param {number} length - Expected array length
+ * @returns {boolean}
+ */
+const isNumberTuple = (value, length) =>
+  Array.isArray(value) &&
+  value.length === length &&
+  value.every(n => typeof n === 'number' && Number.isFinite(n))
+
+/**
+ * Validate IMU data
+ * @param {Object} data - IMU data to validate
+ * @returns {boolean}
+ */
+export const isValidIMUData = (data) => {
+  return Boolean(data) &&
+    isNumberTuple(data.quaternion, 4) &&
+    isNumberTuple(data.accelerometer, 3) &&
+    isNumberTuple(data.gyroscope, 3) &&
+    typeof data.timestamp === 'number'
+}
+
+/**
+ * Validate eye state
+ * @param {Object} state - Eye state to validate
+ * @returns {boolean}
+ */
+export const isValidEyeState = (state) => {
+  const numericFields = [
+    'pupilDiameter',
+    'eyeballCenterX', 'eyeballCenterY', 'eyeballCenterZ',
+    'opticalAxisX', 'opticalAxisY', 'opticalAxisZ',
+    'confidence', 'timestamp'
+  ]
+  
+  return Boolean(state) &&
+    (state.eye === 'left' || state.eye === 'right') &&
+    numericFields.every(field => typeof state[field] === 'number' && Number.isFinite(state[field])) &&
+    state.pupilDiameter >= 0 &&
+    state.confidence >= 0 && state.confidence <= 1
+}
+
+/**
+ * Split a device eye state message into per-eye records
+ * Messages carry both eyes: { timestamp, left: {...}, right: {...} }
+ * @param {Object} message - Eye state message
+ * @returns {Array} Per-eye EyeState records
+ */
+export const unpackEyeStates = (message) =>
+  ['left', 'right']
+    .filter(eye => message[eye])
+    .map(eye => ({
+      eye,
+      timestamp: message.timestamp,
+      ...message[eye]
+    }))
+
 /**
  * Convert normalized coordinates to pixel coordinates
  * @param {number} x - Normalized X (0-1)
@@ -282,6 +359,71 @@ export const createCircularBuffer = (size) => {
   }
 }
 
+/**
+ * Create a bounded FIFO queue with an overflow policy
+ * Values discarded by the policy are counted in `dropped`. With the error
+ * policy, push() refuses values while the queue is full and returns false.
+ * @param {number} size - Maximum number of queued values
+ * @param {string} [overflow] - One of OVERFLOW_POLICIES
+ * @returns {Object}
+ */
+export const createBoundedQueue = (size, overflow = OVERFLOW_POLICIES.DROP_OLDEST) => {
+  if (!Object.values(OVERFLOW_POLICIES).includes(overflow)) {
+    throw StreamError(`Unknown overflow policy: ${overflow}`, ErrorCodes.INVALID_PARAMETER, { overflow })
+  }
+  if (!(size >= 1)) {
+    throw StreamError('Buffer size must be at least 1', ErrorCodes.INVALID_PARAMETER, { size })
+  }
+
+  const items = []
+  let dropped = 0
+  
+  return {
+    push(item) {
+      if (overflow === OVERFLOW_POLICIES.LATEST_ONLY) {
+        dropped += items.length
+        items.length = 0
+        items.push(item)
+        return true
+      }
+      
+      if (items.length < size) {
+        items.push(item)
+        return true
+      }
+      
+      switch (overflow) {
+        case OVERFLOW_POLICIES.DROP_OLDEST:
+          items.shift()
+          items.push(item)
+          dropped++
+          return true
+        case OVERFLOW_POLICIES.DROP_NEWEST:
+          dropped++
+          return true
+        default:
+          return false
+      }
+    },
+    
+    shift() {
+      return items.shift()
+    },
+    
+    clear() {
+      items.length = 0
+    },
+    
+    get length() {
+      return items.length
+    },
+    
+    get dropped() {
+      return dropped
+    }
+  }
+}
+
 /**
  * Parse device address
  * @param {string} address - Address string (IP or hostname)
@@ -6,10 +6,15 @@ import {
   lerp,
   timestampsMatch,
   isValidGazeData,
+  isValidEventName,
+  isValidIMUData,
+  isValidEyeState,
+  unpackEyeStates,
   normalizedToPixel,
   pixelToNormalized,
   distance,
   createCircularBuffer,
+  createBoundedQueue,
   parseAddress
 } from './utils.js'
 
@@ -68,6 +73,71 @@ describe('Utils', () => {
     })
   })
   
+  describe('isValidEventName', () => {
+    it('should accept printable names up to the length limit', () => {
+      expect(isValidEventName('stimulus.onset')).toBe(true)
+      expect(isValidEventName('trial 3 – face')).toBe(true)
+      expect(isValidEventName('a'.repeat(255))).toBe(true)
+      
+      expect(isValidEventName('a'.repeat(256))).toBe(false)
+      expect(isValidEventName('   ')).toBe(false)
+      expect(isValidEventName('line\nbreak')).toBe(false)
+      expect(isValidEventName(42)).toBe(false)
+    })
+  })
+  
+  describe('isValidIMUData', () => {
+    it('should validate IMU data', () => {
+      const validIMU = {
+        quaternion: [1, 0, 0, 0],
+        accelerometer: [0, 0, 9.81],
+        gyroscope: [0.01, 0, 0],
+        timestamp: 1234567890
+      }
+      expect(isValidIMUData(validIMU)).toBe(true)
+      
+      expect(isValidIMUData({ ...validIMU, quaternion: [1, 0, 0] })).toBe(false)
+      expect(isValidIMUData({ ...validIMU, gyroscope: [0, NaN, 0] })).toBe(false)
+      expect(isValidIMUData({ ...validIMU, timestamp: undefined })).toBe(false)
+      expect(isValidIMUData(null)).toBe(false)
+    })
+  })
+  
+  describe('unpackEyeStates', () => {
+    const eye = {
+      pupilDiameter: 3.2,
+      eyeballCenterX: -30,
+      eyeballCenterY: 10,
+      eyeballCenterZ: -35,
+      opticalAxisX: 0.1,
+      opticalAxisY: -0.05,
+      opticalAxisZ: 0.99,
+      confidence: 0.95
+    }
+    
+    it('should split messages into valid per-eye records', () => {
+      const records = unpackEyeStates({ timestamp: 1234567890, left: eye, right: { ...eye, eyeballCenterX: 30 } })
+      
+      expect(records.map(r => r.eye)).toEqual(['left', 'right'])
+      expect(records[1].eyeballCenterX).toBe(30)
+      records.forEach(record => {
+        expect(record.timestamp).toBe(1234567890)
+        expect(isValidEyeState(record)).toBe(true)
+      })
+    })
+    
+    it('should skip missing eyes', () => {
+      expect(unpackEyeStates({ timestamp: 1, right: eye })).toHaveLength(1)
+    })
+    
+    it('should reject invalid eye states', () => {
+      const [record] = unpackEyeStates({ timestamp: 1, left: eye })
+      expect(isValidEyeState({ ...record, eye: 'center' })).toBe(false)
+      expect(isValidEyeState({ ...record, pupilDiameter: -1 })).toBe(false)
+      expect(isValidEyeState({ ...record, opticalAxisZ: undefined })).toBe(false)
+    })
+  })
+  
   describe('normalizedToPixel', () => {
     it('should convert normalized to pixel coordinates', () => {
       const result = normalizedToPixel(0.5, 0.5, 1920, 1080)
@@ -105,6 +175,43 @@ describe('Utils', () => {
     })
   })
   
+  describe('createBoundedQueue', () => {
+    const fill = (queue, values) => values.map(value => queue.push(value))
+    const drain = (queue) => {
+      const values = []
+      while (queue.length > 0) {
+        values.push(queue.shift())
+      }
+      return values
+    }
+    
+    it('should apply overflow policies and count dropped values', () => {
+      const oldest = createBoundedQueue(2, 'dropOldest')
+      const newest = createBoundedQueue(2, 'dropNewest')
+      const latest = createBoundedQueue(2, 'latestOnly')
+      
+      fill(oldest, [1, 2, 3])
+      fill(newest, [1, 2, 3])
+      fill(latest, [1, 2, 3])
+      
+      expect(drain(oldest)).toEqual([2, 3])
+      expect(drain(newest)).toEqual([1, 2])
+      expect(drain(latest)).toEqual([3])
+      expect([oldest.dropped, newest.dropped, latest.dropped]).toEqual([1, 1, 2])
+    })
+    
+    it('should refuse values when full with the error policy', () => {
+      const queue = createBoundedQueue(2, 'error')
+      expect(fill(queue, [1, 2, 3])).toEqual([true, true, false])
+      expect(drain(queue)).toEqual([1, 2])
+    })
+    
+    it('should validate its options', () => {
+      expect(() => createBoundedQueue(0)).toThrow('Buffer size')
+      expect(() => createBoundedQueue(10, 'block')).toThrow('overflow policy')
+    })
+  })
+  
   describe('parseAddress', () => {
     it('should parse address strings', () => {
       expect(parseAddress('192.168.1.100')).toEqual({ host: '192.168.1.100', port: 8080 })
@@ -0,0 +1,119 @@
+/**
+ * Video frame wire format
+ * Frames are sent over the video WebSocket as binary messages with a fixed
+ * little-endian header followed by raw pixel data:
+ *
+ *   offset  size  field
+ *   0       8     timestamp (float64, device Unix seconds)
+ *   8       4     width (uint32)
+ *   12      4     height (uint32)
+ *   16      1     format (uint8, index into VIDEO_FORMATS)
+ *   17      3     reserved
+ *   20      ...   pixel data (width * height * channels bytes)
+ */
+import { StreamError, ErrorCodes } from './errors.js'
+
+/**
+ * Size of the binary frame header in bytes
+ */
+export const VIDEO_FRAME_HEADER_SIZE = 20
+
+/**
+ * Pixel formats in wire order
+ */
+export const VIDEO_FORMATS = ['rgb', 'bgr', 'gray']
+
+/**
+ * Bytes per pixel for each format
+ */
+const CHANNELS = {
+  rgb: 3,
+  bgr: 3,
+  gray: 1
+}
+
+/**
+ * Get number of bytes per pixel for a format
+ * @param {'rgb' | 'bgr' | 'gray'} format - Pixel format
+ * @returns {number} Bytes per pixel
+ */
+export const getChannelCount = (format) => {
+  const channels = CHANNELS[format]
+  if (!channels) {
+    throw StreamError(`Unknown pixel format: ${format}`, ErrorCodes.INVALID_DATA_FORMAT, { format })
+  }
+  return channels
+}
+
+/**
+ * Encode a video frame into the binary wire format
+ * @param {import('./types.js').VideoFrame} frame - Video frame
+ * @returns {Uint8Array} Encoded frame
+ */
+export const encodeVideoFrame = (frame) => {
+  const format = frame.format || 'rgb'
+  const formatCode = VIDEO_FORMATS.indexOf(format)
+  const expectedLength = frame.width * frame.height * getChannelCount(format)
+
+  if (frame.data.length !== expectedLength) {
+    throw StreamError(
+      `Frame data length ${frame.data.length} does not match ${frame.width}x${frame.height} ${format}`,
+      ErrorCodes.INVALID_DATA_FORMAT
+    )
+  }
+
+  const bytes = new Uint8Array(VIDEO_FRAME_HEADER_SIZE + expectedLength)
+  const view = new DataView(bytes.buffer)
+  view.setFloat64(0, frame.timestamp, true)
+  view.setUint32(8, frame.width, true)
+  view.setUint32(12, frame.height, true)
+  view.setUint8(16, formatCode)
+  bytes.set(frame.data, VIDEO_FRAME_HEADER_SIZE)
+
+  return bytes
+}
+
+/**
+ * Decode a binary video frame message
+ * @param {ArrayBuffer|Uint8Array} data - Binary message
+ * @returns {import('./types.js').VideoFrame} Decoded frame with its own copy of the pixel data
+ */
+export const decodeVideoFrame = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+
+  if (bytes.byteLength < VIDEO_FRAME_HEADER_SIZE) {
+    throw StreamError('Video frame is shorter than its header', ErrorCodes.STREAM_DECODE_ERROR, {
+      byteLength: bytes.byteLength
+    })
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const timestamp = view.getFloat64(0, true)
+  const width = view.getUint32(8, true)
+  const height = view.getUint32(12, true)
+  const format = VIDEO_FORMATS[view.getUint8(16)]
+
+  if (!format) {
+    throw StreamError('Unknown pixel format in video frame', ErrorCodes.STREAM_DECODE_ERROR, {
+      formatCode: view.getUint8(16)
+    })
+  }
+
+  const length = width * height * getChannelCount(format)
+  if (bytes.byteLength - VIDEO_FRAME_HEADER_SIZE !== length) {
+    throw StreamError('Video frame payload does not match its dimensions', ErrorCodes.STREAM_DECODE_ERROR, {
+      width,
+      height,
+      format,
+      byteLength: bytes.byteLength
+    })
+  }
+
+  return {
+    data: new Uint8Array(bytes.subarray(VIDEO_FRAME_HEADER_SIZE)),
+    width,
+    height,
+    timestamp,
+    format
+  }
+}
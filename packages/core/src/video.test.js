@@ -0,0 +1,62 @@
+/**
+ * Video frame wire format tests
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  VIDEO_FRAME_HEADER_SIZE,
+  encodeVideoFrame,
+  decodeVideoFrame,
+  getChannelCount
+} from './video.js'
+import { isValidVideoFrame } from './utils.js'
+
+describe('Video frames', () => {
+  const frame = {
+    data: Uint8Array.from({ length: 4 * 2 * 3 }, (_, i) => i),
+    width: 4,
+    height: 2,
+    timestamp: 1692720000.123,
+    format: 'rgb'
+  }
+  
+  describe('getChannelCount', () => {
+    it('should return bytes per pixel', () => {
+      expect(getChannelCount('rgb')).toBe(3)
+      expect(getChannelCount('gray')).toBe(1)
+      expect(() => getChannelCount('yuv')).toThrow('Unknown pixel format')
+    })
+  })
+  
+  describe('encodeVideoFrame / decodeVideoFrame', () => {
+    it('should round-trip a frame', () => {
+      const encoded = encodeVideoFrame(frame)
+      expect(encoded.byteLength).toBe(VIDEO_FRAME_HEADER_SIZE + frame.data.length)
+      
+      const decoded = decodeVideoFrame(encoded)
+      expect(decoded).toEqual(frame)
+      expect(isValidVideoFrame(decoded)).toBe(true)
+    })
+    
+    it('should decode from an offset view and copy the pixel data', () => {
+      const encoded = encodeVideoFrame(frame)
+      const padded = new Uint8Array(encoded.byteLength + 8)
+      padded.set(encoded, 8)
+      
+      const decoded = decodeVideoFrame(padded.subarray(8))
+      expect(decoded.timestamp).toBe(frame.timestamp)
+      
+      padded[8 + VIDEO_FRAME_HEADER_SIZE] = 255
+      expect(decoded.data[0]).toBe(0)
+    })
+    
+    it('should reject truncated frames', () => {
+      const encoded = encodeVideoFrame(frame)
+      expect(() => decodeVideoFrame(encoded.subarray(0, 10))).toThrow('shorter than its header')
+      expect(() => decodeVideoFrame(encoded.subarray(0, encoded.length - 1))).toThrow('does not match')
+    })
+    
+    it('should reject frames whose data does not match the dimensions', () => {
+      expect(() => encodeVideoFrame({ ...frame, width: 5 })).toThrow('does not match')
+    })
+  })
+})
@@ -0,0 +1,53 @@
+/**
+ * BIDS export of local recordings
+ * Reads a session written by createLocalRecorder and writes it as BIDS
+ * eye-tracking files into a dataset directory.
+ */
+import { writeFile, mkdir } from 'node:fs/promises'
+import { join, dirname } from 'node:path'
+import { toBIDS, ExportError, ErrorCodes } from 'open-neon-js-api-core'
+import { readLocalRecording } from './recorder.js'
+
+/**
+ * Export a local recording as BIDS eye-tracking files
+ *
+ * Gaze, eye states, eye events and marks of the session are passed to
+ * toBIDS, with the device info from the manifest. Marks use the device
+ * timestamp recorded with them, so their onsets line up with the samples.
+ *
+ * @param {string} sessionDir - Session directory written by createLocalRecorder
+ * @param {string} datasetDir - BIDS dataset root the files are written to
+ * @param {Object} options - BIDS export options, see DEFAULT_BIDS_OPTIONS
+ * @param {import('open-neon-js-api-core').CalibrationResult} [options.calibration] - Calibration of the session
+ * @returns {Promise<Array<string>>} Paths of the written files
+ * @throws {ExportError} INVALID_PARAMETER when sessionDir is not a local recording
+ */
+export const exportRecordingToBIDS = async (sessionDir, datasetDir, { calibration = null, ...options } = {}) => {
+  let recording
+  try {
+    recording = await readLocalRecording(sessionDir)
+  } catch (error) {
+    if (error.code === ErrorCodes.RECORDING_NOT_FOUND) {
+      throw ExportError(`Not a local recording: ${sessionDir}`, ErrorCodes.INVALID_PARAMETER, { dir: sessionDir, error })
+    }
+    throw error
+  }
+  const { manifest, streams } = recording
+
+  const files = await toBIDS({
+    gaze: streams.gaze,
+    eyeStates: streams.eyeState,
+    events: [...streams.eyeEvents ?? [], ...streams.marks ?? []],
+    device: manifest.device,
+    calibration
+  }, options)
+
+  const written = []
+  for (const [path, content] of Object.entries(files)) {
+    const destination = join(datasetDir, path)
+    await mkdir(dirname(destination), { recursive: true })
+    await writeFile(destination, content)
+    written.push(destination)
+  }
+  return written
+}
@@ -10,6 +10,7 @@ import {
   WS_PATHS,
   DEFAULTS,
   TIMEOUTS,
+  DEVICE_CAPABILITIES,
   ConnectionState,
   EVENT_TYPES,
   ConnectionError,
@@ -19,11 +20,37 @@ import {
   ErrorCodes,
   createDeferred,
   retry,
+  sleep,
   withTimeout,
+  isValidIMUData,
+  isValidEyeState,
+  unpackEyeStates,
+  unpackEyeEvents,
+  isValidVideoFrame,
+  decodeVideoFrame,
   enhanceGazeData,
+  enhanceIMUData,
   enhanceError,
-  createSemanticConfig
+  createSemanticConfig,
+  createStreamStats,
+  createStreamSink,
+  share,
+  resumable,
+  isStreamGap,
+  createReconnectStrategy,
+  createHeartbeat,
+  measureTimeOffset,
+  alignTimestamp,
+  addHostTimestamp,
+  toDeviceTimestamp,
+  createDriftTracker,
+  createRecordingController,
+  toRecordingInfo,
+  getRecordingPath,
+  toRecordingError,
+  isValidEventName
 } from 'open-neon-js-api-core'
+import { downloadToFile } from './download.js'
 
 /**
  * Create a device instance
@@ -36,18 +63,68 @@ export const createDevice = (deviceInfo, options = {}) => {
     timeout = DEFAULTS.CONNECTION_TIMEOUT,
     autoReconnect = true,
     reconnectInterval = DEFAULTS.RECONNECT_INTERVAL,
-    maxReconnectAttempts = DEFAULTS.MAX_RECONNECT_ATTEMPTS
+    maxReconnectAttempts = DEFAULTS.MAX_RECONNECT_ATTEMPTS,
+    maxReconnectDelay = DEFAULTS.MAX_RECONNECT_DELAY,
+    reconnectStrategy: strategy,
+    heartbeatInterval = DEFAULTS.HEARTBEAT_INTERVAL,
+    heartbeatTimeout = DEFAULTS.HEARTBEAT_TIMEOUT,
+    alignTimestamps = false,
+    dualTimestamps = false,
+    trackClockDrift = false,
+    driftInterval = DEFAULTS.DRIFT_INTERVAL,
+    driftThreshold = DEFAULTS.DRIFT_THRESHOLD
   } = options
   
+  // Timestamp options that need a clock offset estimate
+  const needsTimeOffset = alignTimestamps || dualTimestamps || trackClockDrift
+  
+  const reconnectStrategy = createReconnectStrategy(strategy, {
+    interval: reconnectInterval,
+    maxDelay: maxReconnectDelay,
+    maxAttempts: maxReconnectAttempts
+  })
+  
   const emitter = new EventEmitter()
   const state = {
     connectionState: ConnectionState.DISCONNECTED,
     deviceInfo: { ...deviceInfo },
     streams: new Map(),
     websockets: new Map(),
-    reconnectAttempts: 0
+    sockets: new Map(),
+    reconnectAttempts: 0,
+    timeOffset: null
   }
   
+  // Liveness: any message counts, and the status socket is pinged every interval
+  const heartbeat = createHeartbeat({
+    interval: heartbeatInterval,
+    timeout: heartbeatTimeout,
+    ping: () => {
+      const statusWs = state.websockets.get('status')
+      if (statusWs && statusWs.readyState === WebSocket.OPEN) {
+        statusWs.ping()
+      }
+    },
+    onTimeout: ({ silentFor }) => handleConnectionLost(silentFor)
+  })
+  
+  // Periodic offset re-estimation; every estimate refines the drift model used for timestamps
+  const driftTracker = createDriftTracker({
+    measure: () => estimateTimeOffset(),
+    interval: driftInterval,
+    threshold: driftThreshold,
+    onDrift: (drift) => emitter.emit(EVENT_TYPES.CLOCK_DRIFT, drift)
+  })
+  
+  // Recording lifecycle, kept in step with recordings started or stopped on the phone by the status socket
+  const recordingController = createRecordingController({
+    request: (body) => apiRequest(API_PATHS.RECORDING, body && {
+      method: 'POST',
+      body: JSON.stringify(body)
+    }),
+    emit: (type, payload) => emitter.emit(type, payload)
+  })
+  
   const baseURL = `http://${deviceInfo.ipAddress}:${deviceInfo.port}`
   const wsBaseURL = `ws://${deviceInfo.ipAddress}:${deviceInfo.port}`
   
@@ -109,7 +186,86 @@ export const createDevice = (deviceInfo, options = {}) => {
     })
   }
   
+  /**
+   * Estimate the device clock offset with round trips to the status endpoint
+   * @param {Object} [options] - Estimation options
+   * @param {number} [options.samples] - Number of round trips
+   * @returns {Promise<Object>} TimeOffsetEstimate, offset = device - host in ms
+   */
+  const estimateTimeOffset = async ({ samples } = {}) => {
+    state.timeOffset = await measureTimeOffset(
+      async () => (await apiRequest(API_PATHS.STATUS)).timestamp,
+      { samples }
+    )
+    driftTracker.add(state.timeOffset)
+    return { ...state.timeOffset }
+  }
+  
+  /**
+   * Predict the device clock offset at a host time
+   * Follows the drift model between estimates (a constant offset without trackClockDrift).
+   * @param {number} [hostTime] - Date.now() host time
+   * @returns {number|null} Offset = device - host in ms, null before the first estimate
+   */
+  const predictTimeOffset = (hostTime = Date.now()) => driftTracker.predictOffset(hostTime)
+  
   // Connection management
+  // Fetch device status and open the status socket, without reconnecting on failure
+  const openConnection = async () => {
+    // Test connection with status endpoint
+    const status = await apiRequest(API_PATHS.STATUS)
+    state.deviceInfo = { ...state.deviceInfo, ...status }
+    recordingController.update(status)
+    
+    // Streams need an offset before their first sample; reconnecting re-estimates it
+    if (needsTimeOffset) {
+      await estimateTimeOffset()
+    }
+    
+    // Connect to status WebSocket
+    const statusWs = await createWebSocket(WS_PATHS.STATUS)
+    state.websockets.set('status', statusWs)
+    
+    statusWs.on('message', (data) => {
+      heartbeat.received()
+      try {
+        const status = JSON.parse(data)
+        state.deviceInfo = { ...state.deviceInfo, ...status }
+        recordingController.update(status)
+        emitter.emit(EVENT_TYPES.STATUS_UPDATE, status)
+      } catch (error) {
+        emitter.emit(EVENT_TYPES.ERROR, 
+          StreamError('Failed to parse status message', ErrorCodes.INVALID_DATA_FORMAT, { error })
+        )
+      }
+    })
+    
+    statusWs.on('pong', heartbeat.pong)
+    
+    statusWs.on('close', () => {
+      heartbeat.stop()
+      if (autoReconnect && state.connectionState === ConnectionState.CONNECTED) {
+        handleReconnect()
+      }
+    })
+    
+    statusWs.on('error', (error) => {
+      emitter.emit(EVENT_TYPES.ERROR, 
+        ConnectionError('Status WebSocket error', { error })
+      )
+    })
+    
+    state.connectionState = ConnectionState.CONNECTED
+    state.reconnectAttempts = 0
+    if (heartbeatInterval > 0) {
+      heartbeat.start()
+    }
+    if (trackClockDrift) {
+      driftTracker.start()
+    }
+    emitter.emit(EVENT_TYPES.CONNECTED, state.deviceInfo)
+  }
+  
   const connect = async () => {
     if (state.connectionState === ConnectionState.CONNECTED) {
       return
@@ -119,42 +275,7 @@ export const createDevice = (deviceInfo, options = {}) => {
     emitter.emit(EVENT_TYPES.CONNECTING)
     
     try {
-      // Test connection with status endpoint
-      const status = await apiRequest(API_PATHS.STATUS)
-      state.deviceInfo = { ...state.deviceInfo, ...status }
-      
-      // Connect to status WebSocket
-      const statusWs = await createWebSocket(WS_PATHS.STATUS)
-      state.websockets.set('status', statusWs)
-      
-      statusWs.on('message', (data) => {
-        try {
-          const status = JSON.parse(data)
-          state.deviceInfo = { ...state.deviceInfo, ...status }
-          emitter.emit(EVENT_TYPES.STATUS_UPDATE, status)
-        } catch (error) {
-          emitter.emit(EVENT_TYPES.ERROR, 
-            StreamError('Failed to parse status message', ErrorCodes.INVALID_DATA_FORMAT, { error })
-          )
-        }
-      })
-      
-      statusWs.on('close', () => {
-        if (autoReconnect && state.connectionState === ConnectionState.CONNECTED) {
-          handleReconnect()
-        }
-      })
-      
-      statusWs.on('error', (error) => {
-        emitter.emit(EVENT_TYPES.ERROR, 
-          ConnectionError('Status WebSocket error', { error })
-        )
-      })
-      
-      state.connectionState = ConnectionState.CONNECTED
-      state.reconnectAttempts = 0
-      emitter.emit(EVENT_TYPES.CONNECTED, state.deviceInfo)
-      
+      await openConnection()
     } catch (error) {
       state.connectionState = ConnectionState.ERROR
       emitter.emit(EVENT_TYPES.ERROR, error)
@@ -169,6 +290,8 @@ export const createDevice = (deviceInfo, options = {}) => {
   
   const disconnect = async () => {
     state.connectionState = ConnectionState.DISCONNECTED
+    heartbeat.stop()
+    driftTracker.stop()
     
     // Close all WebSockets
     for (const [name, ws] of state.websockets) {
@@ -189,112 +312,404 @@ export const createDevice = (deviceInfo, options = {}) => {
     emitter.emit(EVENT_TYPES.DISCONNECTED)
   }
   
+  // Announce an attempt along with the delay before it
+  const announceReconnect = (attempt, delay) => {
+    state.reconnectAttempts = attempt
+    emitter.emit(EVENT_TYPES.RECONNECTING, { attempt, delay, maxAttempts: reconnectStrategy.maxAttempts })
+  }
+  
   const handleReconnect = async () => {
-    if (state.reconnectAttempts >= maxReconnectAttempts) {
-      state.connectionState = ConnectionState.ERROR
-      emitter.emit(EVENT_TYPES.ERROR, 
-        ConnectionError('Maximum reconnection attempts exceeded', ErrorCodes.CONNECTION_FAILED)
-      )
+    if (state.connectionState === ConnectionState.RECONNECTING) {
       return
     }
     
     state.connectionState = ConnectionState.RECONNECTING
-    state.reconnectAttempts++
-    emitter.emit(EVENT_TYPES.RECONNECTING, { attempt: state.reconnectAttempts })
     
-    await new Promise(resolve => setTimeout(resolve, reconnectInterval))
+    // disconnect() while waiting ends the loop without further attempts
+    const attemptReconnect = async () => {
+      if (state.connectionState !== ConnectionState.RECONNECTING) {
+        return
+      }
+      await openConnection()
+    }
     
     try {
-      await connect()
+      const delay = reconnectStrategy.getDelay(1)
+      announceReconnect(1, delay)
+      await sleep(delay)
+      
+      // retry() passes the attempt that failed, the strategy wants the one coming up
+      await retry(attemptReconnect, {
+        maxAttempts: reconnectStrategy.maxAttempts,
+        getDelay: (attempt) => reconnectStrategy.getDelay(attempt + 1),
+        onRetry: ({ attempt, nextDelay }) => announceReconnect(attempt + 1, nextDelay)
+      })
     } catch (error) {
-      // Will try again due to autoReconnect
+      if (state.connectionState !== ConnectionState.RECONNECTING) {
+        return
+      }
+      state.connectionState = ConnectionState.ERROR
+      emitter.emit(EVENT_TYPES.ERROR, 
+        ConnectionError('Maximum reconnection attempts exceeded', { attempts: state.reconnectAttempts, error })
+      )
     }
   }
   
+  // The device went silent: sockets may still look open, so drop them ourselves
+  const handleConnectionLost = (silentFor) => {
+    if (autoReconnect) {
+      handleReconnect()
+    } else {
+      state.connectionState = ConnectionState.ERROR
+    }
+    
+    // Stream sockets error with STREAM_INTERRUPTED, which resumable streams wait out
+    for (const ws of state.websockets.values()) {
+      ws.terminate()
+    }
+    
+    emitter.emit(EVENT_TYPES.ERROR, 
+      ConnectionError(`No data from device for ${silentFor}ms`, { silentFor }, ErrorCodes.CONNECTION_LOST)
+    )
+  }
+  
   // Stream creation
-  const createGazeStream = (config = {}) => {
-    const streamKey = `gaze_${JSON.stringify(config)}`
+  // Apply the timestamp options using the drift model's current offset
+  const stampTimestamps = (sample) => {
+    const offset = needsTimeOffset ? driftTracker.predictOffset() : null
+    if (offset === null) {
+      return sample
+    }
+    
+    const stamped = dualTimestamps ? addHostTimestamp(sample, offset) : sample
+    return alignTimestamps ? alignTimestamp(stamped, offset) : stamped
+  }
+  
+  const parseJSON = (data) => JSON.parse(data)
+  
+  /**
+   * Get the shared sample source for a WebSocket path
+   * One socket per path is opened for the first subscriber and closed when
+   * the last one leaves. Messages are decoded, validated and tapped once,
+   * whatever the number of subscribers.
+   * @param {string} path - WebSocket path
+   * @param {Object} handlers - Stream handlers, see createDataStream
+   * @returns {Observable} Shared Observable of raw samples
+   */
+  const getSharedSocket = (path, { label, decode = parseJSON, unpack, validate, tap }) => {
+    if (state.sockets.has(path)) {
+      return state.sockets.get(path)
+    }
+    
+    const title = label.charAt(0).toUpperCase() + label.slice(1)
+    
+    const socket = new Observable(observer => {
+      let ws = null
+      let closed = false
+      
+      const startSocket = async () => {
+        try {
+          ws = await createWebSocket(path)
+        } catch (error) {
+          observer.error(StreamError(`Failed to start ${label} stream`, ErrorCodes.STREAM_START_FAILED, { error }))
+          return
+        }
+        
+        // Every subscriber left while the socket was opening
+        if (closed) {
+          ws.close()
+          return
+        }
+        
+        state.websockets.set(path, ws)
+        
+        ws.on('message', (data) => {
+          heartbeat.received()
+          let samples
+          try {
+            const decoded = decode(data)
+            samples = unpack ? unpack(decoded) : [decoded]
+          } catch (error) {
+            observer.error(StreamError(`Failed to parse ${label} data`, ErrorCodes.STREAM_DECODE_ERROR, { error }))
+            return
+          }
+          
+          for (const sample of samples) {
+            if (validate && !validate(sample)) {
+              observer.error(StreamError(`Invalid ${label} data`, ErrorCodes.DATA_VALIDATION_FAILED, { data: sample }))
+              return
+            }
+            
+            // Stamped once here so taps and all subscribers see the same timestamps
+            const stamped = stampTimestamps(sample)
+            if (tap) {
+              tap(stamped)
+            }
+            observer.next(stamped)
+          }
+        })
+        
+        ws.on('close', () => {
+          if (state.websockets.get(path) === ws) {
+            state.websockets.delete(path)
+          }
+          observer.error(StreamError(`${title} stream closed unexpectedly`, ErrorCodes.STREAM_INTERRUPTED))
+        })
+        
+        ws.on('error', (error) => {
+          observer.error(StreamError(`${title} WebSocket error`, ErrorCodes.STREAM_INTERRUPTED, { error }))
+        })
+      }
+      
+      startSocket()
+      
+      return () => {
+        closed = true
+        if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.close()
+        }
+      }
+    }).pipe(share())
+    
+    state.sockets.set(path, socket)
+    return socket
+  }
+  
+  /**
+   * Create a WebSocket-backed data stream
+   * Streams on the same path share one socket (see getSharedSocket); semantic
+   * enhancement and buffering are applied per subscriber. With `resume: true`
+   * subscribers stay attached across reconnects and receive a StreamGap
+   * marker before the first sample after an interruption.
+   * @param {Object} descriptor - Stream descriptor
+   * @param {string} descriptor.name - Stream name used in cache keys
+   * @param {string} descriptor.label - Human-readable label used in error messages
+   * @param {string} descriptor.path - WebSocket path
+   * @param {Object} [descriptor.config] - Stream configuration (semantic, bufferSize, overflow, resume)
+   * @param {Function} [descriptor.decode] - Message decoder (defaults to JSON)
+   * @param {Function} [descriptor.unpack] - Splits one decoded message into several samples
+   * @param {Function} [descriptor.validate] - Sample validator, invalid samples error the stream
+   * @param {Function} [descriptor.enhance] - Semantic enhancer applied when enabled
+   * @param {string[]} [descriptor.requires] - DEVICE_CAPABILITIES flags the device model must have
+   * @param {Function} [descriptor.tap] - Side effect run once for every sample received
+   * @returns {Observable} Data stream with getStats() sample counters
+   */
+  const createDataStream = ({
+    name, label, path, config = {}, decode, unpack, validate, enhance, requires = [], tap
+  }) => {
+    const streamKey = `${name}_${JSON.stringify(config)}`
     if (state.streams.has(streamKey)) {
       return state.streams.get(streamKey).observable
     }
     
+    const title = label.charAt(0).toUpperCase() + label.slice(1)
+    
     // Create semantic configuration
     const semanticConfig = createSemanticConfig(config.semantic)
     
+    // Summed over all subscriptions to this stream
+    const stats = createStreamStats()
+    
     const stream = new Observable(subscriber => {
       if (state.connectionState !== ConnectionState.CONNECTED) {
         subscriber.error(StreamError('Device not connected', ErrorCodes.STREAM_START_FAILED))
         return
       }
       
-      let gazeWs = null
-      
-      const startStream = async () => {
-        try {
-          gazeWs = await createWebSocket(WS_PATHS.GAZE)
-          
-          gazeWs.on('message', (data) => {
-            try {
-              const gazeData = JSON.parse(data)
-              
-              // Apply semantic enhancement if enabled
-              const enhancedData = semanticConfig.enabled 
-                ? enhanceGazeData(gazeData, semanticConfig, state.deviceInfo)
-                : gazeData
-              
-              subscriber.next(enhancedData)
-            } catch (error) {
-              const enhancedError = enhanceError(error, semanticConfig)
-              subscriber.error(StreamError('Failed to parse gaze data', ErrorCodes.STREAM_DECODE_ERROR, { error: enhancedError }))
-            }
-          })
-          
-          gazeWs.on('close', () => {
-            if (!subscriber.closed) {
-              subscriber.error(StreamError('Gaze stream closed unexpectedly', ErrorCodes.STREAM_INTERRUPTED))
-            }
-          })
-          
-          gazeWs.on('error', (error) => {
-            subscriber.error(StreamError('Gaze WebSocket error', ErrorCodes.STREAM_ERROR, { error }))
-          })
-          
-        } catch (error) {
-          subscriber.error(StreamError('Failed to start gaze stream', ErrorCodes.STREAM_START_FAILED, { error }))
-        }
+      // Unknown models are allowed through, the device will reject unsupported paths itself
+      const { model } = state.deviceInfo
+      const capabilities = DEVICE_CAPABILITIES[model]
+      const missing = capabilities ? requires.filter(flag => !capabilities[flag]) : []
+      if (missing.length > 0) {
+        subscriber.error(StreamError(
+          `${title} stream is not available on ${model}`,
+          ErrorCodes.STREAM_NOT_AVAILABLE,
+          { model, missing }
+        ))
+        return
       }
       
-      startStream()
+      // Each subscription buffers independently when an overflow policy is configured
+      const sink = createStreamSink(subscriber, { bufferSize: config.bufferSize, overflow: config.overflow }, stats)
+      
+      const socket = getSharedSocket(path, { label, decode, unpack, validate, tap })
+      const source = config.resume
+        ? socket.pipe(resumable({
+          name,
+          getConnectionState: () => state.connectionState,
+          retryDelay: reconnectInterval,
+          maxAttempts: maxReconnectAttempts
+        }))
+        : socket
+      
+      const subscription = source.subscribe({
+        next: (sample) => {
+          // Apply semantic enhancement if enabled
+          const enhancedData = semanticConfig.enabled && enhance && !isStreamGap(sample)
+            ? enhance(sample, semanticConfig, state.deviceInfo)
+            : sample
+          
+          sink.next(enhancedData)
+        },
+        error: (error) => {
+          // The parser error is described according to this subscriber's semantic config
+          sink.error(error.code === ErrorCodes.STREAM_DECODE_ERROR
+            ? StreamError(error.message, error.code, { error: enhanceError(error.details?.error, semanticConfig) })
+            : error)
+        },
+        complete: () => sink.complete()
+      })
       
       // Cleanup function
       return () => {
-        if (gazeWs && gazeWs.readyState === WebSocket.OPEN) {
-          gazeWs.close()
-        }
+        subscription.unsubscribe()
         state.streams.delete(streamKey)
       }
     })
     
+    stream.getStats = () => ({ ...stats })
+    
     state.streams.set(streamKey, { observable: stream, complete: () => {} })
     return stream
   }
   
+  const createGazeStream = (config = {}) => createDataStream({
+    name: 'gaze',
+    label: 'gaze',
+    path: WS_PATHS.GAZE,
+    config,
+    enhance: enhanceGazeData
+  })
+  
+  const createImuStream = (config = {}) => createDataStream({
+    name: 'imu',
+    label: 'IMU',
+    path: WS_PATHS.IMU,
+    config,
+    validate: isValidIMUData,
+    enhance: enhanceIMUData
+  })
+  
+  const createEyeStateStream = (config = {}) => createDataStream({
+    name: 'eyeState',
+    label: 'eye state',
+    path: WS_PATHS.EYE_STATE,
+    config,
+    unpack: unpackEyeStates,
+    validate: isValidEyeState,
+    requires: ['hasPupilDiameter', 'hasEyeState3D']
+  })
+  
+  const createEyeEventsStream = (config = {}) => createDataStream({
+    name: 'eyeEvents',
+    label: 'eye events',
+    path: WS_PATHS.EVENTS,
+    config,
+    unpack: unpackEyeEvents,
+    // Re-emit on the device event channel so listeners can use device.on(EVENT_TYPES.BLINK_START, ...)
+    tap: ({ type, data }) => emitter.emit(type, data)
+  })
+  
+  const createSceneVideoStream = (config = {}) => createDataStream({
+    name: 'sceneVideo',
+    label: 'scene video',
+    path: WS_PATHS.VIDEO,
+    config,
+    decode: decodeVideoFrame,
+    validate: isValidVideoFrame
+  })
+  
   // Simple API methods
   const getStatus = () => apiRequest(API_PATHS.STATUS)
   
-  const startRecording = (recordingId) => 
-    apiRequest(API_PATHS.RECORDING, {
-      method: 'POST',
-      body: JSON.stringify({ action: 'start', recording_id: recordingId })
-    })
+  const startRecording = (recordingId) => recordingController.start(recordingId)
+  
+  const stopRecording = (options) => recordingController.stop(options)
+  
+  const cancelRecording = () => recordingController.cancel()
   
-  const stopRecording = () =>
-    apiRequest(API_PATHS.RECORDING, {
+  const getRecordingStatus = () => recordingController.refresh()
+  
+  // Recordings saved on the device
+  const listRecordings = async () => {
+    const { recordings = [] } = await apiRequest(API_PATHS.RECORDINGS)
+    return recordings.map(toRecordingInfo)
+  }
+  
+  const getRecording = async (id) => {
+    const path = getRecordingPath(id)
+    try {
+      return toRecordingInfo(await apiRequest(path))
+    } catch (error) {
+      throw toRecordingError(error, `Failed to get recording ${id}`, ErrorCodes.API_REQUEST_FAILED, { id })
+    }
+  }
+  
+  const deleteRecording = async (id) => {
+    const path = getRecordingPath(id)
+    try {
+      await apiRequest(path, { method: 'DELETE' })
+    } catch (error) {
+      throw toRecordingError(error, `Failed to delete recording ${id}`, ErrorCodes.API_REQUEST_FAILED, { id })
+    }
+  }
+  
+  /**
+   * Download a saved recording to a file
+   * The file is streamed to disk; an interrupted download leaves a `.part`
+   * file that the next call for the same destination continues from.
+   * @param {string} id - Recording ID
+   * @param {string} destination - File path to write
+   * @param {Object} [options] - Download options
+   * @param {boolean} [options.resume] - Continue an existing part file (default: true)
+   * @param {Function} [options.onProgress] - Called like RECORDING_DOWNLOAD_PROGRESS listeners
+   * @returns {Promise<{id: string, path: string, size: number, resumed: boolean}>}
+   */
+  const downloadRecording = async (id, destination, { resume = true, onProgress } = {}) => {
+    const url = `${baseURL}${getRecordingPath(id, '/download')}`
+    const reportProgress = ({ received, total }) => {
+      const progress = { id, received, total, fraction: total ? received / total : null }
+      onProgress?.(progress)
+      emitter.emit(EVENT_TYPES.RECORDING_DOWNLOAD_PROGRESS, progress)
+    }
+    
+    try {
+      return { id, ...await downloadToFile(url, destination, { resume, onProgress: reportProgress }) }
+    } catch (error) {
+      throw toRecordingError(error, `Failed to download recording ${id}`, ErrorCodes.RECORDING_DOWNLOAD_FAILED, {
+        id,
+        destination
+      })
+    }
+  }
+  
+  /**
+   * Send an event annotation, e.g. a stimulus onset, to the running recording
+   * The timestamp is taken on the host clock and converted to the device clock
+   * with the current offset, which is estimated first if none is known yet.
+   * @param {string} name - Event name
+   * @param {Object} [options] - Event options
+   * @param {number} [options.timestamp] - Host Unix seconds of the event (defaults to now)
+   * @returns {Promise<Object>} Device response
+   */
+  const sendEvent = async (name, { timestamp = Date.now() / 1000 } = {}) => {
+    if (!isValidEventName(name)) {
+      throw DeviceError('Event names must be non-blank printable text of at most 255 characters',
+        ErrorCodes.INVALID_PARAMETER, { name })
+    }
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) {
+      throw DeviceError('Event timestamp must be Unix seconds', ErrorCodes.INVALID_PARAMETER, { timestamp })
+    }
+    
+    if (driftTracker.predictOffset() === null) {
+      await estimateTimeOffset()
+    }
+    
+    return apiRequest(API_PATHS.EVENTS, {
       method: 'POST',
-      body: JSON.stringify({ action: 'stop' })
+      body: JSON.stringify({ name, timestamp: toDeviceTimestamp(timestamp, driftTracker.predictOffset()) })
     })
-  
-  const getRecordingStatus = () => apiRequest(API_PATHS.RECORDING)
+  }
   
   const startCalibration = () =>
     apiRequest(API_PATHS.CALIBRATION, {
@@ -317,18 +732,35 @@ export const createDevice = (deviceInfo, options = {}) => {
     disconnect,
     get connected() { return state.connectionState === ConnectionState.CONNECTED },
     get connectionState() { return state.connectionState },
+    get lastMessageAt() { return heartbeat.lastMessageAt },
+    get roundTripTime() { return heartbeat.roundTripTime },
+    get timeOffset() { return state.timeOffset && { ...state.timeOffset } },
+    get recordingState() { return recordingController.state },
+    get recording() { return recordingController.info },
     
     // Device info
     get info() { return { ...state.deviceInfo } },
     
     // Streams
     createGazeStream,
+    createImuStream,
+    createEyeStateStream,
+    createEyeEventsStream,
+    createSceneVideoStream,
     
     // Simple API
     getStatus,
+    estimateTimeOffset,
+    predictTimeOffset,
     startRecording,
     stopRecording,
+    cancelRecording,
     getRecordingStatus,
+    listRecordings,
+    getRecording,
+    downloadRecording,
+    deleteRecording,
+    sendEvent,
     startCalibration,
     stopCalibration,
     getCalibrationStatus,
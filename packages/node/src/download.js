@@ -0,0 +1,116 @@
+/**
+ * Resumable file downloads
+ * Streams an HTTP response to disk through a `.part` file next to the
+ * destination, so an interrupted download continues with a Range request
+ * instead of starting over.
+ */
+import { createWriteStream } from 'node:fs'
+import { stat, rename, rm } from 'node:fs/promises'
+import { Readable, Transform } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import {
+  TIMEOUTS,
+  APIError,
+  ErrorCodes,
+  withTimeout
+} from 'open-neon-js-api-core'
+
+const fileSize = (path) => stat(path).then(stats => stats.size, () => 0)
+
+// Total size from a Content-Range header, e.g. "bytes 100-199/200" or "bytes */200"
+const totalFromContentRange = (header) => {
+  const match = /\/(\d+)$/.exec(header ?? '')
+  return match ? Number(match[1]) : null
+}
+
+// First byte of a Content-Range header, e.g. 100 for "bytes 100-199/200"
+const startFromContentRange = (header) => {
+  const match = /^bytes (\d+)-/.exec(header ?? '')
+  return match ? Number(match[1]) : null
+}
+
+/**
+ * Download a URL to a file
+ *
+ * Data is written to `${destination}.part`, which is renamed to the
+ * destination once complete. With `resume`, an existing part file is
+ * continued from its end; servers that ignore the Range header send the
+ * whole file again, which then replaces the part file. A part file that
+ * does not match the remote file, or a range that does not start at its
+ * end, restarts the download from the beginning.
+ *
+ * @param {string} url - URL to download
+ * @param {string} destination - File path to write
+ * @param {Object} [options] - Download options
+ * @param {boolean} [options.resume] - Continue an existing part file
+ * @param {number} [options.timeout] - Maximum wait for the response headers in ms
+ * @param {Function} [options.onProgress] - Called with { received, total } after every chunk
+ * @returns {Promise<{path: string, size: number, resumed: boolean}>}
+ */
+export const downloadToFile = async (url, destination, {
+  resume = true,
+  timeout = TIMEOUTS.API_REQUEST,
+  onProgress = () => {}
+} = {}) => {
+  const partPath = `${destination}.part`
+  const offset = resume ? await fileSize(partPath) : 0
+
+  const response = await withTimeout(
+    fetch(url, { headers: offset > 0 ? { Range: `bytes=${offset}-` } : {} }),
+    timeout,
+    'Download request timed out'
+  )
+
+  const contentRange = response.headers.get('Content-Range')
+  if (response.status === 416) {
+    // The part file already holds everything
+    if (totalFromContentRange(contentRange) === offset) {
+      await rename(partPath, destination)
+      return { path: destination, size: offset, resumed: true }
+    }
+
+    // The part file is longer than the remote file, so it belongs to another one
+    if (offset > 0) {
+      await response.body?.cancel()
+      await rm(partPath, { force: true })
+      return downloadToFile(url, destination, { resume: false, timeout, onProgress })
+    }
+  }
+
+  // Appending a range that does not continue the part file would corrupt it
+  if (response.status === 206 && startFromContentRange(contentRange) !== offset) {
+    await response.body?.cancel()
+    return downloadToFile(url, destination, { resume: false, timeout, onProgress })
+  }
+
+  if (!response.ok) {
+    throw APIError(
+      `Download failed: ${response.status} ${response.statusText}`,
+      ErrorCodes.API_REQUEST_FAILED,
+      { status: response.status, url }
+    )
+  }
+
+  const resumed = response.status === 206
+  let received = resumed ? offset : 0
+  const total = resumed
+    ? totalFromContentRange(contentRange)
+    : Number(response.headers.get('Content-Length')) || null
+
+  const progress = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length
+      onProgress({ received, total })
+      callback(null, chunk)
+    }
+  })
+
+  await pipeline(
+    Readable.fromWeb(response.body),
+    progress,
+    createWriteStream(partPath, { flags: resumed ? 'a' : 'w' })
+  )
+  await rename(partPath, destination)
+
+  return { path: destination, size: received, resumed }
+}
@@ -18,6 +18,19 @@ export {
   createDevice 
 } from './device.js'
 
+export { 
+  createLocalRecorder,
+  readLocalRecording 
+} from './recorder.js'
+
+export { 
+  exportRecordingToBIDS 
+} from './bids.js'
+
+export { 
+  createReplayDevice 
+} from './replay.js'
+
 export { 
   discoverOneDevice,
   connectToDevice,
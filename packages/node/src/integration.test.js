@@ -1,5 +1,9 @@
-import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest'
-import { Device, Discovery, discoverOneDevice, connectToDevice } from './index.js'
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest'
+import { mkdtemp, mkdir, readFile, readdir, writeFile, rm, access } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { gunzipSync } from 'node:zlib'
+import { Device, Discovery, discoverOneDevice, connectToDevice, createLocalRecorder, exportRecordingToBIDS, EVENT_TYPES } from './index.js'
 import { MockPupilDevice } from '../../../test-utils/mock-server.js'
 
 describe('Integration Tests', () => {
@@ -63,6 +67,88 @@ describe('Integration Tests', () => {
       await device.close()
     }, 5000)
     
+    it('should reconnect after the status socket drops', async () => {
+      const device = await connectToDevice(MOCK_ADDRESS, {
+        timeout: 2000,
+        reconnectStrategy: 'exponential',
+        reconnectInterval: 20
+      })
+      const reconnecting = []
+      device.device.on(EVENT_TYPES.RECONNECTING, (payload) => reconnecting.push(payload))
+
+      try {
+        const reconnected = new Promise(resolve => device.device.once(EVENT_TYPES.CONNECTED, resolve))
+        mockDevice.statusClients.forEach(ws => ws.close())
+        await reconnected
+
+        expect(reconnecting).toEqual([{ attempt: 1, delay: 20, maxAttempts: 10 }])
+        expect(device.connected).toBe(true)
+      } finally {
+        await device.close()
+      }
+    }, 3000)
+
+    it('should measure round-trip time with heartbeat pings', async () => {
+      const device = await connectToDevice(MOCK_ADDRESS, { timeout: 2000, heartbeatInterval: 50 })
+
+      try {
+        await new Promise(resolve => setTimeout(resolve, 200))
+
+        expect(device.device.roundTripTime).toBeGreaterThanOrEqual(0)
+        expect(Date.now() - device.device.lastMessageAt).toBeLessThan(200)
+      } finally {
+        await device.close()
+      }
+    }, 3000)
+
+    it('should declare the connection lost when the device goes silent', async () => {
+      const device = await connectToDevice(MOCK_ADDRESS, {
+        timeout: 2000,
+        heartbeatInterval: 50,
+        heartbeatTimeout: 300,
+        reconnectInterval: 20
+      })
+      const errors = []
+      device.device.on(EVENT_TYPES.ERROR, (error) => errors.push(error))
+
+      // The mock stops reading, so pings go unanswered while its socket stays open
+      const silenced = [...mockDevice.statusClients]
+      silenced.forEach(ws => ws._socket.pause())
+
+      try {
+        await new Promise(resolve => device.device.once(EVENT_TYPES.RECONNECTING, resolve))
+        expect(errors.map(error => error.code)).toContain('CONNECTION_LOST')
+
+        await new Promise(resolve => device.device.once(EVENT_TYPES.CONNECTED, resolve))
+        expect(device.connected).toBe(true)
+      } finally {
+        silenced.forEach(ws => ws._socket.resume())
+        await device.close()
+      }
+    }, 3000)
+
+    it('should back off exponentially and give up after maxReconnectAttempts', async () => {
+      const device = await Device.create({ ipAddress: '127.0.0.1', port: 1 }, {
+        reconnectStrategy: 'exponential',
+        reconnectInterval: 10,
+        maxReconnectAttempts: 3
+      })
+      const reconnecting = []
+      device.on(EVENT_TYPES.RECONNECTING, (payload) => reconnecting.push(payload))
+
+      const gaveUp = new Promise(resolve => device.on(EVENT_TYPES.ERROR, (error) => {
+        if (error.message.includes('Maximum reconnection attempts')) {
+          resolve(error)
+        }
+      }))
+      await expect(device.connect()).rejects.toThrow()
+      const error = await gaveUp
+
+      expect(reconnecting.map(({ attempt, delay }) => [attempt, delay])).toEqual([[1, 10], [2, 20], [3, 40]])
+      expect(error.details.attempts).toBe(3)
+      expect(device.connectionState).toBe('error')
+    }, 3000)
+
     it('should handle connection timeout', async () => {
       await expect(
         connectToDevice('192.168.99.99:8080', { timeout: 500 })
@@ -94,22 +180,202 @@ describe('Integration Tests', () => {
     })
     
     it('should start and stop recording', async () => {
-      // Start recording
-      const startResult = await device.startRecording('test-recording')
-      expect(startResult.success).toBe(true)
-      expect(startResult.isRecording).toBe(true)
+      mockDevice.options.processingTime = 100
+      
+      try {
+        const started = await device.startRecording('test-recording')
+        expect(started).toMatchObject({ id: 'test-recording', state: 'recording', isRecording: true })
+        
+        const status = await device.getRecordingStatus()
+        expect(status).toMatchObject({ id: 'test-recording', isRecording: true })
+        expect(status.duration).toBeGreaterThanOrEqual(0)
+        
+        await new Promise(resolve => setTimeout(resolve, 200))
+        const saved = await device.stopRecording({ waitForProcessing: true })
+        expect(saved).toMatchObject({ id: 'test-recording', state: 'idle', isRecording: false })
+        expect(saved.duration).toBeGreaterThan(0.1)
+        expect(saved.gazeSampleCount).toBeGreaterThan(20)
+        expect(saved.frameCount).toBeGreaterThan(3)
+        expect(device.device.recordingState).toBe('idle')
+      } finally {
+        mockDevice.options.processingTime = 1000
+      }
+    }, 3000)
+    
+    it('should report the recording lifecycle from the status socket', async () => {
+      mockDevice.options.processingTime = 100
+      const events = []
+      for (const type of [EVENT_TYPES.RECORDING_STARTED, EVENT_TYPES.RECORDING_STOPPED, EVENT_TYPES.RECORDING_SAVED]) {
+        device.device.on(type, (info) => events.push([type, info.state]))
+      }
+      
+      try {
+        await device.startRecording('lifecycle')
+        await device.stopRecording()
+        expect(device.device.recordingState).toBe('processing')
+        
+        await vi.waitFor(() => expect(device.device.recordingState).toBe('idle'), { timeout: 1000 })
+        expect(events).toEqual([
+          [EVENT_TYPES.RECORDING_STARTED, 'recording'],
+          [EVENT_TYPES.RECORDING_STOPPED, 'processing'],
+          [EVENT_TYPES.RECORDING_SAVED, 'idle']
+        ])
+      } finally {
+        mockDevice.options.processingTime = 1000
+      }
+    }, 3000)
+    
+    it('should cancel a recording', async () => {
+      const cancelled = []
+      device.device.on(EVENT_TYPES.RECORDING_CANCELLED, (info) => cancelled.push(info.id))
+      
+      await device.startRecording('discarded')
+      await device.cancelRecording()
+      
+      expect(device.device.recordingState).toBe('idle')
+      expect(mockDevice.state.recording).toBeNull()
+      expect(cancelled).toEqual(['discarded'])
+      await expect(device.cancelRecording()).rejects.toMatchObject({ name: 'RecordingError', code: 'RECORDING_NOT_STARTED' })
+    })
+    
+    it('should raise RecordingErrors for full storage', async () => {
+      mockDevice.state.storageFull = true
+      
+      try {
+        await expect(device.startRecording('too-big')).rejects.toMatchObject({
+          name: 'RecordingError',
+          code: 'RECORDING_STORAGE_FULL'
+        })
+        expect(device.device.recordingState).toBe('idle')
+      } finally {
+        mockDevice.state.storageFull = false
+      }
       
-      // Verify recording status
-      const recordingStatus = await device.getRecordingStatus()
-      expect(recordingStatus.isRecording).toBe(true)
-      expect(recordingStatus.recordingId).toBe('test-recording')
+      const failures = []
+      device.device.on(EVENT_TYPES.RECORDING_ERROR, (error) => failures.push(error.code))
       
-      // Stop recording
-      const stopResult = await device.stopRecording()
-      expect(stopResult.success).toBe(true)
-      expect(stopResult.isRecording).toBe(false)
+      try {
+        await device.startRecording('fills-up')
+        mockDevice.failRecording('storage_full')
+        
+        await vi.waitFor(() => expect(device.device.recordingState).toBe('error'), { timeout: 1000 })
+        expect(failures).toEqual(['RECORDING_STORAGE_FULL'])
+        expect(device.device.recording).toMatchObject({ id: 'fills-up', error: 'storage_full' })
+      } finally {
+        mockDevice.state.recording = null
+        mockDevice.state.isRecording = false
+      }
     })
     
+    it('should list and inspect saved recordings', async () => {
+      const recordings = await device.listRecordings()
+      const synthetic = recordings.find(recording => recording.id === 'mock-recording')
+      
+      expect(synthetic).toMatchObject({ name: 'mock-recording', state: 'idle', isRecording: false, duration: 10 })
+      expect(synthetic.gazeSampleCount).toBe(2000)
+      expect(synthetic.size).toBe(mockDevice.recordings.get('mock-recording').content.length)
+      expect(await device.getRecording('mock-recording')).toEqual(synthetic)
+      
+      await expect(device.getRecording('missing')).rejects.toMatchObject({
+        name: 'RecordingError',
+        code: 'RECORDING_NOT_FOUND'
+      })
+    })
+    
+    it('should download a recording to disk with progress events', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'neon-download-'))
+      const destination = join(dir, 'mock-recording.jsonl')
+      const progress = []
+      device.device.on(EVENT_TYPES.RECORDING_DOWNLOAD_PROGRESS, (event) => progress.push(event))
+      
+      try {
+        const result = await device.downloadRecording('mock-recording', destination)
+        const { content } = mockDevice.recordings.get('mock-recording')
+        
+        expect(result).toEqual({ id: 'mock-recording', path: destination, size: content.length, resumed: false })
+        expect((await readFile(destination)).equals(content)).toBe(true)
+        await expect(access(`${destination}.part`)).rejects.toThrow()
+        
+        expect(progress.length).toBeGreaterThan(0)
+        expect(progress.at(-1)).toEqual({ id: 'mock-recording', received: content.length, total: content.length, fraction: 1 })
+      } finally {
+        await rm(dir, { recursive: true, force: true })
+      }
+    })
+    
+    it('should resume a partial download with a range request', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'neon-download-'))
+      const destination = join(dir, 'mock-recording.jsonl')
+      const { content } = mockDevice.recordings.get('mock-recording')
+      await writeFile(`${destination}.part`, content.subarray(0, 1000))
+      const progress = []
+      
+      try {
+        const result = await device.downloadRecording('mock-recording', destination, {
+          onProgress: (event) => progress.push(event.received)
+        })
+        
+        expect(result).toMatchObject({ size: content.length, resumed: true })
+        expect(progress[0]).toBeGreaterThan(1000)
+        expect((await readFile(destination)).equals(content)).toBe(true)
+      } finally {
+        await rm(dir, { recursive: true, force: true })
+      }
+    })
+    
+    it('should restart a download when the part file is larger than the recording', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'neon-download-'))
+      const destination = join(dir, 'mock-recording.jsonl')
+      const { content } = mockDevice.recordings.get('mock-recording')
+      await writeFile(`${destination}.part`, Buffer.concat([content, content]))
+      
+      try {
+        const result = await device.downloadRecording('mock-recording', destination)
+        
+        expect(result).toMatchObject({ size: content.length, resumed: false })
+        expect((await readFile(destination)).equals(content)).toBe(true)
+      } finally {
+        await rm(dir, { recursive: true, force: true })
+      }
+    })
+    
+    it('should restart a download when the range does not continue the part file', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'neon-download-'))
+      const destination = join(dir, 'mock-recording.jsonl')
+      const { content } = mockDevice.recordings.get('mock-recording')
+      await writeFile(`${destination}.part`, content.subarray(0, 1000))
+      mockDevice.options.rangeAlignment = 4096
+      
+      try {
+        const result = await device.downloadRecording('mock-recording', destination)
+        
+        expect(result).toMatchObject({ size: content.length, resumed: false })
+        expect((await readFile(destination)).equals(content)).toBe(true)
+      } finally {
+        mockDevice.options.rangeAlignment = 1
+        await rm(dir, { recursive: true, force: true })
+      }
+    })
+    
+    it('should delete recordings', async () => {
+      mockDevice.options.processingTime = 50
+      
+      try {
+        await device.startRecording('to-delete')
+        await device.stopRecording({ waitForProcessing: true })
+        expect((await device.listRecordings()).map(recording => recording.id)).toContain('to-delete')
+        
+        await device.deleteRecording('to-delete')
+        
+        expect(mockDevice.recordings.has('to-delete')).toBe(false)
+        await expect(device.deleteRecording('to-delete')).rejects.toMatchObject({ code: 'RECORDING_NOT_FOUND' })
+        await expect(device.downloadRecording('to-delete', join(tmpdir(), 'never-written')))
+          .rejects.toMatchObject({ code: 'RECORDING_NOT_FOUND' })
+      } finally {
+        mockDevice.options.processingTime = 1000
+      }
+    }, 3000)
+    
     it('should handle calibration', async () => {
       // Start calibration
       const startResult = await device.startCalibration()
@@ -124,6 +390,29 @@ describe('Integration Tests', () => {
       expect(calibrationStatus.isCalibrating).toBe(false)
       expect(calibrationStatus.accuracy).toBeGreaterThan(0.8)
     }, 6000)
+
+    it('should send event annotations on the device clock', async () => {
+      mockDevice.options.clockOffset = 5
+      mockDevice.events.length = 0
+
+      try {
+        const onset = Date.now() / 1000 - 0.25
+        const result = await device.sendEvent('stimulus.onset', { timestamp: onset })
+        await device.sendEvent('trial.end')
+
+        expect(result.success).toBe(true)
+        expect(mockDevice.events.map(event => event.name)).toEqual(['stimulus.onset', 'trial.end'])
+        expect(mockDevice.events[0].timestamp - onset).toBeCloseTo(5, 1)
+        expect(mockDevice.events[1].timestamp).toBeCloseTo(mockDevice.now(), 0)
+      } finally {
+        mockDevice.options.clockOffset = 0
+      }
+    }, 3000)
+
+    it('should refuse invalid event names', async () => {
+      await expect(device.sendEvent('')).rejects.toMatchObject({ code: 'INVALID_PARAMETER' })
+      await expect(device.sendEvent('two\nlines')).rejects.toMatchObject({ code: 'INVALID_PARAMETER' })
+    })
   })
   
   describe('Data Streaming', () => {
@@ -160,6 +449,29 @@ describe('Integration Tests', () => {
       ).rejects.toThrow('Timeout waiting for gaze data')
     }, 2000)
     
+    it('should receive matched scene video frame and gaze', async () => {
+      const first = await device.receiveMatchedSceneVideoFrameAndGaze(2000)
+      const second = await device.receiveMatchedSceneVideoFrameAndGaze(2000)
+      
+      for (const { frame, gaze, timeOffset } of [first, second]) {
+        expect(frame.data).toBeInstanceOf(Uint8Array)
+        expect(frame.width).toBe(320)
+        expect(gaze.confidence).toBeGreaterThan(0)
+        expect(timeOffset).toBeCloseTo(frame.timestamp - gaze.timestamp, 9)
+        expect(Math.abs(timeOffset)).toBeLessThanOrEqual(0.05)
+      }
+      
+      expect(second.frame.timestamp).toBeGreaterThan(first.frame.timestamp)
+    }, 5000)
+    
+    it('should time out matching when no gaze arrives', async () => {
+      mockDevice.state.isWorn = false
+      
+      await expect(
+        device.receiveMatchedSceneVideoFrameAndGaze(500)
+      ).rejects.toThrow('Timeout waiting for matched scene video frame and gaze')
+    }, 2000)
+    
     it('should stream multiple gaze samples', async () => {
       const samples = []
       const startTime = Date.now()
@@ -222,6 +534,341 @@ describe('Integration Tests', () => {
         }
       })
     }, 3000)
+
+    it('should estimate the device clock offset', async () => {
+      mockDevice.options.clockOffset = 5
+
+      try {
+        const estimate = await device.device.estimateTimeOffset({ samples: 5 })
+
+        expect(estimate.samples).toBe(5)
+        expect(estimate.offset).toBeGreaterThan(4900)
+        expect(estimate.offset).toBeLessThan(5100)
+        expect(estimate.roundTripTime).toBeGreaterThanOrEqual(0)
+        expect(estimate.jitter).toBeGreaterThanOrEqual(0)
+        expect(device.device.timeOffset).toEqual(estimate)
+      } finally {
+        mockDevice.options.clockOffset = 0
+      }
+    }, 3000)
+
+    it('should emit host-aligned timestamps when asked to', async () => {
+      mockDevice.options.clockOffset = 5
+      const aligned = await connectToDevice(MOCK_ADDRESS, { timeout: 2000, alignTimestamps: true })
+
+      try {
+        for await (const gaze of aligned.device.createGazeStream()) {
+          expect(Math.abs(gaze.timestamp - Date.now() / 1000)).toBeLessThan(0.1)
+          break
+        }
+      } finally {
+        mockDevice.options.clockOffset = 0
+        await aligned.close()
+      }
+    }, 3000)
+
+    it('should carry device and host timestamps on every sample', async () => {
+      mockDevice.options.clockOffset = 5
+      const dual = await connectToDevice(MOCK_ADDRESS, { timeout: 2000, dualTimestamps: true })
+
+      try {
+        for await (const gaze of dual.device.createGazeStream()) {
+          expect(gaze.deviceTimestamp).toBe(gaze.timestamp)
+          expect(gaze.deviceTimestamp - gaze.hostTimestamp).toBeCloseTo(5, 1)
+          break
+        }
+      } finally {
+        mockDevice.options.clockOffset = 0
+        await dual.close()
+      }
+    }, 3000)
+
+    it('should emit clock.drift when the device clock moves', async () => {
+      const tracked = await connectToDevice(MOCK_ADDRESS, {
+        timeout: 2000,
+        trackClockDrift: true,
+        driftInterval: 100,
+        driftThreshold: 50
+      })
+
+      try {
+        const drifted = new Promise(resolve => tracked.device.once(EVENT_TYPES.CLOCK_DRIFT, resolve))
+        mockDevice.options.clockOffset = 1
+        const { change, offset, drift } = await drifted
+
+        expect(change).toBeGreaterThan(50)
+        expect(offset).toBeGreaterThan(50)
+        expect(drift).toBeTypeOf('number')
+      } finally {
+        mockDevice.options.clockOffset = 0
+        await tracked.close()
+      }
+    }, 3000)
+
+    it('should iterate gaze stream with for await', async () => {
+      const samples = []
+
+      for await (const gaze of device.device.createGazeStream()) {
+        samples.push(gaze)
+        if (samples.length >= 5) {
+          break
+        }
+      }
+
+      expect(samples).toHaveLength(5)
+      expect(samples[4].timestamp).toBeGreaterThan(samples[0].timestamp)
+    }, 3000)
+
+    it('should share one gaze socket between subscribers', async () => {
+      const plain = device.device.createGazeStream()
+      const semantic = device.device.createGazeStream({ semantic: { enabled: true } })
+      const take = (stream, count) => {
+        const received = []
+        let subscription
+        const done = new Promise((resolve, reject) => {
+          subscription = stream.subscribe({
+            next: (gaze) => {
+              received.push(gaze)
+              if (received.length >= count) {
+                resolve(received)
+              }
+            },
+            error: reject
+          })
+        })
+        return { done, subscription }
+      }
+
+      const a = take(plain, 5)
+      const b = take(semantic, 5)
+      const c = take(plain, 5)
+      const [plainSamples, semanticSamples] = await Promise.all([a.done, b.done, c.done])
+
+      expect(mockDevice.gazeClients.size).toBe(1)
+      expect(plainSamples[0].semantic).toBeUndefined()
+      expect(semanticSamples[0].semantic).toBeDefined()
+
+      a.subscription.unsubscribe()
+      b.subscription.unsubscribe()
+      await new Promise(resolve => setTimeout(resolve, 50))
+      expect(mockDevice.gazeClients.size).toBe(1)
+
+      c.subscription.unsubscribe()
+      await new Promise(resolve => setTimeout(resolve, 100))
+      expect(mockDevice.gazeClients.size).toBe(0)
+    }, 3000)
+
+    it('should resume gaze stream after the socket drops', async () => {
+      const resuming = await connectToDevice(MOCK_ADDRESS, { timeout: 2000, reconnectInterval: 100 })
+      const received = []
+
+      try {
+        await new Promise((resolve, reject) => {
+          const subscription = resuming.device.createGazeStream({ resume: true }).subscribe({
+            next: (value) => {
+              received.push(value)
+              if (received.length === 3) {
+                mockDevice.gazeClients.forEach(ws => ws.close())
+              }
+              if (received.some(v => v.type === EVENT_TYPES.STREAM_GAP) && received.length >= 8) {
+                subscription.unsubscribe()
+                resolve()
+              }
+            },
+            error: reject
+          })
+        })
+      } finally {
+        await resuming.close()
+      }
+
+      const gapIndex = received.findIndex(v => v.type === EVENT_TYPES.STREAM_GAP)
+      const gap = received[gapIndex]
+      expect(gap.stream).toBe('gaze')
+      expect(gap.start).toBe(received[gapIndex - 1].timestamp)
+      expect(gap.end).toBe(received[gapIndex + 1].timestamp)
+      expect(gap.duration).toBeGreaterThan(0)
+    }, 3000)
+
+    it('should count samples dropped for slow subscribers', async () => {
+      const gazeStream = device.device.createGazeStream({ bufferSize: 5, overflow: 'dropOldest' })
+      const received = []
+
+      await new Promise((resolve, reject) => {
+        const subscription = gazeStream.subscribe({
+          // A slow async consumer: one sample per 50ms against 200Hz
+          next: async (gaze) => {
+            received.push(gaze)
+            await new Promise(r => setTimeout(r, 50))
+            if (received.length >= 4) {
+              subscription.unsubscribe()
+              resolve()
+            }
+          },
+          error: reject
+        })
+      })
+
+      const stats = gazeStream.getStats()
+      expect(stats.delivered).toBe(4)
+      expect(stats.dropped).toBeGreaterThan(0)
+      expect(stats.received).toBeGreaterThanOrEqual(stats.delivered + stats.dropped)
+    }, 3000)
+
+    it('should create reactive IMU stream', async () => {
+      const imuStream = device.device.createImuStream({ semantic: { enabled: true } })
+      
+      const samples = await new Promise((resolve, reject) => {
+        const received = []
+        const subscription = imuStream.subscribe({
+          next: (imu) => {
+            received.push(imu)
+            if (received.length >= 5) {
+              subscription.unsubscribe()
+              resolve(received)
+            }
+          },
+          error: reject
+        })
+      })
+      
+      samples.forEach(imu => {
+        expect(imu.quaternion).toHaveLength(4)
+        expect(imu.accelerometer).toHaveLength(3)
+        expect(imu.gyroscope).toHaveLength(3)
+        expect(imu.timestamp).toBeGreaterThan(0)
+        expect(imu.semantic.motion).toBeTypeOf('string')
+      })
+    }, 3000)
+    
+    it('should create scene video stream with decoded frames', async () => {
+      const videoStream = device.device.createSceneVideoStream()
+      
+      const frames = await new Promise((resolve, reject) => {
+        const received = []
+        const subscription = videoStream.subscribe({
+          next: (frame) => {
+            received.push(frame)
+            if (received.length >= 3) {
+              subscription.unsubscribe()
+              resolve(received)
+            }
+          },
+          error: reject
+        })
+      })
+      
+      frames.forEach(frame => {
+        expect(frame.data).toBeInstanceOf(Uint8Array)
+        expect(frame.width).toBe(320)
+        expect(frame.height).toBe(240)
+        expect(frame.format).toBe('rgb')
+        expect(frame.data.length).toBe(320 * 240 * 3)
+        expect(frame.timestamp).toBeGreaterThan(0)
+      })
+      expect(frames[1].timestamp).toBeGreaterThan(frames[0].timestamp)
+    }, 3000)
+    
+    it('should create per-eye eye state stream', async () => {
+      const eyeStateStream = device.device.createEyeStateStream()
+      
+      const records = await new Promise((resolve, reject) => {
+        const received = []
+        const subscription = eyeStateStream.subscribe({
+          next: (eyeState) => {
+            received.push(eyeState)
+            if (received.length >= 4) {
+              subscription.unsubscribe()
+              resolve(received)
+            }
+          },
+          error: reject
+        })
+      })
+      
+      expect(records.map(r => r.eye)).toEqual(['left', 'right', 'left', 'right'])
+      records.forEach(eyeState => {
+        expect(eyeState.pupilDiameter).toBeGreaterThan(0)
+        expect(eyeState.opticalAxisZ).toBeTypeOf('number')
+        expect(eyeState.timestamp).toBeGreaterThan(0)
+      })
+    }, 3000)
+    
+    it('should refuse eye state on models without support', async () => {
+      mockDevice.options.model = 'Invisible'
+      const invisible = await connectToDevice(MOCK_ADDRESS, { timeout: 2000 })
+      mockDevice.options.model = 'Neon'
+      
+      try {
+        const error = await new Promise((resolve, reject) => {
+          invisible.device.createEyeStateStream().subscribe({
+            next: () => reject(new Error('Should not receive eye state')),
+            error: resolve
+          })
+        })
+        
+        expect(error.name).toBe('StreamError')
+        expect(error.code).toBe('STREAM_NOT_AVAILABLE')
+      } finally {
+        await invisible.close()
+      }
+    }, 3000)
+    
+    it('should stream eye events and re-emit them on the device', async () => {
+      const fixationEnds = []
+      const onFixationEnd = (fixation) => fixationEnds.push(fixation)
+      device.device.on(EVENT_TYPES.FIXATION_END, onFixationEnd)
+      
+      const events = await new Promise((resolve, reject) => {
+        const received = []
+        const subscription = device.device.createEyeEventsStream().subscribe({
+          next: (event) => {
+            received.push(event)
+            if (received.length >= 3) {
+              subscription.unsubscribe()
+              resolve(received)
+            }
+          },
+          error: reject
+        })
+      })
+      device.device.off(EVENT_TYPES.FIXATION_END, onFixationEnd)
+      
+      expect(events.map(e => e.type)).toEqual([
+        EVENT_TYPES.FIXATION_START,
+        EVENT_TYPES.FIXATION_END,
+        EVENT_TYPES.SACCADE
+      ])
+      expect(events[2].data.peakVelocity).toBeGreaterThan(0)
+      expect(fixationEnds).toHaveLength(1)
+      expect(fixationEnds[0]).toBe(events[1].data)
+      expect(fixationEnds[0].duration).toBeGreaterThanOrEqual(0)
+    }, 3000)
+    
+    it('should skip unknown eye events without ending the stream', async () => {
+      const events = await new Promise((resolve, reject) => {
+        const received = []
+        const subscription = device.device.createEyeEventsStream().subscribe({
+          next: (event) => {
+            received.push(event)
+            if (received.length === 1) {
+              mockDevice.eventClients.forEach(ws => ws.send(JSON.stringify({ type: 'wink', timestamp: mockDevice.now() })))
+            }
+            if (received.length >= 3) {
+              subscription.unsubscribe()
+              resolve(received)
+            }
+          },
+          error: reject
+        })
+      })
+      
+      expect(events.map(e => e.type)).toEqual([
+        EVENT_TYPES.FIXATION_START,
+        EVENT_TYPES.FIXATION_END,
+        EVENT_TYPES.SACCADE
+      ])
+    }, 3000)
     
     it('should handle stream errors gracefully', (done) => {
       // Disconnect device to simulate error
@@ -244,6 +891,200 @@ describe('Integration Tests', () => {
     }, 3000)
   })
   
+  describe('Local Recording', () => {
+    let device
+    let dir
+    
+    const readLines = async (sessionDir, file) =>
+      (await readFile(join(sessionDir, file), 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+    
+    beforeEach(async () => {
+      device = await connectToDevice(MOCK_ADDRESS, { timeout: 2000 })
+      dir = await mkdtemp(join(tmpdir(), 'neon-local-'))
+    })
+    
+    afterEach(async () => {
+      await device?.close()
+      await rm(dir, { recursive: true, force: true })
+    })
+    
+    it('should write streams to rotating files with a manifest', async () => {
+      const recorder = createLocalRecorder(device, { dir, streams: ['gaze', 'imu'], maxFileSize: 2000, signals: [] })
+      
+      const { dir: sessionDir } = await recorder.start({ name: 'session' })
+      expect(recorder.recording).toBe(true)
+      expect(JSON.parse(await readFile(join(sessionDir, 'manifest.json'), 'utf8')).complete).toBe(false)
+      
+      await new Promise(resolve => setTimeout(resolve, 300))
+      const mark = recorder.mark('stimulus.onset', { trial: 1 })
+      await new Promise(resolve => setTimeout(resolve, 100))
+      const manifest = await recorder.stop()
+      
+      expect(recorder.recording).toBe(false)
+      expect(manifest).toMatchObject({
+        version: 1,
+        name: 'session',
+        complete: true,
+        device: { id: 'TEST-001', model: 'Neon' },
+        software: { node: process.version }
+      })
+      expect(manifest.clockOffset.start.samples).toBeGreaterThan(0)
+      expect(manifest.clockOffset.stop.samples).toBeGreaterThan(0)
+      expect(await readFile(join(sessionDir, 'manifest.json'), 'utf8')).toBe(`${JSON.stringify(manifest, null, 2)}\n`)
+      
+      const gaze = manifest.streams.gaze
+      expect(gaze.files.length).toBeGreaterThan(1)
+      expect(gaze.files[0].file).toMatch(/^gaze_0001_\d{8}T\d{9}Z\.jsonl$/)
+      expect(gaze.error).toBeNull()
+      
+      const samples = []
+      for (const { file, samples: count, firstTimestamp, lastTimestamp } of gaze.files) {
+        const lines = await readLines(sessionDir, file)
+        expect(lines).toHaveLength(count)
+        expect(lines[0].timestamp).toBe(firstTimestamp)
+        expect(lines.at(-1).timestamp).toBe(lastTimestamp)
+        samples.push(...lines)
+      }
+      expect(samples.length).toBe(gaze.samples)
+      expect(samples.length).toBeGreaterThan(20)
+      expect(samples.every(sample => typeof sample.x === 'number')).toBe(true)
+      expect(manifest.streams.imu.samples).toBeGreaterThan(0)
+      
+      expect(manifest.streams.marks.samples).toBe(1)
+      expect(await readLines(sessionDir, manifest.streams.marks.files[0].file)).toEqual([mark])
+      expect(mark.deviceTimestamp).toBeCloseTo(mark.timestamp, 1)
+      
+      const files = await readdir(sessionDir)
+      expect(files.filter(file => file.endsWith('.tmp'))).toEqual([])
+    }, 5000)
+    
+    it('should stop a stream whose file cannot be written', async () => {
+      vi.useFakeTimers({ toFake: ['Date'], now: new Date('2026-10-18T13:10:00.000Z') })
+      const errors = []
+      const recorder = createLocalRecorder(device, {
+        dir,
+        streams: ['gaze', 'imu'],
+        estimateClockOffset: false,
+        signals: [],
+        onError: (error, streamName) => errors.push([streamName, error.code])
+      })
+      
+      try {
+        // A directory where the first gaze file goes makes it unwritable
+        await mkdir(join(dir, 'session', 'gaze_0001_20261018T131000000Z.jsonl'), { recursive: true })
+        const { dir: sessionDir } = await recorder.start({ name: 'session' })
+        
+        // vi.waitFor cannot be used while Date is faked
+        await new Promise(resolve => setTimeout(resolve, 300))
+        const manifest = await recorder.stop()
+        
+        expect(errors).toEqual([['gaze', 'RECORDING_FAILED']])
+        expect(manifest.streams.gaze.error).toMatchObject({ code: 'RECORDING_FAILED', message: expect.stringContaining('gaze_0001') })
+        expect(manifest.streams.gaze.files).toHaveLength(1)
+        expect(manifest.streams.imu.error).toBeNull()
+        expect(manifest.streams.imu.samples).toBeGreaterThan(0)
+        expect(JSON.parse(await readFile(join(sessionDir, 'manifest.json'), 'utf8')).streams.gaze.error.code).toBe('RECORDING_FAILED')
+      } finally {
+        vi.useRealTimers()
+      }
+    }, 3000)
+    
+    it('should stamp marks with the predicted clock offset', async () => {
+      const recorder = createLocalRecorder(device, { dir, streams: ['imu'], estimateClockOffset: false, signals: [] })
+      await recorder.start({ name: 'session' })
+      const predictTimeOffset = vi.spyOn(device.device, 'predictTimeOffset').mockReturnValue(5000)
+      
+      try {
+        const mark = recorder.mark('stimulus.onset')
+        
+        expect(predictTimeOffset).toHaveBeenCalledWith(mark.timestamp * 1000)
+        expect(mark.deviceTimestamp).toBeCloseTo(mark.timestamp + 5, 6)
+      } finally {
+        predictTimeOffset.mockRestore()
+        await recorder.stop()
+      }
+    })
+    
+    it('should refuse marks and stops without a running recording', async () => {
+      const recorder = createLocalRecorder(device, { dir, signals: [] })
+      
+      expect(() => recorder.mark('too.early')).toThrow(expect.objectContaining({ code: 'RECORDING_NOT_STARTED' }))
+      await expect(recorder.stop()).rejects.toMatchObject({ name: 'RecordingError', code: 'RECORDING_NOT_STARTED' })
+      expect(() => createLocalRecorder(device, { dir, streams: ['video'] }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_PARAMETER' }))
+    })
+    
+    it('should refuse a second start while the first is still starting', async () => {
+      const recorder = createLocalRecorder(device, { dir, signals: [] })
+      
+      const first = recorder.start({ name: 'first' })
+      const second = recorder.start({ name: 'second' })
+      
+      await expect(second).rejects.toMatchObject({ name: 'RecordingError', code: 'RECORDING_ALREADY_STARTED' })
+      expect(recorder.recording).toBe(false)
+      expect(await first).toEqual({ dir: join(dir, 'first'), name: 'first' })
+      expect(recorder.recording).toBe(true)
+      
+      await recorder.stop()
+      await expect(readFile(join(dir, 'second', 'manifest.json'), 'utf8')).rejects.toThrow()
+    })
+    
+    it('should flush and complete the manifest on SIGINT', async () => {
+      // Another listener keeps the recorder from re-raising the signal, which would end the test run
+      const keepAlive = () => {}
+      process.on('SIGINT', keepAlive)
+      const recorder = createLocalRecorder(device, { dir, estimateClockOffset: false })
+      
+      try {
+        const { dir: sessionDir } = await recorder.start()
+        await new Promise(resolve => setTimeout(resolve, 200))
+        recorder.mark('interrupted')
+        
+        process.emit('SIGINT')
+        await vi.waitFor(async () => {
+          const manifest = JSON.parse(await readFile(join(sessionDir, 'manifest.json'), 'utf8'))
+          expect(manifest.complete).toBe(true)
+        }, { timeout: 2000 })
+        
+        const manifest = JSON.parse(await readFile(join(sessionDir, 'manifest.json'), 'utf8'))
+        expect(Object.keys(manifest.streams)).toEqual(['gaze', 'imu', 'eyeState', 'eyeEvents', 'marks'])
+        expect(manifest.streams.gaze.samples).toBeGreaterThan(0)
+        expect(manifest.streams.marks.samples).toBe(1)
+        expect(recorder.recording).toBe(false)
+      } finally {
+        process.off('SIGINT', keepAlive)
+      }
+    }, 5000)
+    
+    it('should export a local recording as BIDS', async () => {
+      const recorder = createLocalRecorder(device, { dir, streams: ['gaze', 'eyeState'], signals: [] })
+      const { dir: sessionDir } = await recorder.start({ name: 'session' })
+      await new Promise(resolve => setTimeout(resolve, 200))
+      recorder.mark('stimulus.onset', { trial: 1 })
+      await new Promise(resolve => setTimeout(resolve, 100))
+      const manifest = await recorder.stop()
+      
+      const dataset = join(dir, 'bids')
+      const written = await exportRecordingToBIDS(sessionDir, dataset, { subject: '01', task: 'reading' })
+      
+      const base = join(dataset, 'sub-01', 'beh', 'sub-01_task-reading')
+      expect(written).toEqual([`${base}_eyetrack.tsv.gz`, `${base}_eyetrack.json`, `${base}_events.tsv`])
+      
+      const rows = gunzipSync(await readFile(`${base}_eyetrack.tsv.gz`)).toString().trim().split('\n')
+      const sidecar = JSON.parse(await readFile(`${base}_eyetrack.json`, 'utf8'))
+      expect(rows).toHaveLength(manifest.streams.gaze.samples)
+      expect(sidecar).toMatchObject({ ManufacturersModelName: 'Neon', DeviceSerialNumber: manifest.device.serialNumber })
+      expect(sidecar.Columns).toContain('pupil_size_left')
+      
+      const events = (await readFile(`${base}_events.tsv`, 'utf8')).trim().split('\n')
+      expect(events).toHaveLength(2)
+      expect(events[1]).toMatch(/\tstimulus\.onset\t\{"trial":1\}$/)
+      
+      await expect(exportRecordingToBIDS(dir, dataset, { subject: '01', task: 'reading' }))
+        .rejects.toMatchObject({ name: 'ExportError', code: 'INVALID_PARAMETER' })
+    }, 5000)
+  })
+  
   describe('Error Handling', () => {
     it('should handle API errors gracefully', async () => {
       // Stop mock server to simulate network error
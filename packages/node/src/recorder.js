@@ -0,0 +1,429 @@
+/**
+ * Host-side local recording
+ * Writes device streams to JSON lines files on the host, so a session is kept
+ * even when the companion phone's storage is unreliable. Each stream gets its
+ * own series of timestamped files, rotated by size and age, and a manifest
+ * describes the session.
+ */
+import { createWriteStream } from 'node:fs'
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises'
+import { join } from 'node:path'
+import { finished } from 'node:stream/promises'
+import {
+  DEFAULTS,
+  RecordingError,
+  ErrorCodes,
+  isStreamGap,
+  toDeviceTimestamp,
+  VERSION,
+  API_VERSION
+} from 'open-neon-js-api-core'
+
+// Manifest format, bumped on incompatible changes
+const MANIFEST_VERSION = 1
+
+// Manifest file of a session directory
+const MANIFEST_FILE = 'manifest.json'
+
+// Recordable streams and the device methods creating them
+const STREAM_FACTORIES = {
+  gaze: 'createGazeStream',
+  imu: 'createImuStream',
+  eyeState: 'createEyeStateStream',
+  eyeEvents: 'createEyeEventsStream'
+}
+
+// e.g. 20261018T213000123Z, safe in file names on every platform
+const fileTimestamp = (date = new Date()) => date.toISOString().replace(/[-:.]/g, '')
+
+const timestampOf = (sample) => sample?.timestamp ?? sample?.data?.timestamp ?? null
+
+/**
+ * Create a writer for one stream that rotates its file by size and age
+ * @param {Object} options - Writer options
+ * @param {string} options.dir - Session directory
+ * @param {string} options.name - Stream name, used as the file prefix
+ * @param {number} options.maxFileSize - Bytes before rotating
+ * @param {number} options.maxFileDuration - Ms before rotating
+ * @param {Function} [options.onRotate] - Called after a new file is opened
+ * @param {Function} [options.onError] - Called with a RecordingError when a file cannot be written
+ * @returns {Object} Writer with write(), close() and a files getter
+ */
+const createRotatingWriter = ({ dir, name, maxFileSize, maxFileDuration, onRotate = () => {}, onError = () => {} }) => {
+  const files = []
+  const closing = []
+  let current = null // { stream, openedAt, entry }
+  let failed = false
+
+  const closeCurrent = () => {
+    if (!current) {
+      return
+    }
+    const { stream } = current
+    if (!stream.destroyed) {
+      stream.end()
+    }
+    // Write errors are reported through onError, so closing always settles
+    closing.push(finished(stream).catch(() => {}))
+    current = null
+  }
+
+  // After the first write error the writer stops, and later samples are dropped
+  const fail = (file, error) => {
+    if (failed) {
+      return
+    }
+    failed = true
+    closeCurrent()
+    onError(RecordingError(`Could not write ${file}: ${error.message}`, ErrorCodes.RECORDING_FAILED, { file, error }))
+  }
+
+  const open = () => {
+    const file = `${name}_${String(files.length + 1).padStart(4, '0')}_${fileTimestamp()}.jsonl`
+    const entry = { file, samples: 0, bytes: 0, firstTimestamp: null, lastTimestamp: null }
+    const stream = createWriteStream(join(dir, file))
+    stream.on('error', (error) => fail(file, error))
+    files.push(entry)
+    current = { stream, openedAt: Date.now(), entry }
+  }
+
+  return {
+    /**
+     * Append a value as one JSON line
+     * Writes are not dropped while the file is busy: they wait in the
+     * stream's memory buffer, and end up on disk when the writer is closed.
+     * Once a file fails, nothing more is written.
+     */
+    write: (value) => {
+      if (failed) {
+        return
+      }
+      if (current && (current.entry.bytes >= maxFileSize || Date.now() - current.openedAt >= maxFileDuration)) {
+        closeCurrent()
+      }
+      if (!current) {
+        open()
+        if (files.length > 1) {
+          onRotate()
+        }
+      }
+
+      const line = `${JSON.stringify(value)}\n`
+      const { entry } = current
+      const timestamp = timestampOf(value)
+      entry.samples++
+      entry.bytes += Buffer.byteLength(line)
+      if (timestamp !== null) {
+        entry.firstTimestamp = entry.firstTimestamp ?? timestamp
+        entry.lastTimestamp = timestamp
+      }
+      current.stream.write(line)
+    },
+
+    /** Flush and close the open file; write errors are reported through onError instead */
+    close: async () => {
+      closeCurrent()
+      await Promise.all(closing)
+    },
+
+    get files() { return files.map(entry => ({ ...entry })) }
+  }
+}
+
+/**
+ * Create a local recorder for a device
+ *
+ * start() subscribes to the selected streams with `resume: true`, so a
+ * reconnect leaves a gap marker in the file instead of ending the recording.
+ * Streams the device model lacks are noted in the manifest and skipped.
+ * mark() adds an annotation to the `marks` files. stop() unsubscribes, flushes
+ * every file and completes the manifest. While recording, the given signals
+ * (SIGINT by default) stop the recorder first; the signal is then raised
+ * again if nothing else handles it, so the process still exits.
+ *
+ * The manifest (`manifest.json`) holds the device info, the clock offset at
+ * start and stop, software versions and, per stream, the files written with
+ * their sample counts and first and last timestamps. It is rewritten at
+ * start, on every rotation and at stop, so an interrupted session still
+ * lists its files.
+ *
+ * @param {Object} device - Device from createDevice (or a SimpleDevice)
+ * @param {Object} options - Recorder options
+ * @param {string} options.dir - Directory the session directories are created in
+ * @param {Array<string>} [options.streams] - Any of 'gaze', 'imu', 'eyeState' and 'eyeEvents' (default: all)
+ * @param {number} [options.maxFileSize] - Bytes before a file is rotated
+ * @param {number} [options.maxFileDuration] - Ms before a file is rotated
+ * @param {boolean} [options.estimateClockOffset] - Estimate the clock offset at start and stop (default: true)
+ * @param {Array<string>} [options.signals] - Signals that stop the recorder (default: ['SIGINT'])
+ * @param {Function} [options.onError] - Called with (error, streamName) when a stream or one of its files fails
+ * @returns {Object} Recorder with start(), stop(), mark() and recording / dir getters
+ */
+export const createLocalRecorder = (device, {
+  dir,
+  streams = Object.keys(STREAM_FACTORIES),
+  maxFileSize = DEFAULTS.RECORDER_FILE_SIZE,
+  maxFileDuration = DEFAULTS.RECORDER_FILE_DURATION,
+  estimateClockOffset = true,
+  signals = ['SIGINT'],
+  onError = () => {}
+} = {}) => {
+  // SimpleDevice wraps the full device
+  const source = device.device ?? device
+
+  if (typeof dir !== 'string' || dir === '') {
+    throw RecordingError('A directory is required for local recordings', ErrorCodes.INVALID_PARAMETER, { dir })
+  }
+  const unknown = streams.filter(name => !STREAM_FACTORIES[name])
+  if (unknown.length > 0) {
+    throw RecordingError(`Unknown streams: ${unknown.join(', ')}`, ErrorCodes.INVALID_PARAMETER, {
+      streams: unknown,
+      available: Object.keys(STREAM_FACTORIES)
+    })
+  }
+
+  let session = null // { dir, manifest, writers, subscriptions, stopping }, or { dir, starting } while starting
+  const signalHandlers = new Map()
+
+  const measureOffset = async () => {
+    if (!estimateClockOffset) {
+      return source.timeOffset ?? null
+    }
+    try {
+      return await source.estimateTimeOffset()
+    } catch {
+      return source.timeOffset ?? null
+    }
+  }
+
+  const writeManifest = async ({ dir: sessionDir, manifest, writers }) => {
+    for (const [name, writer] of writers) {
+      const files = writer.files
+      manifest.streams[name] = {
+        ...manifest.streams[name],
+        files,
+        samples: files.reduce((sum, file) => sum + file.samples, 0)
+      }
+    }
+    const path = join(sessionDir, MANIFEST_FILE)
+    await writeFile(`${path}.tmp`, `${JSON.stringify(manifest, null, 2)}\n`)
+    await rename(`${path}.tmp`, path)
+  }
+
+  // Manifest writes are chained so that an older one never lands last
+  let manifestWrite = Promise.resolve()
+  const saveManifest = (current) => {
+    manifestWrite = manifestWrite.then(() => writeManifest(current), () => writeManifest(current))
+    return manifestWrite
+  }
+
+  const removeSignalHandlers = () => {
+    for (const [signal, handler] of signalHandlers) {
+      process.off(signal, handler)
+    }
+    signalHandlers.clear()
+  }
+
+  const addSignalHandlers = () => {
+    for (const signal of signals) {
+      const handler = () => {
+        stop().catch(() => {}).finally(() => {
+          // Without other listeners the signal's default action (exit) was suppressed by ours
+          if (process.listenerCount(signal) === 0) {
+            process.kill(process.pid, signal)
+          }
+        })
+      }
+      signalHandlers.set(signal, handler)
+      process.once(signal, handler)
+    }
+  }
+
+  /**
+   * Start recording into a new session directory
+   * @param {Object} [options] - Session options
+   * @param {string} [options.name] - Session directory name (default: recording_<timestamp>)
+   * @returns {Promise<{dir: string, name: string}>}
+   */
+  const start = async ({ name = `recording_${fileTimestamp()}` } = {}) => {
+    if (session) {
+      throw RecordingError('Local recording already started', ErrorCodes.RECORDING_ALREADY_STARTED, { dir: session.dir })
+    }
+    if (!source.connected) {
+      throw RecordingError('Device not connected', ErrorCodes.RECORDING_START_FAILED)
+    }
+
+    const sessionDir = join(dir, name)
+    // Claim the session before the first await, so that overlapping calls are refused
+    session = { dir: sessionDir, starting: true }
+    let clockOffset
+    try {
+      await mkdir(sessionDir, { recursive: true })
+      clockOffset = await measureOffset()
+    } catch (error) {
+      session = null
+      throw error
+    }
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      name,
+      complete: false,
+      startedAt: new Date().toISOString(),
+      stoppedAt: null,
+      device: source.info,
+      clockOffset: { start: clockOffset, stop: null },
+      software: {
+        'open-neon-js-api': VERSION,
+        apiVersion: API_VERSION,
+        node: process.version,
+        platform: process.platform
+      },
+      streams: {}
+    }
+
+    const current = { dir: sessionDir, manifest, writers: new Map(), subscriptions: [] }
+    const createWriter = (streamName) => {
+      const writer = createRotatingWriter({
+        dir: sessionDir,
+        name: streamName,
+        maxFileSize,
+        maxFileDuration,
+        onRotate: () => saveManifest(current).catch(error => onError(error, streamName)),
+        onError: (error) => {
+          manifest.streams[streamName] = {
+            ...manifest.streams[streamName],
+            error: { code: error.code, message: error.message }
+          }
+          onError(error, streamName)
+          saveManifest(current).catch(() => {})
+        }
+      })
+      current.writers.set(streamName, writer)
+      return writer
+    }
+
+    for (const streamName of streams) {
+      const writer = createWriter(streamName)
+      manifest.streams[streamName] = { gaps: 0, error: null }
+      const stream = source[STREAM_FACTORIES[streamName]]({ resume: true })
+      current.subscriptions.push(stream.subscribe({
+        next: (sample) => {
+          if (isStreamGap(sample)) {
+            manifest.streams[streamName].gaps++
+          }
+          writer.write(sample)
+        },
+        error: (error) => {
+          manifest.streams[streamName].error = { code: error.code ?? null, message: error.message }
+          onError(error, streamName)
+        }
+      }))
+    }
+    createWriter('marks')
+
+    session = current
+    await saveManifest(current)
+    addSignalHandlers()
+    return { dir: sessionDir, name }
+  }
+
+  /**
+   * Add an annotation to the recording
+   * @param {string} name - Mark name
+   * @param {*} [data] - JSON-serializable payload
+   * @returns {Object} The written mark, with host and device timestamps in Unix seconds
+   */
+  const mark = (name, data) => {
+    if (!session || session.starting || session.stopping) {
+      throw RecordingError('Local recording not started', ErrorCodes.RECORDING_NOT_STARTED)
+    }
+
+    const timestamp = Date.now() / 1000
+    // The drift model follows the clocks between estimates; replay devices and wrappers may lack it
+    const offset = source.predictTimeOffset?.(timestamp * 1000) ?? source.timeOffset?.offset
+    const entry = {
+      name,
+      timestamp,
+      deviceTimestamp: typeof offset === 'number' ? toDeviceTimestamp(timestamp, offset) : null,
+      ...(data !== undefined && { data })
+    }
+    session.writers.get('marks').write(entry)
+    return entry
+  }
+
+  /**
+   * Stop recording, flush all files and complete the manifest
+   * @returns {Promise<Object>} The manifest
+   */
+  const stop = async () => {
+    if (!session || session.starting) {
+      throw RecordingError('Local recording not started', ErrorCodes.RECORDING_NOT_STARTED)
+    }
+    if (session.stopping) {
+      return session.stopping
+    }
+
+    const current = session
+    removeSignalHandlers()
+    current.stopping = (async () => {
+      current.subscriptions.forEach(subscription => subscription.unsubscribe())
+      await Promise.all([...current.writers.values()].map(writer => writer.close()))
+
+      current.manifest.stoppedAt = new Date().toISOString()
+      current.manifest.clockOffset.stop = await measureOffset()
+      current.manifest.complete = true
+      await saveManifest(current)
+      return current.manifest
+    })()
+
+    try {
+      return await current.stopping
+    } finally {
+      session = null
+    }
+  }
+
+  return {
+    start,
+    stop,
+    mark,
+    get recording() { return session !== null && !session.starting && !session.stopping },
+    get dir() { return session?.dir ?? null }
+  }
+}
+
+/**
+ * Read a session written by a local recorder
+ * Every stream listed in the manifest is read in file order, gap markers
+ * left out. Streams not selected for the recording are missing from `streams`.
+ * @param {string} sessionDir - Session directory
+ * @returns {Promise<{manifest: Object, streams: Object<string, Array>}>} Manifest and samples by stream name ('gaze', 'imu', 'eyeState', 'eyeEvents', 'marks')
+ */
+export const readLocalRecording = async (sessionDir) => {
+  let manifest
+  try {
+    manifest = JSON.parse(await readFile(join(sessionDir, MANIFEST_FILE), 'utf8'))
+  } catch (error) {
+    throw RecordingError(`Not a local recording: ${sessionDir}`, ErrorCodes.RECORDING_NOT_FOUND, { dir: sessionDir, error })
+  }
+
+  const streams = {}
+  for (const [name, { files }] of Object.entries(manifest.streams)) {
+    const samples = []
+    for (const { file } of files ?? []) {
+      const text = await readFile(join(sessionDir, file), 'utf8')
+      for (const line of text.split('\n')) {
+        if (line === '') {
+          continue
+        }
+        const sample = JSON.parse(line)
+        if (!isStreamGap(sample)) {
+          samples.push(sample)
+        }
+      }
+    }
+    streams[name] = samples
+  }
+
+  return { manifest, streams }
+}
@@ -0,0 +1,496 @@
+/**
+ * Replay device
+ * Plays a recorded session back through the Device API, so analysis code can
+ * be developed and tested against real data without hardware.
+ */
+import { EventEmitter } from 'node:events'
+import {
+  ConnectionState,
+  RecordingState,
+  EVENT_TYPES,
+  DeviceError,
+  StreamError,
+  RecordingError,
+  ErrorCodes,
+  Observable,
+  enhanceGazeData,
+  enhanceIMUData,
+  createSemanticConfig,
+  createStreamStats,
+  createStreamSink,
+  createRecordingController,
+  getRecordingPath,
+  isValidEventName
+} from 'open-neon-js-api-core'
+import { readLocalRecording } from './recorder.js'
+
+// Samples emitted per timer tick at most, so that unlimited speed still yields to other work
+const MAX_BATCH = 1000
+
+// Replayable streams by local recording stream name, with the key of their array in a source object
+const REPLAY_STREAMS = {
+  gaze: { key: 'gaze', label: 'gaze', enhance: enhanceGazeData },
+  imu: { key: 'imu', label: 'IMU', enhance: enhanceIMUData },
+  eyeState: { key: 'eyeStates', label: 'eye state' },
+  eyeEvents: { key: 'eyeEvents', label: 'eye events' },
+  marks: { key: 'marks', label: 'marks' }
+}
+
+// Device timestamp of a sample, eye event or mark
+const timeOf = (value) => value.deviceTimestamp ?? value.timestamp ?? value.data?.timestamp
+
+const isValidSpeed = (speed) => typeof speed === 'number' && speed > 0
+
+/**
+ * Load a replay source into per-stream sample arrays
+ * @param {string|Object} source - Local recording directory, or { gaze, imu, eyeStates, eyeEvents, marks, device }
+ * @returns {Promise<{streams: Map<string, Array>, deviceInfo: Object, timeOffset: Object|null}>}
+ */
+const loadSource = async (source) => {
+  const streams = new Map()
+
+  if (typeof source === 'string') {
+    const { manifest, streams: recorded } = await readLocalRecording(source)
+    for (const name of Object.keys(REPLAY_STREAMS)) {
+      if (recorded[name]) {
+        streams.set(name, recorded[name])
+      }
+    }
+    return { streams, deviceInfo: manifest.device ?? {}, timeOffset: manifest.clockOffset?.start ?? null }
+  }
+
+  for (const [name, { key }] of Object.entries(REPLAY_STREAMS)) {
+    if (Array.isArray(source[key])) {
+      streams.set(name, source[key])
+    }
+  }
+  return { streams, deviceInfo: source.device ?? {}, timeOffset: null }
+}
+
+/**
+ * Merge the streams into one timeline ordered by device timestamp
+ * Values of one stream keep their order when timestamps tie.
+ * @param {Map<string, Array>} streams - Samples by stream name
+ * @returns {Array<{stream: string, time: number, value: Object}>}
+ */
+const buildTimeline = (streams) => {
+  const timeline = []
+  for (const [stream, values] of streams) {
+    for (const value of values) {
+      const time = timeOf(value)
+      if (typeof time === 'number') {
+        timeline.push({ stream, time, value })
+      }
+    }
+  }
+  return timeline.sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Create a replay device
+ *
+ * The device has the surface of createDevice. connect() loads the source and
+ * starts playback; streams emit the recorded samples, timestamps unchanged,
+ * at their original pace divided by `speed`. With `speed: Infinity` samples
+ * are emitted as fast as possible, in batches between timer ticks, so that
+ * subscriptions made right after connect() still see the first sample.
+ * Eye events are also emitted as device events, like on a live device, and
+ * local recorder marks as REPLAY_MARK events.
+ *
+ * At the end of the recording playback starts over with `loop`; otherwise
+ * REPLAY_END is emitted and every open stream completes.
+ *
+ * Recording commands are simulated: startRecording() and stopRecording()
+ * report the usual lifecycle events, but nothing is saved. Scene video and
+ * calibration are not available.
+ *
+ * @param {string|Object} source - Directory written by createLocalRecorder, or arrays of samples:
+ *   { gaze, imu, eyeStates, eyeEvents, marks, device }
+ * @param {Object} [options] - Replay options
+ * @param {number} [options.speed] - Playback speed factor (default: 1, Infinity for no delays)
+ * @param {boolean} [options.loop] - Start over at the end (default: false)
+ * @param {boolean} [options.paused] - Stay paused after connect() until play() (default: false)
+ * @returns {Object} Device instance with play(), pause(), seek() and setSpeed() playback controls
+ */
+export const createReplayDevice = (source, { speed = 1, loop = false, paused = false } = {}) => {
+  if (typeof source !== 'string' && (!source || typeof source !== 'object')) {
+    throw DeviceError('Replay source must be a recording directory or an object of sample arrays',
+      ErrorCodes.INVALID_PARAMETER, { source })
+  }
+  if (!isValidSpeed(speed)) {
+    throw DeviceError('Replay speed must be a positive number', ErrorCodes.INVALID_PARAMETER, { speed })
+  }
+
+  const emitter = new EventEmitter()
+  const state = {
+    connectionState: ConnectionState.DISCONNECTED,
+    deviceInfo: {},
+    timeOffset: null,
+    streams: new Map(), // recorded samples by stream name
+    timeline: [],
+    subscribers: new Map(), // sinks by stream name
+    lastMessageAt: null
+  }
+
+  // Playback clock: `position` seconds into the recording at host time `anchor`
+  const playback = {
+    speed,
+    paused: true,
+    position: 0,
+    anchor: 0,
+    cursor: 0, // index of the next timeline entry
+    timer: null
+  }
+
+  const startTime = () => state.timeline[0]?.time ?? 0
+  const duration = () => state.timeline.length > 0 ? state.timeline[state.timeline.length - 1].time - startTime() : 0
+
+  // Unlimited speed advances the position per emitted sample, in tick()
+  const currentPosition = () => playback.paused || !Number.isFinite(playback.speed)
+    ? playback.position
+    : Math.min(duration(), playback.position + (Date.now() - playback.anchor) / 1000 * playback.speed)
+
+  // Fix the current position as the new anchor, e.g. before a speed change
+  const reanchor = () => {
+    playback.position = currentPosition()
+    playback.anchor = Date.now()
+  }
+
+  // Index of the first timeline entry at or after a position
+  const findCursor = (position) => {
+    const time = startTime() + position
+    let low = 0
+    let high = state.timeline.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (state.timeline[middle].time < time) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    return low
+  }
+
+  const recordingController = createRecordingController({
+    // Answers like the recording endpoint of a device that saves instantly
+    request: async (body) => {
+      if (body?.action === 'start') {
+        return { recording: { state: RecordingState.RECORDING, id: body.recording_id ?? `replay-${Date.now()}` } }
+      }
+      if (body?.action === 'stop') {
+        return { recording: { state: RecordingState.IDLE } }
+      }
+      return null
+    },
+    emit: (type, payload) => emitter.emit(type, payload)
+  })
+
+  const emitEntry = ({ stream, value }) => {
+    state.lastMessageAt = Date.now()
+    if (stream === 'eyeEvents') {
+      emitter.emit(value.type, value.data)
+    }
+    if (stream === 'marks') {
+      emitter.emit(EVENT_TYPES.REPLAY_MARK, value)
+    }
+
+    for (const sink of state.subscribers.get(stream) ?? []) {
+      sink.next(value)
+    }
+  }
+
+  const completeStreams = () => {
+    for (const sinks of state.subscribers.values()) {
+      for (const sink of [...sinks]) {
+        sink.complete()
+      }
+      sinks.clear()
+    }
+  }
+
+  const clearTimer = () => {
+    clearTimeout(playback.timer)
+    playback.timer = null
+  }
+
+  const finish = () => {
+    playback.paused = true
+    playback.position = duration()
+    clearTimer()
+    emitter.emit(EVENT_TYPES.REPLAY_END, { duration: duration() })
+    completeStreams()
+  }
+
+  const schedule = () => {
+    clearTimer()
+    if (playback.paused || state.connectionState !== ConnectionState.CONNECTED) {
+      return
+    }
+
+    const next = state.timeline[playback.cursor]
+    const delay = next && Number.isFinite(playback.speed)
+      ? Math.max(0, (next.time - startTime() - currentPosition()) / playback.speed * 1000)
+      : 0
+    playback.timer = setTimeout(tick, delay)
+  }
+
+  const tick = () => {
+    playback.timer = null
+    const position = Number.isFinite(playback.speed) ? currentPosition() : Infinity
+    const until = startTime() + position
+
+    let emitted = 0
+    while (playback.cursor < state.timeline.length && emitted < MAX_BATCH && state.timeline[playback.cursor].time <= until) {
+      emitEntry(state.timeline[playback.cursor++])
+      emitted++
+      // A handler may have paused, seeked or disconnected
+      if (playback.paused) {
+        return
+      }
+    }
+
+    if (!Number.isFinite(playback.speed)) {
+      playback.position = playback.cursor < state.timeline.length
+        ? state.timeline[playback.cursor].time - startTime()
+        : duration()
+    }
+
+    if (playback.cursor >= state.timeline.length) {
+      if (!loop || state.timeline.length === 0) {
+        finish()
+        return
+      }
+      playback.cursor = 0
+      playback.position = 0
+      playback.anchor = Date.now()
+    }
+    schedule()
+  }
+
+  /**
+   * Create a stream of recorded samples
+   * @param {string} name - Stream name, a key of REPLAY_STREAMS
+   * @param {Object} config - Stream options: semantic, bufferSize and overflow as on a live device
+   * @returns {Observable} Data stream with getStats() sample counters
+   */
+  const createReplayStream = (name, config = {}) => {
+    const { label, enhance } = REPLAY_STREAMS[name]
+    const title = label.charAt(0).toUpperCase() + label.slice(1)
+    const semanticConfig = createSemanticConfig(config.semantic)
+    const stats = createStreamStats()
+
+    const stream = new Observable(subscriber => {
+      if (state.connectionState !== ConnectionState.CONNECTED) {
+        subscriber.error(StreamError('Device not connected', ErrorCodes.STREAM_START_FAILED))
+        return
+      }
+      if (!state.streams.has(name)) {
+        subscriber.error(StreamError(`${title} stream is not in the recording`, ErrorCodes.STREAM_NOT_AVAILABLE, { stream: name }))
+        return
+      }
+
+      const sink = createStreamSink(subscriber, { bufferSize: config.bufferSize, overflow: config.overflow }, stats)
+      const entry = {
+        next: (sample) => sink.next(semanticConfig.enabled && enhance
+          ? enhance(sample, semanticConfig, state.deviceInfo)
+          : sample),
+        complete: () => sink.complete()
+      }
+
+      if (!state.subscribers.has(name)) {
+        state.subscribers.set(name, new Set())
+      }
+      state.subscribers.get(name).add(entry)
+
+      return () => state.subscribers.get(name)?.delete(entry)
+    })
+
+    stream.getStats = () => ({ ...stats })
+    return stream
+  }
+
+  // Playback controls
+
+  /** Start or continue playback; at the end of the recording it starts over */
+  const play = () => {
+    if (state.connectionState !== ConnectionState.CONNECTED || !playback.paused) {
+      return
+    }
+    if (playback.cursor >= state.timeline.length) {
+      playback.cursor = 0
+      playback.position = 0
+    }
+    playback.paused = false
+    playback.anchor = Date.now()
+    schedule()
+  }
+
+  /** Pause playback at the current position */
+  const pause = () => {
+    if (playback.paused) {
+      return
+    }
+    playback.position = currentPosition()
+    playback.paused = true
+    clearTimer()
+  }
+
+  /**
+   * Move playback to a position; samples in between are skipped
+   * @param {number} position - Seconds from the start of the recording, clamped to the recording
+   */
+  const seek = (position) => {
+    if (typeof position !== 'number' || Number.isNaN(position)) {
+      throw DeviceError('Seek position must be a number of seconds', ErrorCodes.INVALID_PARAMETER, { position })
+    }
+    playback.position = Math.max(0, Math.min(duration(), position))
+    playback.anchor = Date.now()
+    playback.cursor = findCursor(playback.position)
+    schedule()
+  }
+
+  /**
+   * Change the playback speed
+   * @param {number} value - Speed factor, Infinity for no delays
+   */
+  const setSpeed = (value) => {
+    if (!isValidSpeed(value)) {
+      throw DeviceError('Replay speed must be a positive number', ErrorCodes.INVALID_PARAMETER, { speed: value })
+    }
+    reanchor()
+    playback.speed = value
+    schedule()
+  }
+
+  // Connection management
+  const connect = async () => {
+    if (state.connectionState === ConnectionState.CONNECTED) {
+      return
+    }
+
+    state.connectionState = ConnectionState.CONNECTING
+    try {
+      const loaded = await loadSource(source)
+      state.streams = loaded.streams
+      state.deviceInfo = { ...loaded.deviceInfo }
+      state.timeOffset = loaded.timeOffset
+      state.timeline = buildTimeline(loaded.streams)
+    } catch (error) {
+      state.connectionState = ConnectionState.ERROR
+      emitter.emit(EVENT_TYPES.ERROR, error)
+      throw error
+    }
+
+    playback.cursor = 0
+    playback.position = 0
+    state.connectionState = ConnectionState.CONNECTED
+    emitter.emit(EVENT_TYPES.CONNECTED, state.deviceInfo)
+    if (!paused) {
+      play()
+    }
+  }
+
+  const disconnect = async () => {
+    pause()
+    state.connectionState = ConnectionState.DISCONNECTED
+    completeStreams()
+    emitter.emit(EVENT_TYPES.DISCONNECTED)
+  }
+
+  // Device API
+  const getStatus = async () => ({
+    ...state.deviceInfo,
+    isRecording: recordingController.state === RecordingState.RECORDING,
+    recording: recordingController.info,
+    replay: { position: currentPosition(), duration: duration(), speed: playback.speed, paused: playback.paused }
+  })
+
+  const estimateTimeOffset = async () => state.timeOffset
+    ? { ...state.timeOffset }
+    : { offset: 0, roundTripTime: 0, jitter: 0, samples: 0, measuredAt: Date.now() }
+
+  const predictTimeOffset = () => state.timeOffset?.offset ?? null
+
+  /**
+   * Annotate the replay; the event is stamped with the device time of the current position
+   * @param {string} name - Event name
+   * @returns {Promise<{name: string, timestamp: number}>}
+   */
+  const sendEvent = async (name) => {
+    if (!isValidEventName(name)) {
+      throw DeviceError('Event names must be non-blank printable text of at most 255 characters',
+        ErrorCodes.INVALID_PARAMETER, { name })
+    }
+    return { name, timestamp: startTime() + currentPosition() }
+  }
+
+  const recordingNotFound = async (id) => {
+    getRecordingPath(id)
+    throw RecordingError(`Recording ${id} not found on a replay device`, ErrorCodes.RECORDING_NOT_FOUND, { id })
+  }
+
+  const notAvailable = (feature) => async () => {
+    throw DeviceError(`${feature} is not available on a replay device`, ErrorCodes.NOT_IMPLEMENTED)
+  }
+
+  return {
+    // Connection
+    connect,
+    disconnect,
+    get connected() { return state.connectionState === ConnectionState.CONNECTED },
+    get connectionState() { return state.connectionState },
+    get lastMessageAt() { return state.lastMessageAt },
+    get roundTripTime() { return null },
+    get timeOffset() { return state.timeOffset && { ...state.timeOffset } },
+    get recordingState() { return recordingController.state },
+    get recording() { return recordingController.info },
+
+    // Device info
+    get info() { return { ...state.deviceInfo } },
+
+    // Playback
+    play,
+    pause,
+    seek,
+    setSpeed,
+    get position() { return currentPosition() },
+    get duration() { return duration() },
+    get paused() { return playback.paused },
+    get speed() { return playback.speed },
+
+    // Streams
+    createGazeStream: (config) => createReplayStream('gaze', config),
+    createImuStream: (config) => createReplayStream('imu', config),
+    createEyeStateStream: (config) => createReplayStream('eyeState', config),
+    createEyeEventsStream: (config) => createReplayStream('eyeEvents', config),
+    createSceneVideoStream: () => new Observable(subscriber => {
+      subscriber.error(StreamError('Scene video stream is not in the recording', ErrorCodes.STREAM_NOT_AVAILABLE, { stream: 'sceneVideo' }))
+    }),
+
+    // Simple API
+    getStatus,
+    estimateTimeOffset,
+    predictTimeOffset,
+    startRecording: (recordingId) => recordingController.start(recordingId),
+    stopRecording: (options) => recordingController.stop(options),
+    cancelRecording: () => recordingController.cancel(),
+    getRecordingStatus: () => recordingController.refresh(),
+    listRecordings: async () => [],
+    getRecording: recordingNotFound,
+    downloadRecording: recordingNotFound,
+    deleteRecording: recordingNotFound,
+    sendEvent,
+    startCalibration: notAvailable('Calibration'),
+    stopCalibration: notAvailable('Calibration'),
+    getCalibrationStatus: notAvailable('Calibration'),
+
+    // Events
+    on: emitter.on.bind(emitter),
+    off: emitter.off.bind(emitter),
+    once: emitter.once.bind(emitter),
+
+    // Cleanup
+    destroy: disconnect
+  }
+}
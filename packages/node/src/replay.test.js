@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { mkdtemp, writeFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { EVENT_TYPES, ErrorCodes } from 'open-neon-js-api-core'
+import { createReplayDevice } from './replay.js'
+
+const START = 1700000000
+
+// 100Hz gaze over 100ms, with a blink event and a mark in between
+const gaze = Array.from({ length: 10 }, (_, i) => ({
+  x: i / 10,
+  y: 0.5,
+  confidence: 0.9,
+  timestamp: START + i * 0.01,
+  worn: true
+}))
+
+const session = {
+  gaze,
+  eyeEvents: [{ type: EVENT_TYPES.BLINK_END, data: { type: 'end', timestamp: START + 0.045, duration: 0.1 } }],
+  marks: [{ name: 'stimulus.onset', timestamp: START + 100, deviceTimestamp: START + 0.05 }],
+  device: { id: 'TEST-001', name: 'Replay Neon', model: 'Neon', serialNumber: 'SN123' }
+}
+
+const collect = (stream) => new Promise((resolve, reject) => {
+  const values = []
+  stream.subscribe({ next: value => values.push(value), error: reject, complete: () => resolve(values) })
+})
+
+describe('createReplayDevice', () => {
+  let device
+
+  afterEach(async () => {
+    vi.useRealTimers()
+    await device?.disconnect()
+  })
+
+  it('should replay samples and events through the device API', async () => {
+    device = createReplayDevice(session, { speed: Infinity })
+    const connected = vi.fn()
+    const blinks = vi.fn()
+    const marks = vi.fn()
+    device.on(EVENT_TYPES.CONNECTED, connected)
+    device.on(EVENT_TYPES.BLINK_END, blinks)
+    device.on(EVENT_TYPES.REPLAY_MARK, marks)
+
+    await device.connect()
+    const [samples, events] = await Promise.all([
+      collect(device.createGazeStream()),
+      collect(device.createEyeEventsStream())
+    ])
+
+    expect(samples).toEqual(gaze)
+    expect(events).toEqual(session.eyeEvents)
+    expect(connected).toHaveBeenCalledWith(session.device)
+    expect(blinks).toHaveBeenCalledWith(session.eyeEvents[0].data)
+    expect(marks).toHaveBeenCalledWith(session.marks[0])
+    expect(device.position).toBeCloseTo(0.09)
+    expect(device.duration).toBeCloseTo(0.09)
+    expect(await device.getStatus()).toMatchObject({ id: 'TEST-001', isRecording: false, replay: { paused: true } })
+  })
+
+  it('should keep the original timing, scaled by speed', async () => {
+    vi.useFakeTimers()
+    device = createReplayDevice(session, { speed: 2 })
+    await device.connect()
+    const received = []
+    device.createGazeStream().subscribe(sample => received.push(sample))
+
+    await vi.advanceTimersByTimeAsync(20)
+    expect(received.map(sample => sample.x)).toEqual([0, 0.1, 0.2, 0.3, 0.4])
+
+    await vi.advanceTimersByTimeAsync(25)
+    expect(received).toHaveLength(10)
+  })
+
+  it('should pause, seek and resume', async () => {
+    vi.useFakeTimers()
+    device = createReplayDevice(session, { paused: true })
+    await device.connect()
+    const received = []
+    device.createGazeStream().subscribe(sample => received.push(sample))
+
+    await vi.advanceTimersByTimeAsync(50)
+    expect(received).toEqual([])
+
+    device.seek(0.055)
+    device.play()
+    await vi.advanceTimersByTimeAsync(10)
+    device.pause()
+    expect(received.map(sample => sample.x)).toEqual([0.6])
+    expect(device.position).toBeCloseTo(0.065)
+
+    await vi.advanceTimersByTimeAsync(50)
+    expect(received).toHaveLength(1)
+
+    device.setSpeed(Infinity)
+    device.play()
+    await vi.advanceTimersByTimeAsync(0)
+    expect(received.map(sample => sample.x)).toEqual([0.6, 0.7, 0.8, 0.9])
+  })
+
+  it('should start over with loop', async () => {
+    device = createReplayDevice({ gaze: gaze.slice(0, 3) }, { speed: Infinity, loop: true })
+    await device.connect()
+
+    const samples = await new Promise(resolve => {
+      const values = []
+      const subscription = device.createGazeStream().subscribe(sample => {
+        values.push(sample)
+        if (values.length === 7) {
+          subscription.unsubscribe()
+          resolve(values)
+        }
+      })
+    })
+
+    expect(samples.map(sample => sample.x)).toEqual([0, 0.1, 0.2, 0, 0.1, 0.2, 0])
+  })
+
+  it('should replay a local recording directory', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'neon-replay-'))
+    try {
+      await writeFile(join(dir, 'gaze_0001.jsonl'), gaze.map(sample => `${JSON.stringify(sample)}\n`).join(''))
+      await writeFile(join(dir, 'manifest.json'), JSON.stringify({
+        version: 1,
+        device: session.device,
+        clockOffset: { start: { offset: 12, roundTripTime: 4, jitter: 1, samples: 5, measuredAt: 0 }, stop: null },
+        streams: { gaze: { gaps: 0, error: null, files: [{ file: 'gaze_0001.jsonl' }] } }
+      }))
+
+      device = createReplayDevice(dir, { speed: Infinity })
+      await device.connect()
+
+      expect(await collect(device.createGazeStream())).toEqual(gaze)
+      expect(device.info.serialNumber).toBe('SN123')
+      expect(device.timeOffset.offset).toBe(12)
+      expect(device.predictTimeOffset()).toBe(12)
+    } finally {
+      await rm(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('should refuse streams that were not recorded', async () => {
+    device = createReplayDevice(session)
+
+    await expect(collect(device.createGazeStream())).rejects.toMatchObject({ code: ErrorCodes.STREAM_START_FAILED })
+
+    await device.connect()
+    await expect(collect(device.createImuStream())).rejects.toMatchObject({ code: ErrorCodes.STREAM_NOT_AVAILABLE })
+    await expect(collect(device.createSceneVideoStream())).rejects.toMatchObject({ code: ErrorCodes.STREAM_NOT_AVAILABLE })
+  })
+
+  it('should simulate recordings', async () => {
+    device = createReplayDevice(session, { paused: true })
+    await device.connect()
+    const saved = vi.fn()
+    device.on(EVENT_TYPES.RECORDING_SAVED, saved)
+
+    await expect(device.startRecording('rec')).resolves.toMatchObject({ id: 'rec', isRecording: true })
+    expect(device.recordingState).toBe('recording')
+    await expect(device.stopRecording({ waitForProcessing: true })).resolves.toMatchObject({ id: 'rec', state: 'idle' })
+    expect(saved).toHaveBeenCalledTimes(1)
+
+    expect(await device.listRecordings()).toEqual([])
+    await expect(device.getRecording('rec')).rejects.toMatchObject({ code: ErrorCodes.RECORDING_NOT_FOUND })
+    await expect(device.startCalibration()).rejects.toMatchObject({ code: ErrorCodes.NOT_IMPLEMENTED })
+  })
+
+  it('should stamp events with the replay position', async () => {
+    device = createReplayDevice(session, { paused: true })
+    await device.connect()
+    device.seek(0.05)
+
+    await expect(device.sendEvent('trial.start')).resolves.toEqual({ name: 'trial.start', timestamp: START + 0.05 })
+    await expect(device.sendEvent('')).rejects.toMatchObject({ code: ErrorCodes.INVALID_PARAMETER })
+  })
+
+  it('should validate its options', () => {
+    expect(() => createReplayDevice(null)).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_PARAMETER }))
+    expect(() => createReplayDevice(session, { speed: 0 })).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_PARAMETER }))
+  })
+})
@@ -10,9 +10,13 @@ import {
 } from './discovery.js'
 import {
   DEFAULTS,
+  BUFFER_SIZES,
+  OVERFLOW_POLICIES,
   DeviceError,
   ErrorCodes,
   createDeferred,
+  createCircularBuffer,
+  createBoundedQueue,
   findClosestTimestamp
 } from 'open-neon-js-api-core'
 
@@ -65,10 +69,15 @@ export const connectToDevice = async (address, options = {}) => {
  * @returns {Object} Simple device interface
  */
 const createSimpleDevice = (device) => {
-  const gazeBuffer = []
-  const videoBuffer = []
+  // Unread samples; the oldest are dropped (and counted) if receiveGazeDatum() falls behind
+  const gazeBuffer = createBoundedQueue(BUFFER_SIZES.GAZE, OVERFLOW_POLICIES.DROP_OLDEST)
+  // Separate buffers for frame-gaze matching so receiveGazeDatum() does not consume them
+  const matchGazeBuffer = createCircularBuffer(BUFFER_SIZES.GAZE)
+  const videoBuffer = createCircularBuffer(BUFFER_SIZES.VIDEO)
   let gazeSubscription = null
+  let videoSubscription = null
   let isStreaming = false
+  let lastMatchedFrameTimestamp = -Infinity
   
   // Start gaze streaming in background
   const startGazeStreaming = () => {
@@ -80,10 +89,7 @@ const createSimpleDevice = (device) => {
     gazeSubscription = gazeStream.subscribe({
       next: (gaze) => {
         gazeBuffer.push(gaze)
-        // Keep buffer size manageable
-        if (gazeBuffer.length > 1000) {
-          gazeBuffer.shift()
-        }
+        matchGazeBuffer.push(gaze)
       },
       error: (error) => {
         console.error('Gaze stream error:', error)
@@ -91,6 +97,56 @@ const createSimpleDevice = (device) => {
     })
   }
   
+  // Start scene video streaming in background
+  const startVideoStreaming = () => {
+    if (videoSubscription) {
+      return
+    }
+    
+    videoSubscription = device.createSceneVideoStream().subscribe({
+      next: (frame) => {
+        videoBuffer.push(frame)
+      },
+      error: (error) => {
+        console.error('Scene video stream error:', error)
+        videoSubscription = null
+      }
+    })
+  }
+  
+  /**
+   * Pair the oldest unmatched frame with the closest buffered gaze sample.
+   * A frame is only matched once gaze covering its whole tolerance window
+   * has arrived; frames without gaze inside the tolerance are dropped.
+   * @param {number} tolerance - Maximum frame-gaze time difference in seconds
+   * @returns {{frame: Object, gaze: Object, timeOffset: number}|null} Matched pair
+   */
+  const matchNextFrame = (tolerance) => {
+    const gazeSamples = matchGazeBuffer.getAll()
+    if (gazeSamples.length === 0) {
+      return null
+    }
+    
+    const newestGazeTimestamp = gazeSamples[gazeSamples.length - 1].timestamp
+    
+    for (const frame of videoBuffer.getAll()) {
+      if (frame.timestamp <= lastMatchedFrameTimestamp) {
+        continue
+      }
+      if (newestGazeTimestamp < frame.timestamp + tolerance) {
+        return null
+      }
+      
+      lastMatchedFrameTimestamp = frame.timestamp
+      const gaze = findClosestTimestamp(frame.timestamp, gazeSamples, tolerance)
+      if (gaze) {
+        return { frame, gaze, timeOffset: frame.timestamp - gaze.timestamp }
+      }
+    }
+    
+    return null
+  }
+  
   // Simple blocking API methods
   const receiveGazeDatum = (timeoutMs = 1000) => {
     if (!isStreaming) {
@@ -120,20 +176,43 @@ const createSimpleDevice = (device) => {
     })
   }
   
-  const receiveMatchedSceneVideoFrameAndGaze = async (timeoutMs = 1000) => {
-    // This is a simplified version - real implementation would handle video streaming
-    const gaze = await receiveGazeDatum(timeoutMs)
-    
-    // Mock video frame for now
-    const frame = {
-      data: new Uint8Array(1920 * 1080 * 3),
-      width: 1920,
-      height: 1080,
-      timestamp: gaze.timestamp,
-      format: 'rgb'
+  /**
+   * Receive the next scene video frame together with its closest gaze sample
+   * @param {number} [timeoutMs] - Timeout in milliseconds
+   * @param {Object} [options] - Matching options
+   * @param {number} [options.tolerance] - Maximum frame-gaze time difference in seconds
+   * @returns {Promise<{frame: Object, gaze: Object, timeOffset: number}>} Matched pair,
+   *   where timeOffset is frame.timestamp - gaze.timestamp in seconds
+   */
+  const receiveMatchedSceneVideoFrameAndGaze = (timeoutMs = 1000, options = {}) => {
+    const { tolerance = DEFAULTS.SYNC_TOLERANCE } = options
+    
+    if (!isStreaming) {
+      startGazeStreaming()
     }
+    startVideoStreaming()
     
-    return { frame, gaze }
+    return new Promise((resolve, reject) => {
+      let pollTimer = null
+      
+      const timeoutTimer = setTimeout(() => {
+        clearTimeout(pollTimer)
+        reject(new Error('Timeout waiting for matched scene video frame and gaze'))
+      }, timeoutMs)
+      
+      const checkBuffers = () => {
+        const pair = matchNextFrame(tolerance)
+        if (pair) {
+          clearTimeout(timeoutTimer)
+          resolve(pair)
+          return
+        }
+        
+        pollTimer = setTimeout(checkBuffers, 10)
+      }
+      
+      checkBuffers()
+    })
   }
   
   const close = async () => {
@@ -141,9 +220,15 @@ const createSimpleDevice = (device) => {
       gazeSubscription.unsubscribe()
       gazeSubscription = null
     }
+    if (videoSubscription) {
+      videoSubscription.unsubscribe()
+      videoSubscription = null
+    }
     isStreaming = false
-    gazeBuffer.length = 0
-    videoBuffer.length = 0
+    gazeBuffer.clear()
+    matchGazeBuffer.clear()
+    videoBuffer.clear()
+    lastMatchedFrameTimestamp = -Infinity
     
     await device.disconnect()
   }
@@ -158,14 +243,38 @@ const createSimpleDevice = (device) => {
       return await device.startRecording(recordingId)
     },
     
-    async stopRecording() {
-      return await device.stopRecording()
+    async stopRecording(options) {
+      return await device.stopRecording(options)
+    },
+    
+    async cancelRecording() {
+      return await device.cancelRecording()
     },
     
     async getRecordingStatus() {
       return await device.getRecordingStatus()
     },
     
+    async listRecordings() {
+      return await device.listRecordings()
+    },
+    
+    async getRecording(id) {
+      return await device.getRecording(id)
+    },
+    
+    async downloadRecording(id, destination, options) {
+      return await device.downloadRecording(id, destination, options)
+    },
+    
+    async deleteRecording(id) {
+      return await device.deleteRecording(id)
+    },
+    
+    async sendEvent(name, options) {
+      return await device.sendEvent(name, options)
+    },
+    
     async startCalibration() {
       return await device.startCalibration()
     },
@@ -191,6 +300,11 @@ const createSimpleDevice = (device) => {
       return device.connected
     },
     
+    // Gaze samples discarded because receiveGazeDatum() was not called often enough
+    get droppedGazeSamples() {
+      return gazeBuffer.dropped
+    },
+    
     // Cleanup
     close,
     
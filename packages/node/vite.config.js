@@ -19,10 +19,14 @@ export default defineConfig({
         'ws',
         'bonjour-service',
         'node:events',
+        'node:fs',
+        'node:fs/promises',
         'node:buffer',
         'node:stream',
+        'node:stream/promises',
         'node:util',
         'node:url',
+        'node:path',
         'node:crypto'
       ]
     },
@@ -4,6 +4,7 @@
 import { createServer } from 'node:http'
 import { WebSocketServer } from 'ws'
 import { Bonjour } from 'bonjour-service'
+import { encodeVideoFrame } from '../packages/core/src/video.js'
 
 export class MockPupilDevice {
   constructor(options = {}) {
@@ -13,11 +14,18 @@ export class MockPupilDevice {
       model: 'Neon',
       serialNumber: 'MOCK-123456',
       firmwareVersion: '1.0.0',
+      videoWidth: 320,
+      videoHeight: 240,
+      clockOffset: 0, // seconds the device clock runs ahead of the host clock
+      processingTime: 1000, // ms a stopped recording spends processing
+      rangeAlignment: 1, // byte boundary range requests are rounded down to
       ...options
     }
     
     this.state = {
       isRecording: false,
+      recording: null, // { id, name, state, startTime, stoppedAt, error } while not idle
+      storageFull: false,
       isCalibrating: false,
       batteryLevel: 85,
       isCharging: false,
@@ -25,20 +33,41 @@ export class MockPupilDevice {
       connectionCount: 0
     }
     
+    this.processingTimer = null
     this.httpServer = null
     this.wsServer = null
     this.bonjour = null
     this.statusClients = new Set()
     this.gazeClients = new Set()
+    this.imuClients = new Set()
+    this.videoClients = new Set()
+    this.eyeStateClients = new Set()
+    this.eventClients = new Set()
+    
+    // Event annotations received through POST /api/events
+    this.events = []
+    
+    // Saved recordings by ID, served by /api/recordings; starts with one synthetic recording
+    this.recordings = new Map()
+    this.saveRecording({ id: 'mock-recording', startTime: this.now() - 3600, stoppedAt: this.now() - 3590 })
     
     // Generate mock data
     this.generateMockData()
   }
   
+  /**
+   * Current time on the simulated device clock, in Unix seconds
+   */
+  now() {
+    return Date.now() / 1000 + this.options.clockOffset
+  }
+  
   generateMockData() {
     // Generate realistic gaze data
     this.gazeGenerator = this.createGazeGenerator()
     this.imuGenerator = this.createIMUGenerator()
+    this.videoGenerator = this.createVideoGenerator()
+    this.eyeStateGenerator = this.createEyeStateGenerator()
   }
   
   *createGazeGenerator() {
@@ -57,7 +86,7 @@ export class MockPupilDevice {
         x: Math.max(0, Math.min(1, centerX + saccade + noise())),
         y: Math.max(0, Math.min(1, centerY + Math.sin(t * 0.3) * 0.05 + noise())),
         confidence: 0.8 + Math.random() * 0.2,
-        timestamp: Date.now() / 1000,
+        timestamp: this.now(),
         worn: this.state.isWorn
       }
       
@@ -87,13 +116,110 @@ export class MockPupilDevice {
           Math.random() * 0.1 - 0.05,
           Math.random() * 0.1 - 0.05
         ],
-        timestamp: Date.now() / 1000
+        timestamp: this.now()
       }
       
       yield imu
     }
   }
   
+  *createEyeStateGenerator() {
+    let t = 0
+    while (true) {
+      t += 0.005 // 200Hz
+      
+      // Pupils oscillate slowly around 3.5mm, both eyes converge straight ahead
+      const eye = (side) => ({
+        pupilDiameter: 3.5 + Math.sin(t * 0.5) * 0.5 + (Math.random() - 0.5) * 0.05,
+        eyeballCenterX: side * 31 + (Math.random() - 0.5) * 0.1,
+        eyeballCenterY: 12,
+        eyeballCenterZ: -36,
+        opticalAxisX: -side * 0.05,
+        opticalAxisY: Math.sin(t * 0.3) * 0.05,
+        opticalAxisZ: 0.998,
+        confidence: 0.85 + Math.random() * 0.15
+      })
+      
+      yield {
+        timestamp: this.now(),
+        left: eye(-1),
+        right: eye(1)
+      }
+    }
+  }
+  
+  *createEyeEventGenerator() {
+    let cycle = 0
+    let x = 0.5
+    let y = 0.5
+    
+    // Each step is one 100ms tick: fixation start, fixation end, saccade, and a blink every 5th cycle
+    while (true) {
+      const fixationStart = this.now()
+      yield { type: 'fixation', phase: 'start', x, y, timestamp: fixationStart }
+      
+      yield {
+        type: 'fixation',
+        phase: 'end',
+        x,
+        y,
+        start_timestamp: fixationStart,
+        timestamp: this.now(),
+        dispersion: 8 + Math.random() * 4
+      }
+      
+      const endX = 0.2 + Math.random() * 0.6
+      const endY = 0.2 + Math.random() * 0.6
+      const saccadeEnd = this.now()
+      yield {
+        type: 'saccade',
+        start_x: x,
+        start_y: y,
+        end_x: endX,
+        end_y: endY,
+        start_timestamp: saccadeEnd - 0.04,
+        timestamp: saccadeEnd,
+        amplitude: Math.hypot(endX - x, endY - y) * 90,
+        peak_velocity: 300 + Math.random() * 200
+      }
+      x = endX
+      y = endY
+      
+      if (++cycle % 5 === 0) {
+        const blinkStart = this.now()
+        yield { type: 'blink', phase: 'start', timestamp: blinkStart }
+        yield { type: 'blink', phase: 'end', start_timestamp: blinkStart, timestamp: this.now() }
+      }
+    }
+  }
+  
+  *createVideoGenerator() {
+    const { videoWidth: width, videoHeight: height } = this.options
+    let frameIndex = 0
+    
+    while (true) {
+      // Moving RGB gradient so consecutive frames differ
+      const data = new Uint8Array(width * height * 3)
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = (y * width + x) * 3
+          data[i] = (x + frameIndex) & 0xff
+          data[i + 1] = (y + frameIndex) & 0xff
+          data[i + 2] = frameIndex & 0xff
+        }
+      }
+      frameIndex++
+      
+      yield {
+        data,
+        width,
+        height,
+        timestamp: this.now(),
+        format: 'rgb'
+      }
+    }
+  }
+  
   async start() {
     console.log(`🚀 Starting mock ${this.options.model} device on port ${this.options.port}`)
     
@@ -125,10 +251,15 @@ export class MockPupilDevice {
   
   async stop() {
     console.log('🛑 Stopping mock device...')
+    clearTimeout(this.processingTimer)
     
     // Close WebSocket connections
     this.statusClients.forEach(ws => ws.close())
     this.gazeClients.forEach(ws => ws.close())
+    this.imuClients.forEach(ws => ws.close())
+    this.videoClients.forEach(ws => ws.close())
+    this.eyeStateClients.forEach(ws => ws.close())
+    this.eventClients.forEach(ws => ws.close())
     
     // Stop servers
     if (this.wsServer) {
@@ -180,6 +311,11 @@ export class MockPupilDevice {
     }
     
     try {
+      if (url.pathname.startsWith('/api/recordings')) {
+        this.handleRecordings(req, res, url)
+        return
+      }
+      
       switch (url.pathname) {
         case '/api/status':
           this.handleStatus(req, res)
@@ -190,6 +326,9 @@ export class MockPupilDevice {
         case '/api/calibration':
           this.handleCalibration(req, res)
           break
+        case '/api/events':
+          this.handleEvents(req, res)
+          break
         case '/api/settings':
           this.handleSettings(req, res)
           break
@@ -218,9 +357,10 @@ export class MockPupilDevice {
       isCharging: this.state.isCharging,
       isWorn: this.state.isWorn,
       isRecording: this.state.isRecording,
+      recording: this.getRecordingInfo(),
       isCalibrating: this.state.isCalibrating,
       connectionCount: this.state.connectionCount,
-      timestamp: Date.now() / 1000
+      timestamp: this.now()
     }
     
     res.writeHead(200, { 'Content-Type': 'application/json' })
@@ -232,39 +372,264 @@ export class MockPupilDevice {
       let body = ''
       req.on('data', chunk => body += chunk)
       req.on('end', () => {
+        let data
         try {
-          const data = JSON.parse(body)
-          
-          if (data.action === 'start') {
-            this.state.isRecording = true
-            console.log('📹 Recording started:', data.recording_id || 'unnamed')
-          } else if (data.action === 'stop') {
-            this.state.isRecording = false
-            console.log('⏹️  Recording stopped')
-          }
-          
-          this.broadcastStatus()
-          
-          res.writeHead(200, { 'Content-Type': 'application/json' })
-          res.end(JSON.stringify({ 
-            success: true, 
-            isRecording: this.state.isRecording,
-            recordingId: data.recording_id || null
-          }))
+          data = JSON.parse(body)
         } catch (error) {
           res.writeHead(400, { 'Content-Type': 'application/json' })
           res.end(JSON.stringify({ error: 'Invalid JSON' }))
+          return
         }
+        
+        const { status, error } = this.applyRecordingAction(data)
+        if (error) {
+          res.writeHead(status, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error }))
+          return
+        }
+        
+        this.broadcastStatus()
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ 
+          success: true, 
+          isRecording: this.state.isRecording,
+          recordingId: this.state.recording?.id ?? null,
+          recording: this.getRecordingInfo()
+        }))
       })
     } else {
       res.writeHead(200, { 'Content-Type': 'application/json' })
       res.end(JSON.stringify({ 
         isRecording: this.state.isRecording,
-        recordingId: this.state.isRecording ? 'current-recording' : null
+        recordingId: this.state.isRecording ? this.state.recording.id : null,
+        recording: this.getRecordingInfo()
       }))
     }
   }
   
+  /**
+   * Apply a recording command
+   * @returns {{status: number, error?: string}} HTTP status, with an error message on failure
+   */
+  applyRecordingAction({ action, recording_id: recordingId }) {
+    const current = this.state.recording?.state
+    
+    switch (action) {
+      case 'start': {
+        if (current === 'recording' || current === 'processing') {
+          return { status: 409, error: `Recording already ${current === 'recording' ? 'running' : 'processing'}` }
+        }
+        if (this.state.storageFull) {
+          return { status: 507, error: 'Not enough storage to start a recording' }
+        }
+        
+        const id = recordingId || `recording_${Date.now()}`
+        this.state.recording = { id, name: id, state: 'recording', startTime: this.now(), stoppedAt: null }
+        this.state.isRecording = true
+        console.log('📹 Recording started:', id)
+        return { status: 200 }
+      }
+        
+      case 'stop':
+        if (current !== 'recording') {
+          return { status: 409, error: 'No recording running' }
+        }
+        
+        this.state.recording.state = 'processing'
+        this.state.recording.stoppedAt = this.now()
+        this.state.isRecording = false
+        console.log('⏹️  Recording stopped')
+        
+        // Saving finishes in the background and is only visible on the status socket
+        this.processingTimer = setTimeout(() => {
+          this.saveRecording(this.state.recording)
+          this.state.recording = null
+          console.log('💾 Recording saved')
+          this.broadcastStatus()
+        }, this.options.processingTime)
+        return { status: 200 }
+        
+      case 'cancel':
+        if (current !== 'recording') {
+          return { status: 409, error: 'No recording running' }
+        }
+        
+        this.state.recording = null
+        this.state.isRecording = false
+        console.log('🗑️  Recording cancelled')
+        return { status: 200 }
+        
+      default:
+        return { status: 400, error: `Unknown recording action: ${action}` }
+    }
+  }
+  
+  /**
+   * Fail the running recording, e.g. with 'storage_full', as the device would mid-recording
+   * @param {string} [reason] - Failure reason reported in `recording.error`
+   */
+  failRecording(reason = 'storage_full') {
+    if (this.state.recording?.state !== 'recording') {
+      return
+    }
+    
+    this.state.recording.state = 'error'
+    this.state.recording.stoppedAt = this.now()
+    this.state.recording.error = reason
+    this.state.isRecording = false
+    console.log('❌ Recording failed:', reason)
+    this.broadcastStatus()
+  }
+  
+  /**
+   * Current recording as reported by the status socket and recording endpoint
+   * Counts follow from the duration at 30 scene frames and 200 gaze samples per second.
+   */
+  getRecordingInfo() {
+    const recording = this.state.recording
+    if (!recording) {
+      return { state: 'idle' }
+    }
+    
+    const duration = (recording.stoppedAt ?? this.now()) - recording.startTime
+    return {
+      id: recording.id,
+      name: recording.name,
+      state: recording.state,
+      startTime: recording.startTime,
+      duration,
+      frameCount: Math.floor(duration * 30),
+      gazeSampleCount: Math.floor(duration * 200),
+      ...(recording.error && { error: recording.error })
+    }
+  }
+  
+  /**
+   * Store a finished recording with synthetic content: gaze samples as JSON lines at 200Hz
+   */
+  saveRecording({ id, startTime, stoppedAt }) {
+    const duration = stoppedAt - startTime
+    const lines = []
+    for (let i = 0; i < Math.floor(duration * 200); i++) {
+      const t = i / 200
+      lines.push(JSON.stringify({
+        x: 0.5 + Math.sin(t) * 0.1,
+        y: 0.5 + Math.cos(t * 0.3) * 0.05,
+        confidence: 0.9,
+        timestamp: startTime + t
+      }))
+    }
+    const content = Buffer.from(lines.join('\n') + '\n')
+    
+    this.recordings.set(id, {
+      id,
+      name: id,
+      startTime,
+      duration,
+      frameCount: Math.floor(duration * 30),
+      gazeSampleCount: lines.length,
+      size: content.length,
+      content
+    })
+  }
+  
+  handleRecordings(req, res, url) {
+    // /api/recordings, /api/recordings/:id or /api/recordings/:id/download
+    const [, , , id, resource] = url.pathname.split('/').map(decodeURIComponent)
+    const describe = ({ content, ...recording }) => recording
+    
+    if (!id) {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ recordings: [...this.recordings.values()].map(describe) }))
+      return
+    }
+    
+    const recording = this.recordings.get(id)
+    if (!recording || (resource && resource !== 'download')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ error: `Recording not found: ${id}` }))
+      return
+    }
+    
+    if (resource === 'download') {
+      this.sendRecordingContent(req, res, recording.content)
+    } else if (req.method === 'DELETE') {
+      this.recordings.delete(id)
+      console.log('🗑️  Recording deleted:', id)
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ success: true }))
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(describe(recording)))
+    }
+  }
+  
+  /**
+   * Send recording content, honouring a single "bytes=start-[end]" Range header
+   */
+  sendRecordingContent(req, res, content) {
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range ?? '')
+    if (!range) {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': content.length })
+      res.end(content)
+      return
+    }
+    
+    const start = Number(range[1]) - Number(range[1]) % this.options.rangeAlignment
+    const end = range[2] ? Math.min(Number(range[2]), content.length - 1) : content.length - 1
+    if (start >= content.length || start > end) {
+      res.writeHead(416, { 'Content-Range': `bytes */${content.length}` })
+      res.end()
+      return
+    }
+    
+    res.writeHead(206, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${content.length}`
+    })
+    res.end(content.subarray(start, end + 1))
+  }
+  
+  handleEvents(req, res) {
+    if (req.method === 'POST') {
+      let body = ''
+      req.on('data', chunk => body += chunk)
+      req.on('end', () => {
+        let data
+        try {
+          data = JSON.parse(body)
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error: 'Invalid JSON' }))
+          return
+        }
+        
+        if (typeof data.name !== 'string' || data.name.trim() === '') {
+          res.writeHead(400, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error: 'Event name is required' }))
+          return
+        }
+        
+        // Like the device, timestamp events on arrival when none is given
+        const event = {
+          name: data.name,
+          timestamp: typeof data.timestamp === 'number' ? data.timestamp : this.now(),
+          recording: this.state.isRecording
+        }
+        this.events.push(event)
+        console.log('🏷️  Event:', event.name)
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ success: true, ...event }))
+      })
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(this.events))
+    }
+  }
+  
   handleCalibration(req, res) {
     if (req.method === 'POST') {
       let body = ''
@@ -350,7 +715,9 @@ export class MockPupilDevice {
         <ul>
           <li><a href="/api/status">/api/status</a></li>
           <li><a href="/api/recording">/api/recording</a></li>
+          <li><a href="/api/recordings">/api/recordings</a></li>
           <li><a href="/api/calibration">/api/calibration</a></li>
+          <li><a href="/api/events">/api/events</a></li>
           <li><a href="/api/settings">/api/settings</a></li>
         </ul>
         
@@ -419,6 +786,81 @@ export class MockPupilDevice {
         clearInterval(gazeInterval)
         console.log('👁️  Gaze WebSocket disconnected')
       })
+    } else if (url.pathname === '/api/imu') {
+      this.imuClients.add(ws)
+      
+      // Send IMU data at 100Hz
+      const imuInterval = setInterval(() => {
+        if (ws.readyState === ws.OPEN) {
+          const imu = this.imuGenerator.next().value
+          ws.send(JSON.stringify(imu))
+        } else {
+          clearInterval(imuInterval)
+        }
+      }, 10) // 100Hz
+      
+      ws.on('close', () => {
+        this.imuClients.delete(ws)
+        clearInterval(imuInterval)
+        console.log('🧭 IMU WebSocket disconnected')
+      })
+    } else if (url.pathname === '/api/video') {
+      this.videoClients.add(ws)
+      
+      // Send scene video frames at 30fps
+      const videoInterval = setInterval(() => {
+        if (ws.readyState === ws.OPEN) {
+          const frame = this.videoGenerator.next().value
+          ws.send(encodeVideoFrame(frame))
+        } else {
+          clearInterval(videoInterval)
+        }
+      }, 1000 / 30) // 30fps
+      
+      ws.on('close', () => {
+        this.videoClients.delete(ws)
+        clearInterval(videoInterval)
+        console.log('🎥 Video WebSocket disconnected')
+      })
+    } else if (url.pathname === '/api/eye_state') {
+      this.eyeStateClients.add(ws)
+      
+      // Send eye state at 200Hz
+      const eyeStateInterval = setInterval(() => {
+        if (ws.readyState === ws.OPEN && this.state.isWorn) {
+          const eyeState = this.eyeStateGenerator.next().value
+          ws.send(JSON.stringify(eyeState))
+        } else if (ws.readyState !== ws.OPEN) {
+          clearInterval(eyeStateInterval)
+        }
+      }, 5) // 200Hz
+      
+      ws.on('close', () => {
+        this.eyeStateClients.delete(ws)
+        clearInterval(eyeStateInterval)
+        console.log('👁️  Eye state WebSocket disconnected')
+      })
+    } else if (url.pathname === '/api/events') {
+      this.eventClients.add(ws)
+      
+      // Each client gets its own event sequence so it always starts with a fixation
+      const eyeEvents = this.createEyeEventGenerator()
+      
+      // Send one eye event every 100ms
+      const eventInterval = setInterval(() => {
+        if (ws.readyState === ws.OPEN && this.state.isWorn) {
+          const event = eyeEvents.next().value
+          ws.send(JSON.stringify(event))
+        } else if (ws.readyState !== ws.OPEN) {
+          clearInterval(eventInterval)
+        }
+      }, 100)
+      
+      ws.on('close', () => {
+        this.eventClients.delete(ws)
+        clearInterval(eventInterval)
+        console.log('⚡ Events WebSocket disconnected')
+      })
     }
   }
   
@@ -431,9 +873,10 @@ export class MockPupilDevice {
       isCharging: this.state.isCharging,
       isWorn: this.state.isWorn,
       isRecording: this.state.isRecording,
+      recording: this.getRecordingInfo(),
       isCalibrating: this.state.isCalibrating,
       connectionCount: this.state.connectionCount,
-      timestamp: Date.now() / 1000
+      timestamp: this.now()
     }
   }
   